@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Full-Page Capture Helpers for Save as JPG Chrome Extension
+ * Scrolls the page step by step while the service worker captures the visible tab.
+ * Fixed and sticky elements are hidden after the first screen so headers and
+ * floating bars appear only once in the stitched image. Everything is restored afterwards.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * @type {{scrollX: number, scrollY: number, fixedHidden: boolean, hidden: Array<{element: HTMLElement, value: string, priority: string}>}|null}
+ * Page state to restore once the capture is finished
+ */
+let fullPageCaptureState = null;
+
+/**
+ * Measures the page and remembers the scroll position before a full-page capture.
+ * @returns {{pageHeight: number, viewportWidth: number, viewportHeight: number, clientWidth: number, clientHeight: number}}
+ *   Sizes in CSS pixels; client sizes exclude the scrollbars
+ */
+function prepareFullPageCapture() {
+  restoreFullPageCapture();
+  fullPageCaptureState = { scrollX: window.scrollX, scrollY: window.scrollY, fixedHidden: false, hidden: [] };
+
+  const root = document.documentElement;
+  const body = document.body;
+  return {
+    pageHeight: Math.max(root.scrollHeight, body?.scrollHeight || 0, root.clientHeight),
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight,
+    clientWidth: root.clientWidth || window.innerWidth,
+    clientHeight: root.clientHeight || window.innerHeight
+  };
+}
+
+/**
+ * Scrolls to a vertical position and waits until the new position has been painted.
+ * @param {number} y - Target scroll position in CSS pixels
+ * @param {boolean} hideFixed - Whether to hide fixed and sticky elements first
+ * @returns {Promise<number>} Actual scroll position (the browser clamps it at the bottom)
+ */
+async function scrollForCapture(y, hideFixed) {
+  if (hideFixed) hideFixedElements();
+  window.scrollTo({ left: 0, top: y, behavior: 'instant' });
+
+  // Two animation frames: one for the scroll, one for the paint that follows it
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  return window.scrollY;
+}
+
+/**
+ * Restores hidden elements and the original scroll position.
+ */
+function restoreFullPageCapture() {
+  if (!fullPageCaptureState) return;
+
+  for (const { element, value, priority } of fullPageCaptureState.hidden) {
+    if (value) {
+      element.style.setProperty('visibility', value, priority);
+    } else {
+      element.style.removeProperty('visibility');
+    }
+  }
+  window.scrollTo({ left: fullPageCaptureState.scrollX, top: fullPageCaptureState.scrollY, behavior: 'instant' });
+  fullPageCaptureState = null;
+}
+
+/**
+ * Hides visible fixed and sticky elements (headers, cookie bars, chat buttons)
+ * so they aren't repeated on every captured screen.
+ */
+function hideFixedElements() {
+  if (!fullPageCaptureState || fullPageCaptureState.fixedHidden) return;
+  fullPageCaptureState.fixedHidden = true;
+
+  for (const element of document.body?.querySelectorAll('*') || []) {
+    const style = getComputedStyle(element);
+    if ((style.position !== 'fixed' && style.position !== 'sticky') || style.visibility === 'hidden') continue;
+
+    fullPageCaptureState.hidden.push({
+      element,
+      value: element.style.getPropertyValue('visibility'),
+      priority: element.style.getPropertyPriority('visibility')
+    });
+    element.style.setProperty('visibility', 'hidden', 'important');
+  }
+}
@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Crop Overlay for Save as JPG Chrome Extension
+ * Draws a selection overlay on top of a right-clicked image so the user can pick
+ * the region to save. Supports aspect-ratio presets, mouse drag/resize and keyboard nudging.
+ * The selection is limited to the part of the picture that is shown (after `object-fit` and
+ * `object-position`) and reported in display (CSS) pixels of the rendered picture; the service
+ * worker maps it to natural pixels during conversion.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {Array<{label: string, ratio: (number|null)}>} Aspect ratio presets (width / height) */
+const CROP_ASPECT_PRESETS = [
+  { label: 'Free', ratio: null },
+  { label: '1:1', ratio: 1 },
+  { label: '4:3', ratio: 4 / 3 },
+  { label: '3:2', ratio: 3 / 2 },
+  { label: '16:9', ratio: 16 / 9 },
+  { label: '3:4', ratio: 3 / 4 },
+  { label: '9:16', ratio: 9 / 16 }
+];
+
+/** @const {string[]} Resize handles, named by the edges they move */
+const CROP_HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
+/** @const {number} Minimum selection size in CSS pixels */
+const CROP_MIN_SIZE = 8;
+
+/** @const {string} Overlay styles, scoped by the shadow root */
+const CROP_OVERLAY_CSS = `
+  .backdrop { position: fixed; inset: 0; background: rgba(0, 0, 0, 0.25); }
+  .frame { position: fixed; overflow: hidden; cursor: crosshair; outline: 1px solid rgba(255, 255, 255, 0.4); }
+  .selection {
+    position: absolute; box-sizing: border-box; cursor: move; outline: none;
+    border: 1px solid #fff; box-shadow: 0 0 0 100vmax rgba(0, 0, 0, 0.55);
+    background-image:
+      linear-gradient(to right, transparent 33.2%, rgba(255,255,255,0.35) 33.3%, transparent 33.4%,
+        transparent 66.6%, rgba(255,255,255,0.35) 66.7%, transparent 66.8%),
+      linear-gradient(to bottom, transparent 33.2%, rgba(255,255,255,0.35) 33.3%, transparent 33.4%,
+        transparent 66.6%, rgba(255,255,255,0.35) 66.7%, transparent 66.8%);
+  }
+  .selection:focus-visible { border-color: #818cf8; }
+  .handle { position: absolute; width: 12px; height: 12px; margin: -6px 0 0 -6px; background: #fff;
+    border: 1px solid #6366f1; border-radius: 2px; box-sizing: border-box; }
+  .handle.nw { left: 0; top: 0; cursor: nwse-resize; }
+  .handle.n { left: 50%; top: 0; cursor: ns-resize; }
+  .handle.ne { left: 100%; top: 0; cursor: nesw-resize; }
+  .handle.e { left: 100%; top: 50%; cursor: ew-resize; }
+  .handle.se { left: 100%; top: 100%; cursor: nwse-resize; }
+  .handle.s { left: 50%; top: 100%; cursor: ns-resize; }
+  .handle.sw { left: 0; top: 100%; cursor: nesw-resize; }
+  .handle.w { left: 0; top: 50%; cursor: ew-resize; }
+  .locked .handle.n, .locked .handle.e, .locked .handle.s, .locked .handle.w { display: none; }
+  .size { position: absolute; left: 4px; top: 4px; padding: 2px 6px; border-radius: 4px;
+    background: rgba(0, 0, 0, 0.7); color: #fff; font: 600 11px/1.4 system-ui, sans-serif; pointer-events: none; }
+  .toolbar { position: fixed; left: 50%; bottom: 20px; transform: translateX(-50%); display: flex; gap: 8px;
+    align-items: center; padding: 8px; border-radius: 12px; background: #16171d; color: #f1f5f9;
+    box-shadow: 0 12px 40px rgba(0, 0, 0, 0.4); font: 500 12px/1 system-ui, sans-serif; }
+  .presets { display: flex; gap: 4px; }
+  button { font: inherit; padding: 7px 10px; border-radius: 8px; border: 1px solid #2d2f3a;
+    background: #1e1f26; color: inherit; cursor: pointer; }
+  button:hover { border-color: #818cf8; }
+  button.active { background: #6366f1; border-color: #6366f1; color: #fff; }
+  button.confirm { background: linear-gradient(135deg, #6366f1, #818cf8); border: none; color: #fff; font-weight: 600; }
+`;
+
+/** @type {Function|null} Closes the overlay that is currently open, if any */
+let closeActiveCropOverlay = null;
+
+/**
+ * Shows the crop overlay over an image.
+ * Enter (or the Save button) confirms, Escape cancels. Arrow keys move the selection
+ * by 1px (Shift: 10px); Alt+arrow keys resize it.
+ * @param {HTMLImageElement} img - Image to crop
+ * @param {function(Object, {width: number, height: number}): void} onConfirm -
+ *   Called with the selection ({x, y, width, height}) in display pixels and the display size
+ *   of the rendered picture it is relative to
+ */
+function showCropOverlay(img, onConfirm) {
+  if (closeActiveCropOverlay) closeActiveCropOverlay();
+
+  const host = document.createElement('div');
+  host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483647;';
+  const root = host.attachShadow({ mode: 'closed' });
+
+  const style = document.createElement('style');
+  style.textContent = CROP_OVERLAY_CSS;
+  const backdrop = createCropElement('div', 'backdrop');
+  const frame = createCropElement('div', 'frame');
+  const selection = createCropElement('div', 'selection');
+  const sizeLabel = createCropElement('div', 'size');
+  selection.tabIndex = 0;
+  for (const handle of CROP_HANDLES) {
+    const el = createCropElement('div', `handle ${handle}`);
+    el.dataset.handle = handle;
+    selection.appendChild(el);
+  }
+  selection.appendChild(sizeLabel);
+  frame.appendChild(selection);
+
+  const toolbar = createCropElement('div', 'toolbar');
+  const presets = createCropElement('div', 'presets');
+  const presetButtons = CROP_ASPECT_PRESETS.map(preset => {
+    const button = createCropElement('button', preset.ratio === null ? 'active' : '', preset.label);
+    button.type = 'button';
+    button.addEventListener('click', () => setRatio(preset.ratio, button));
+    presets.appendChild(button);
+    return button;
+  });
+  const cancelButton = createCropElement('button', 'cancel', 'Cancel');
+  const confirmButton = createCropElement('button', 'confirm', 'Save as JPG');
+  toolbar.append(presets, cancelButton, confirmButton);
+
+  root.append(style, backdrop, frame, toolbar);
+  document.documentElement.appendChild(host);
+
+  /** Rendered picture in viewport coordinates; with `object-fit: cover` it extends past the frame */
+  let picture = getPictureBox(img, img.naturalWidth, img.naturalHeight);
+  /** Shown part of the picture (the frame) in viewport coordinates */
+  let box = getShownPictureBox(img, picture);
+  /** Selection in display pixels relative to the content box */
+  let sel = { x: box.width * 0.1, y: box.height * 0.1, w: box.width * 0.8, h: box.height * 0.8 };
+  /** Locked aspect ratio (width / height), or null for free selection */
+  let ratio = null;
+  /** Active pointer gesture */
+  let drag = null;
+  let rafId = 0;
+
+  /**
+   * Keeps the selection inside the image, at least CROP_MIN_SIZE, and at the locked ratio.
+   * @param {{x: number, y: number, w: number, h: number}} r - Proposed selection
+   * @returns {{x: number, y: number, w: number, h: number}} Constrained selection
+   */
+  const constrain = (r) => {
+    let w = Math.min(Math.max(r.w, CROP_MIN_SIZE), box.width);
+    let h = Math.min(Math.max(r.h, CROP_MIN_SIZE), box.height);
+    if (ratio) {
+      if (w / h > ratio) w = h * ratio;
+      else h = w / ratio;
+    }
+    return {
+      x: Math.min(Math.max(r.x, 0), box.width - w),
+      y: Math.min(Math.max(r.y, 0), box.height - h),
+      w,
+      h
+    };
+  };
+
+  const render = () => {
+    frame.style.left = `${box.left}px`;
+    frame.style.top = `${box.top}px`;
+    frame.style.width = `${box.width}px`;
+    frame.style.height = `${box.height}px`;
+    selection.style.left = `${sel.x}px`;
+    selection.style.top = `${sel.y}px`;
+    selection.style.width = `${sel.w}px`;
+    selection.style.height = `${sel.h}px`;
+    selection.classList.toggle('locked', ratio !== null);
+
+    // Show the size the crop will have in natural pixels
+    const scaleX = img.naturalWidth && picture.width ? img.naturalWidth / picture.width : 1;
+    const scaleY = img.naturalHeight && picture.height ? img.naturalHeight / picture.height : 1;
+    sizeLabel.textContent = `${Math.round(sel.w * scaleX)} × ${Math.round(sel.h * scaleY)}`;
+  };
+
+  // Follow the image while the page scrolls or reflows
+  const track = () => {
+    if (!img.isConnected) {
+      close();
+      return;
+    }
+    const nextPicture = getPictureBox(img, img.naturalWidth, img.naturalHeight);
+    const next = getShownPictureBox(img, nextPicture);
+    if (next.left !== box.left || next.top !== box.top || next.width !== box.width || next.height !== box.height ||
+      nextPicture.width !== picture.width || nextPicture.height !== picture.height) {
+      const sx = box.width ? next.width / box.width : 1;
+      const sy = box.height ? next.height / box.height : 1;
+      picture = nextPicture;
+      box = next;
+      sel = constrain({ x: sel.x * sx, y: sel.y * sy, w: sel.w * sx, h: sel.h * sy });
+      render();
+    }
+    rafId = requestAnimationFrame(track);
+  };
+
+  function setRatio(value, button) {
+    ratio = value;
+    presetButtons.forEach(b => b.classList.toggle('active', b === button));
+    if (ratio) {
+      // Fit the new ratio inside the current selection, keeping its center
+      const cx = sel.x + sel.w / 2;
+      const cy = sel.y + sel.h / 2;
+      let w = sel.w;
+      let h = w / ratio;
+      if (h > sel.h) {
+        h = sel.h;
+        w = h * ratio;
+      }
+      sel = constrain({ x: cx - w / 2, y: cy - h / 2, w, h });
+    }
+    render();
+    selection.focus();
+  }
+
+  const toLocal = (event) => ({ x: event.clientX - box.left, y: event.clientY - box.top });
+
+  const onPointerDown = (event) => {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const point = toLocal(event);
+    const handle = event.target.dataset?.handle;
+    if (handle) {
+      drag = { mode: 'resize', handle, start: { ...sel } };
+    } else if (event.target === selection) {
+      drag = { mode: 'move', offsetX: point.x - sel.x, offsetY: point.y - sel.y };
+    } else {
+      drag = { mode: 'create', anchor: point };
+    }
+    frame.setPointerCapture(event.pointerId);
+  };
+
+  const onPointerMove = (event) => {
+    if (!drag) return;
+    const p = toLocal(event);
+
+    if (drag.mode === 'move') {
+      sel = constrain({ ...sel, x: p.x - drag.offsetX, y: p.y - drag.offsetY });
+    } else if (drag.mode === 'create') {
+      let w = Math.abs(p.x - drag.anchor.x);
+      let h = ratio ? w / ratio : Math.abs(p.y - drag.anchor.y);
+      w = Math.max(w, CROP_MIN_SIZE);
+      h = Math.max(h, CROP_MIN_SIZE);
+      const x = p.x < drag.anchor.x ? drag.anchor.x - w : drag.anchor.x;
+      const y = p.y < drag.anchor.y ? drag.anchor.y - h : drag.anchor.y;
+      sel = constrain({ x, y, w, h });
+    } else {
+      sel = resizeSelection(drag.start, drag.handle, p);
+    }
+    render();
+  };
+
+  /**
+   * Moves the edges named by the handle to the pointer; the opposite edges stay fixed.
+   * With a locked ratio only corner handles are shown and the height follows the width.
+   */
+  const resizeSelection = (start, handle, p) => {
+    let left = start.x;
+    let top = start.y;
+    let right = start.x + start.w;
+    let bottom = start.y + start.h;
+    if (handle.includes('w')) left = Math.min(p.x, right - CROP_MIN_SIZE);
+    if (handle.includes('e')) right = Math.max(p.x, left + CROP_MIN_SIZE);
+    if (handle.includes('n')) top = Math.min(p.y, bottom - CROP_MIN_SIZE);
+    if (handle.includes('s')) bottom = Math.max(p.y, top + CROP_MIN_SIZE);
+
+    if (ratio) {
+      const h = (right - left) / ratio;
+      if (handle.includes('n')) top = bottom - h;
+      else bottom = top + h;
+    }
+    const next = constrain({ x: left, y: top, w: right - left, h: bottom - top });
+    // Keep the fixed edges in place when the constraint shrank the selection
+    if (handle.includes('w')) next.x = Math.max(0, start.x + start.w - next.w);
+    if (handle.includes('n')) next.y = Math.max(0, start.y + start.h - next.h);
+    return next;
+  };
+
+  const onPointerUp = () => {
+    drag = null;
+  };
+
+  const onKeyDown = (event) => {
+    const step = event.shiftKey ? 10 : 1;
+    const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+
+    if (event.key === 'Escape') {
+      close();
+    } else if (event.key === 'Enter') {
+      confirm();
+    } else if (moves[event.key]) {
+      const [dx, dy] = moves[event.key];
+      if (event.altKey) {
+        // Resize; with a locked ratio the height follows the width
+        const w = sel.w + (dx || (ratio ? dy * ratio : 0));
+        const h = ratio ? w / ratio : sel.h + dy;
+        sel = constrain({ ...sel, w, h });
+      } else {
+        sel = constrain({ ...sel, x: sel.x + dx, y: sel.y + dy });
+      }
+      render();
+    } else {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  function confirm() {
+    // The frame can start inside the picture (cover), so report the selection relative to the picture
+    const result = { x: box.left - picture.left + sel.x, y: box.top - picture.top + sel.y, width: sel.w, height: sel.h };
+    const displaySize = { width: picture.width, height: picture.height };
+    close();
+    onConfirm(result, displaySize);
+  }
+
+  function close() {
+    cancelAnimationFrame(rafId);
+    window.removeEventListener('keydown', onKeyDown, true);
+    host.remove();
+    if (closeActiveCropOverlay === close) closeActiveCropOverlay = null;
+  }
+
+  frame.addEventListener('pointerdown', onPointerDown);
+  frame.addEventListener('pointermove', onPointerMove);
+  frame.addEventListener('pointerup', onPointerUp);
+  frame.addEventListener('pointercancel', onPointerUp);
+  backdrop.addEventListener('pointerdown', (event) => event.preventDefault());
+  cancelButton.addEventListener('click', close);
+  confirmButton.addEventListener('click', confirm);
+  window.addEventListener('keydown', onKeyDown, true);
+
+  closeActiveCropOverlay = close;
+  sel = constrain(sel);
+  render();
+  selection.focus();
+  rafId = requestAnimationFrame(track);
+}
+
+/**
+ * Returns the viewport rectangle of an image's content box (excluding border and padding),
+ * which is the area `img.width` / `img.height` describe.
+ * @param {HTMLImageElement} img - Image element
+ * @returns {{left: number, top: number, width: number, height: number}} Content box
+ */
+function getContentBox(img) {
+  const rect = img.getBoundingClientRect();
+  const style = getComputedStyle(img);
+  const px = (value) => parseFloat(value) || 0;
+  const left = rect.left + px(style.borderLeftWidth) + px(style.paddingLeft);
+  const top = rect.top + px(style.borderTopWidth) + px(style.paddingTop);
+  const right = rect.right - px(style.borderRightWidth) - px(style.paddingRight);
+  const bottom = rect.bottom - px(style.borderBottomWidth) - px(style.paddingBottom);
+  return { left, top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+}
+
+/**
+ * Returns the viewport rectangle of the picture an image or video renders, after `object-fit`
+ * and `object-position`. With `cover` or `none` it can be larger than the content box, which
+ * clips it; with `contain` or `scale-down` it can leave empty bands inside the content box.
+ * @param {HTMLImageElement|HTMLVideoElement} element - Image or video element
+ * @param {number} intrinsicWidth - Width of the picture in its own pixels
+ * @param {number} intrinsicHeight - Height of the picture in its own pixels
+ * @returns {{left: number, top: number, width: number, height: number}} Rendered picture
+ */
+function getPictureBox(element, intrinsicWidth, intrinsicHeight) {
+  const box = getContentBox(element);
+  if (!(intrinsicWidth > 0) || !(intrinsicHeight > 0) || !box.width || !box.height) return box;
+
+  const style = getComputedStyle(element);
+  const fitScale = Math.min(box.width / intrinsicWidth, box.height / intrinsicHeight);
+  const scales = {
+    contain: fitScale,
+    cover: Math.max(box.width / intrinsicWidth, box.height / intrinsicHeight),
+    none: 1,
+    'scale-down': Math.min(fitScale, 1)
+  };
+  const scale = scales[style.objectFit];
+  if (scale === undefined) return box; // fill: the picture is stretched over the content box
+
+  const width = intrinsicWidth * scale;
+  const height = intrinsicHeight * scale;
+  const offset = getObjectPositionOffset(style.objectPosition, box.width - width, box.height - height);
+  return { left: box.left + offset.x, top: box.top + offset.y, width, height };
+}
+
+/**
+ * Returns the part of a rendered picture the content box shows (the picture clipped to it).
+ * @param {HTMLImageElement|HTMLVideoElement} element - Image or video element
+ * @param {{left: number, top: number, width: number, height: number}} picture - From getPictureBox()
+ * @returns {{left: number, top: number, width: number, height: number}} Shown part, in viewport coordinates
+ */
+function getShownPictureBox(element, picture) {
+  const box = getContentBox(element);
+  const left = Math.max(box.left, picture.left);
+  const top = Math.max(box.top, picture.top);
+  const right = Math.min(box.left + box.width, picture.left + picture.width);
+  const bottom = Math.min(box.top + box.height, picture.top + picture.height);
+  return { left, top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+}
+
+/**
+ * Resolves a computed `object-position` to the picture's offset inside the content box.
+ * Handles the two-value form ("50% 50%", "10px 0%") and the edge-offset form
+ * ("right 10px bottom 20%"); anything else (e.g. calc()) is treated as centered.
+ * @param {string} value - Computed object-position
+ * @param {number} freeX - Content box width minus picture width (negative when the picture is wider)
+ * @param {number} freeY - Content box height minus picture height
+ * @returns {{x: number, y: number}} Offset of the picture's top left corner in CSS pixels
+ */
+function getObjectPositionOffset(value, freeX, freeY) {
+  const offset = { x: freeX / 2, y: freeY / 2 };
+  const tokens = String(value || '').trim().split(/\s+/);
+  const resolve = (token, free) => token.endsWith('%') ? free * parseFloat(token) / 100 : parseFloat(token);
+  const isLength = token => /^-?[\d.]+(?:px|%)$/.test(token);
+
+  if (tokens.length === 2 && tokens.every(isLength)) {
+    offset.x = resolve(tokens[0], freeX);
+    offset.y = resolve(tokens[1], freeY);
+  } else if (tokens.length === 4 && isLength(tokens[1]) && isLength(tokens[3])) {
+    for (const [edge, length] of [[tokens[0], tokens[1]], [tokens[2], tokens[3]]]) {
+      const horizontal = edge === 'left' || edge === 'right';
+      const free = horizontal ? freeX : freeY;
+      const distance = resolve(length, free);
+      offset[horizontal ? 'x' : 'y'] = edge === 'right' || edge === 'bottom' ? free - distance : distance;
+    }
+  }
+  return offset;
+}
+
+/**
+ * Creates an element for the overlay.
+ * @param {string} tag - Tag name
+ * @param {string} [className] - Class attribute
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} New element
+ */
+function createCropElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text) el.textContent = text;
+  return el;
+}
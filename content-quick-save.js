@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Quick Save for Save as JPG Chrome Extension
+ * Saves images without the context menu: an optional button shown over large images on hover,
+ * a modifier-click gesture, and the keyboard shortcut, which the service worker forwards to the
+ * frame under the pointer. Every path sets the same target a right-click would and asks the
+ * service worker to save it, which then resolves it through GET_IMAGE_URL.
+ * The service worker decides whether the button and gesture are enabled on this site.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {string[]} Settings that change the quick save configuration of a page */
+const QUICK_SAVE_SETTING_KEYS = [
+  'hoverButtonEnabled', 'hoverButtonMinSize', 'quickSaveModifier', 'quickSaveSiteMode', 'quickSaveSites'
+];
+
+/** @const {Object<string, {altKey: boolean, shiftKey: boolean, ctrlKey: boolean}>} Click modifiers by setting value */
+const QUICK_SAVE_MODIFIERS = {
+  'alt': { altKey: true, shiftKey: false, ctrlKey: false },
+  'alt-shift': { altKey: true, shiftKey: true, ctrlKey: false },
+  'ctrl-shift': { altKey: false, shiftKey: true, ctrlKey: true }
+};
+
+/** @const {number} Distance of the hover button from the image's top right corner, in CSS pixels */
+const HOVER_BUTTON_INSET = 8;
+
+/** @const {string} Hover button styles, scoped by the shadow root */
+const HOVER_BUTTON_CSS = `
+  button { display: flex; align-items: center; gap: 4px; padding: 5px 9px; border: none; border-radius: 6px;
+    background: rgba(22, 23, 29, 0.85); color: #fff; font: 600 12px/1 system-ui, sans-serif; cursor: pointer;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.35); transform: translateX(-100%); }
+  button:hover { background: linear-gradient(135deg, #6366f1, #818cf8); }
+  svg { width: 14px; height: 14px; }
+`;
+
+/** @type {{hoverButton: boolean, minSize: number, modifier: string}} Quick save configuration for this page */
+let quickSaveConfig = { hoverButton: false, minSize: 0, modifier: 'none' };
+
+/** @type {{x: number, y: number}|null} Last pointer position in this frame, null while it is elsewhere */
+let quickSavePointer = null;
+
+/** @type {{host: HTMLElement, button: HTMLButtonElement, target: Object|null}|null} Hover button, once created */
+let hoverButton = null;
+
+loadQuickSaveConfig();
+
+/**
+ * Reloads the configuration when one of its settings or the administrator's policy changes.
+ */
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'managed' || (area === 'sync' && QUICK_SAVE_SETTING_KEYS.some(key => key in changes))) {
+    loadQuickSaveConfig();
+  }
+});
+
+/**
+ * Tracks the pointer for the keyboard shortcut, which carries no position of its own.
+ */
+document.addEventListener('mousemove', (event) => {
+  quickSavePointer = { x: event.clientX, y: event.clientY };
+}, { capture: true, passive: true });
+
+/**
+ * Forgets the pointer once it leaves the frame or moves into a child frame, so only the frame
+ * that actually is under the pointer answers the shortcut.
+ */
+document.addEventListener('mouseout', (event) => {
+  const next = event.relatedTarget;
+  if (!next || next.tagName === 'IFRAME' || next.tagName === 'FRAME') quickSavePointer = null;
+}, { capture: true, passive: true });
+
+/**
+ * Shows the hover button over large images and hides it once the pointer moves off them.
+ */
+document.addEventListener('mouseover', (event) => {
+  if (!quickSaveConfig.hoverButton || event.target === hoverButton?.host) return;
+
+  const target = findImageTarget(event.clientX, event.clientY);
+  if (target?.kind === 'image' && isLargeEnoughForHoverButton(target.element)) {
+    showHoverButton(target);
+  } else {
+    hideHoverButton();
+  }
+}, { capture: true, passive: true });
+
+/**
+ * Hides the hover button when the page moves under it.
+ */
+window.addEventListener('scroll', () => hideHoverButton(), { capture: true, passive: true });
+window.addEventListener('resize', () => hideHoverButton(), { passive: true });
+
+/**
+ * Saves the clicked image when the configured modifier keys are held, instead of letting the page
+ * (or the browser, e.g. Alt+click downloading a link) handle the click.
+ */
+document.addEventListener('click', (event) => {
+  const modifier = QUICK_SAVE_MODIFIERS[quickSaveConfig.modifier];
+  if (!modifier || event.button !== 0 || event.metaKey) return;
+  if (event.altKey !== modifier.altKey || event.shiftKey !== modifier.shiftKey ||
+    event.ctrlKey !== modifier.ctrlKey) return;
+
+  const target = findImageTarget(event.clientX, event.clientY);
+  if (!target) return;
+
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  requestQuickSave(target);
+}, true);
+
+/**
+ * Asks the service worker for this page's quick save configuration. It knows the tab's URL, which
+ * the site list is matched against, also from inside frames.
+ */
+async function loadQuickSaveConfig() {
+  try {
+    const config = await chrome.runtime.sendMessage({ type: 'GET_QUICK_SAVE_CONFIG' });
+    if (config) quickSaveConfig = config;
+  } catch {
+    // Extension was reloaded; this content script is orphaned
+  }
+  if (!quickSaveConfig.hoverButton) hideHoverButton();
+}
+
+/**
+ * Saves the image under the pointer, if the pointer is in this frame and over one.
+ * Called for the keyboard shortcut.
+ * @returns {boolean} True if a save was requested
+ */
+function saveImageUnderPointer() {
+  if (!quickSavePointer) return false;
+  const target = findImageTarget(quickSavePointer.x, quickSavePointer.y);
+  if (!target) return false;
+  requestQuickSave(target);
+  return true;
+}
+
+/**
+ * Hands a target to the service worker as if it had been right-clicked and saved as JPG.
+ * @param {{kind: string, element: Element}} target - Target from findImageTarget()
+ */
+function requestQuickSave(target) {
+  lastContextTarget = target;
+  try {
+    chrome.runtime.sendMessage({ type: 'QUICK_SAVE' }).catch(() => {});
+  } catch {
+    // Extension was reloaded; this content script is orphaned
+  }
+}
+
+/**
+ * Checks whether an image is displayed at least at the configured size in both directions.
+ * @param {Element} element - Image element
+ * @returns {boolean} True if the image gets a hover button
+ */
+function isLargeEnoughForHoverButton(element) {
+  const rect = element.getBoundingClientRect();
+  return rect.width >= quickSaveConfig.minSize && rect.height >= quickSaveConfig.minSize;
+}
+
+/**
+ * Shows the hover button in the top right corner of an image's visible part.
+ * @param {{kind: string, element: Element}} target - Image target the button saves
+ */
+function showHoverButton(target) {
+  if (!hoverButton) hoverButton = createHoverButton();
+  if (!hoverButton.host.isConnected) document.documentElement.appendChild(hoverButton.host);
+
+  const rect = target.element.getBoundingClientRect();
+  const right = Math.min(rect.right, document.documentElement.clientWidth);
+  hoverButton.host.style.left = `${right - HOVER_BUTTON_INSET}px`;
+  hoverButton.host.style.top = `${Math.max(rect.top, 0) + HOVER_BUTTON_INSET}px`;
+  hoverButton.host.style.display = 'block';
+  hoverButton.target = target;
+}
+
+/**
+ * Hides the hover button, if it is shown.
+ */
+function hideHoverButton() {
+  if (!hoverButton || hoverButton.host.style.display === 'none') return;
+  hoverButton.host.style.display = 'none';
+  hoverButton.target = null;
+}
+
+/**
+ * Builds the hover button in a closed shadow root so page styles can't reach it.
+ * Pointer events on the button don't reach the page, which might open a lightbox or start a drag.
+ * @returns {{host: HTMLElement, button: HTMLButtonElement, target: null}} Hover button
+ */
+function createHoverButton() {
+  const host = document.createElement('div');
+  // The hidden attribute would lose against "all: initial", so visibility goes through display
+  host.style.cssText = 'all: initial; display: none; position: fixed; z-index: 2147483647;';
+  const root = host.attachShadow({ mode: 'closed' });
+
+  const style = document.createElement('style');
+  style.textContent = HOVER_BUTTON_CSS;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.title = chrome.i18n.getMessage('hoverButtonTitle') || 'Save image';
+  button.setAttribute('aria-label', button.title);
+  const icon = document.createElementNS(SVG_NAMESPACE, 'svg');
+  icon.setAttribute('viewBox', '0 0 24 24');
+  icon.setAttribute('fill', 'none');
+  icon.setAttribute('stroke', 'currentColor');
+  icon.setAttribute('stroke-width', '2.5');
+  const path = document.createElementNS(SVG_NAMESPACE, 'path');
+  path.setAttribute('d', 'M12 4v12m0 0l-5-5m5 5l5-5M5 20h14');
+  icon.appendChild(path);
+  button.append(icon, 'JPG');
+  root.append(style, button);
+
+  for (const type of ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'dblclick', 'contextmenu']) {
+    button.addEventListener(type, event => event.stopPropagation());
+  }
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const target = hoverButton.target;
+    hideHoverButton();
+    if (target?.element.isConnected) requestQuickSave(target);
+  });
+
+  return { host, button, target: null };
+}
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Responsive Image Candidates for Save as JPG Chrome Extension
+ * Parses srcset attributes with the HTML standard's algorithm (URLs may contain commas, as in
+ * Cloudinary transforms and data URIs) and picks the largest candidate of an <img>, including the
+ * <source> variants of its <picture> whatever media query they are meant for. Nothing here uses
+ * extension APIs, so test/fixtures/srcset.html can load this file directly.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {Set<string>} MIME types the browser can decode, checked against <source type> */
+const DECODABLE_IMAGE_TYPES = new Set([
+  'image/jpeg', 'image/jpg', 'image/pjpeg', 'image/png', 'image/apng', 'image/gif', 'image/webp',
+  'image/avif', 'image/svg+xml', 'image/bmp', 'image/x-icon', 'image/vnd.microsoft.icon'
+]);
+
+/** @const {string[]} Attributes holding a srcset; lazy loaders keep the real one in data-srcset */
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset'];
+
+/** @const {RegExp} ASCII whitespace as defined by the HTML standard */
+const SRCSET_WHITESPACE = /[\t\n\f\r ]/;
+
+/**
+ * Parses a srcset attribute following the HTML standard ("parse a srcset attribute").
+ * Candidates with invalid descriptors are dropped; a candidate without descriptors has density 1.
+ * @param {string} input - Raw srcset attribute value
+ * @returns {Array<{url: string, width?: number, density?: number, height?: number}>} Candidates
+ */
+function parseSrcset(input) {
+  const candidates = [];
+  let position = 0;
+
+  while (position < input.length) {
+    // Leading whitespace and commas separate candidates
+    while (position < input.length && (SRCSET_WHITESPACE.test(input[position]) || input[position] === ',')) {
+      position++;
+    }
+    if (position >= input.length) break;
+
+    const urlStart = position;
+    while (position < input.length && !SRCSET_WHITESPACE.test(input[position])) position++;
+    let url = input.slice(urlStart, position);
+
+    const descriptors = [];
+    if (url.endsWith(',')) {
+      // "a.jpg," has no descriptors; commas inside the URL (e.g. "w_300,c_fill") are kept
+      url = url.replace(/,+$/, '');
+    } else {
+      position = tokenizeSrcsetDescriptors(input, position, descriptors);
+    }
+
+    const candidate = parseSrcsetDescriptors(url, descriptors);
+    if (candidate) candidates.push(candidate);
+  }
+  return candidates;
+}
+
+/**
+ * Splits the descriptors following a srcset URL, up to the comma that ends the candidate.
+ * Parentheses are kept together so future descriptors with commas inside them don't split.
+ * @param {string} input - Raw srcset attribute value
+ * @param {number} position - Index just after the URL
+ * @param {string[]} descriptors - Receives the descriptor tokens
+ * @returns {number} Index where the next candidate starts
+ */
+function tokenizeSrcsetDescriptors(input, position, descriptors) {
+  while (position < input.length && SRCSET_WHITESPACE.test(input[position])) position++;
+
+  let current = '';
+  let state = 'descriptor';
+  for (; position < input.length; position++) {
+    const char = input[position];
+    if (state === 'parens') {
+      current += char;
+      if (char === ')') state = 'descriptor';
+    } else if (SRCSET_WHITESPACE.test(char)) {
+      if (current) descriptors.push(current);
+      current = '';
+      state = 'after';
+    } else if (state === 'after') {
+      // Anything but whitespace starts the next descriptor
+      state = 'descriptor';
+      position--;
+    } else if (char === ',') {
+      position++;
+      break;
+    } else {
+      current += char;
+      if (char === '(') state = 'parens';
+    }
+  }
+
+  if (current) descriptors.push(current);
+  return position;
+}
+
+/**
+ * Turns the descriptor tokens of one srcset candidate into its width, density and height.
+ * @param {string} url - Candidate URL
+ * @param {string[]} descriptors - Descriptor tokens, e.g. ["800w"] or ["1.5x"]
+ * @returns {{url: string, width?: number, density?: number, height?: number}|null} Candidate, or
+ *   null if the descriptors are invalid
+ */
+function parseSrcsetDescriptors(url, descriptors) {
+  let width, density, height;
+
+  for (const descriptor of descriptors) {
+    const value = descriptor.slice(0, -1);
+    switch (descriptor.slice(-1)) {
+      case 'w':
+        if (width !== undefined || density !== undefined || !/^\d+$/.test(value)) return null;
+        width = parseInt(value, 10);
+        if (width === 0) return null;
+        break;
+      case 'x':
+        if (width !== undefined || density !== undefined || height !== undefined) return null;
+        if (!/^-?(?:\d+(?:\.\d+)?|\.\d+)(?:[eE][+-]?\d+)?$/.test(value)) return null;
+        density = parseFloat(value);
+        if (density < 0) return null;
+        break;
+      case 'h':
+        if (height !== undefined || density !== undefined || !/^\d+$/.test(value)) return null;
+        height = parseInt(value, 10);
+        if (height === 0) return null;
+        break;
+      default:
+        return null;
+    }
+  }
+
+  // A height is only allowed together with a width
+  if (height !== undefined && width === undefined) return null;
+
+  const candidate = { url };
+  if (width !== undefined) candidate.width = width;
+  if (height !== undefined) candidate.height = height;
+  if (width === undefined) candidate.density = density ?? 1;
+  return candidate;
+}
+
+/**
+ * Lists the srcset candidates of an image: those of each decodable <source> in its <picture>
+ * (media queries are ignored, so variants for other viewports count too), then its own, with the
+ * src attribute as the 1x candidate. Returns nothing when there is no srcset at all, leaving the
+ * plain src and lazy-load attributes to the caller.
+ * @param {HTMLImageElement} img - Image element
+ * @returns {Array<{url: string, pixelWidth: number}>} Absolute URLs with their estimated width in
+ *   image pixels, in document order
+ */
+function getImageCandidates(img) {
+  const candidates = [];
+  const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+
+  if (picture) {
+    for (const source of picture.children) {
+      if (source === img) break;
+      if (source.tagName !== 'SOURCE' || !isDecodableSourceType(source.getAttribute('type'))) continue;
+      const layoutWidth = parseInt(source.getAttribute('width'), 10) || getLayoutWidth(img);
+      addSrcsetCandidates(candidates, source, layoutWidth);
+    }
+  }
+
+  const layoutWidth = getLayoutWidth(img);
+  const ownCandidates = [];
+  addSrcsetCandidates(ownCandidates, img, layoutWidth);
+  if (candidates.length === 0 && ownCandidates.length === 0) return [];
+
+  const src = img.getAttribute('src');
+  if (src && !ownCandidates.some(candidate => candidate.density === 1)) {
+    ownCandidates.push({ url: resolveCandidateUrl(src), density: 1, pixelWidth: layoutWidth });
+  }
+  return [...candidates, ...ownCandidates].map(({ url, pixelWidth }) => ({ url, pixelWidth }));
+}
+
+/**
+ * Picks the largest candidate of an image; on a tie the first in document order wins, which
+ * usually is the format the author preferred.
+ * @param {HTMLImageElement} img - Image element
+ * @returns {string|null} Absolute URL, or null if the image has no srcset candidates
+ */
+function getLargestImageCandidate(img) {
+  let best = null;
+  for (const candidate of getImageCandidates(img)) {
+    if (!best || candidate.pixelWidth > best.pixelWidth) best = candidate;
+  }
+  return best ? best.url : null;
+}
+
+/**
+ * Parses the srcset attributes of an element and appends its candidates.
+ * @param {Array<Object>} candidates - Receives the candidates
+ * @param {Element} element - <img> or <source>
+ * @param {number} layoutWidth - Width the image is laid out at, in CSS pixels (0 if unknown)
+ */
+function addSrcsetCandidates(candidates, element, layoutWidth) {
+  for (const attribute of SRCSET_ATTRIBUTES) {
+    const srcset = element.getAttribute(attribute);
+    if (!srcset) continue;
+    for (const candidate of parseSrcset(srcset)) {
+      // Width descriptors give image pixels; densities scale the layout width
+      const pixelWidth = candidate.width ?? candidate.density * (layoutWidth || 1);
+      candidates.push({ url: resolveCandidateUrl(candidate.url), density: candidate.density, pixelWidth });
+    }
+  }
+}
+
+/**
+ * Reads the width an image is laid out at, from its width attribute or rendering.
+ * @param {HTMLImageElement} img - Image element
+ * @returns {number} Width in CSS pixels, or 0 if unknown
+ */
+function getLayoutWidth(img) {
+  return parseInt(img.getAttribute('width'), 10) || img.width || 0;
+}
+
+/**
+ * Checks whether a <source type> is an image format the browser decodes. No type means any image.
+ * @param {string|null} type - Type attribute, possibly with parameters
+ * @returns {boolean} True if the source can be used
+ */
+function isDecodableSourceType(type) {
+  if (!type) return true;
+  return DECODABLE_IMAGE_TYPES.has(type.split(';')[0].trim().toLowerCase());
+}
+
+/**
+ * Resolves a candidate URL against the document base URL.
+ * @param {string} url - URL as written in the attribute
+ * @returns {string} Absolute URL (the input if it can't be parsed)
+ */
+function resolveCandidateUrl(url) {
+  if (!url || url.startsWith('data:')) return url || '';
+  try {
+    return new URL(url, document.baseURI).href;
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,504 @@
+/**
+ * @fileoverview Image Target Detection for Save as JPG Chrome Extension
+ * Finds the image-like element under the cursor by walking the element stack at the click point:
+ * <img> and <picture> elements, CSS background images (including image-set), inline <svg>,
+ * <canvas> and <video>. Resolves each target to a URL the service worker can fetch; inline SVG is
+ * serialized with its computed styles, and canvas pixels and video frames are exported as PNG data URLs.
+ * Also finds links to full-size images, such as gallery thumbnails wrapped in <a href="full.jpg">.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {string} SVG namespace, required on serialized standalone SVG documents */
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/** @const {string} XLink namespace, used by older <use xlink:href> references */
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+/**
+ * @const {string[]} Computed style properties copied onto serialized SVG elements.
+ * A standalone SVG file can't see the page's stylesheets, so presentation that comes from
+ * CSS (fill colors, currentColor, fonts) has to be inlined.
+ */
+const SVG_STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+  'stroke-dashoffset', 'opacity', 'color', 'display', 'visibility', 'clip-rule',
+  'stop-color', 'stop-opacity', 'paint-order', 'font-family', 'font-size',
+  'font-weight', 'font-style', 'letter-spacing', 'text-anchor', 'dominant-baseline'
+];
+
+/** @const {string[]} Pseudo-elements checked for background images */
+const BACKGROUND_PSEUDO_ELEMENTS = ['', '::before', '::after'];
+
+/** @const {RegExp} Link paths that name an image file */
+const IMAGE_LINK_PATH = /\.(?:jpe?g|jfif|pjpeg|png|apng|gif|webp|avif|bmp|svg|ico|tiff?|heic)$/i;
+
+/**
+ * @const {string[]} Link attributes in which lightbox scripts keep the full-size image URL
+ * (PhotoSwipe, WooCommerce, zoom plugins); they take precedence over href
+ */
+const LIGHTBOX_URL_ATTRIBUTES = [
+  'data-pswp-src', 'data-large_image', 'data-zoom-image', 'data-full-url', 'data-full', 'data-hires'
+];
+
+/** @const {string} Links that lightbox scripts open as images (Fancybox, Lightbox2, PhotoSwipe, GLightbox, Magnific Popup) */
+const LIGHTBOX_LINK_SELECTOR = '[data-fancybox], [data-lightbox], [rel^="lightbox"], [data-pswp-width], .glightbox, .mfp-image';
+
+/**
+ * Finds the topmost image-like element at a viewport position.
+ * The page and document backgrounds are ignored so plain textured pages don't count as images.
+ * @param {number} x - Client X coordinate
+ * @param {number} y - Client Y coordinate
+ * @returns {{kind: string, element: Element, pseudo?: string, url?: string}|null} Target, or null if there is none
+ */
+function findImageTarget(x, y) {
+  for (const element of getElementStack(x, y)) {
+    const target = getImageTarget(element);
+    if (target) return target;
+  }
+  return null;
+}
+
+/**
+ * Lists the elements at a viewport position from top to bottom, including open shadow roots.
+ * @param {number} x - Client X coordinate
+ * @param {number} y - Client Y coordinate
+ * @param {Document|ShadowRoot} [root=document] - Root to hit-test
+ * @param {Set<Element>} [seen] - Elements already listed
+ * @returns {Element[]} Element stack
+ */
+function getElementStack(x, y, root = document, seen = new Set()) {
+  const stack = [];
+  for (const element of root.elementsFromPoint(x, y)) {
+    if (seen.has(element)) continue;
+    seen.add(element);
+
+    // Elements inside a shadow root paint above their host
+    if (element.shadowRoot && element.shadowRoot !== root) {
+      stack.push(...getElementStack(x, y, element.shadowRoot, seen));
+    }
+    stack.push(element);
+  }
+  return stack;
+}
+
+/**
+ * Classifies a single element as an image target.
+ * @param {Element} element - Element from the stack
+ * @returns {{kind: string, element: Element, pseudo?: string, url?: string}|null} Target, or null
+ */
+function getImageTarget(element) {
+  if (element.tagName === 'IMG') {
+    return element.currentSrc || element.src ? { kind: 'image', element } : null;
+  }
+
+  if (element.tagName === 'PICTURE') {
+    const img = element.querySelector('img');
+    return img ? { kind: 'image', element: img } : null;
+  }
+
+  if (element instanceof SVGElement) {
+    let svg = element.tagName.toLowerCase() === 'svg' ? element : element.ownerSVGElement;
+    while (svg?.ownerSVGElement) svg = svg.ownerSVGElement;
+    return svg ? { kind: 'svg', element: svg } : null;
+  }
+
+  if (element.tagName === 'CANVAS') {
+    return element.width > 0 && element.height > 0 ? { kind: 'canvas', element } : null;
+  }
+
+  if (element.tagName === 'VIDEO') {
+    return element.videoWidth > 0 ? { kind: 'video', element } : null;
+  }
+
+  if (element === document.documentElement || element === document.body) return null;
+
+  for (const pseudo of BACKGROUND_PSEUDO_ELEMENTS) {
+    const url = getBackgroundImageUrl(getComputedStyle(element, pseudo || null).backgroundImage);
+    if (url) return { kind: 'background', element, pseudo, url };
+  }
+  return null;
+}
+
+/**
+ * Finds a link to a full-size image around a right-clicked element.
+ * A link counts as verified when its path names an image file or a lightbox script opens it
+ * (a lightbox URL attribute is used instead of href). Other links around a thumbnail might serve
+ * an image without an extension; the service worker checks their content type.
+ * @param {Element} element - Element under the cursor (the event target)
+ * @param {{element: Element}|null} target - Image target under the cursor, which may be
+ *   covered by an overlay outside the link
+ * @returns {{url: string, verified: boolean, alt: string}|null} Linked image, or null if there is none
+ */
+function findLinkedImage(element, target) {
+  const link = element?.closest?.('a[href], area[href]') || target?.element.closest?.('a[href], area[href]');
+  if (!link) return null;
+
+  const thumbnail = link.querySelector('img');
+  const alt = (thumbnail?.alt || link.getAttribute('title') || '').trim();
+
+  for (const attribute of LIGHTBOX_URL_ATTRIBUTES) {
+    const url = resolveLinkUrl(link.getAttribute(attribute));
+    if (url) return { url, verified: true, alt };
+  }
+
+  const url = resolveLinkUrl(link.getAttribute('href'));
+  if (!url) return null;
+  if (IMAGE_LINK_PATH.test(new URL(url).pathname) || link.matches(LIGHTBOX_LINK_SELECTOR)) {
+    return { url, verified: true, alt };
+  }
+  return thumbnail || target?.kind === 'image' ? { url, verified: false, alt } : null;
+}
+
+/**
+ * Resolves a link URL against the document base URL.
+ * @param {string|null} value - Attribute value
+ * @returns {string|null} Absolute http(s) URL, or null for other schemes (javascript:, mailto:, #...)
+ */
+function resolveLinkUrl(value) {
+  if (!value || value.startsWith('#')) return null;
+  try {
+    const url = new URL(value, document.baseURI);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves a target to the data the service worker needs to save it.
+ * @param {{kind: string, element: Element, url?: string}} target - Target from findImageTarget()
+ * Video targets also carry the details from captureVideoFrame(); their `url` is null
+ * when the frame is tainted by cross-origin data.
+ * @returns {{url: (string|null), kind: string, alt: string, dimensions: Object}} Resolved image
+ * @throws {Error} If the target can't be exported (e.g. a cross-origin canvas)
+ */
+function resolveImageTarget(target) {
+  const { kind, element } = target;
+  const rect = element.getBoundingClientRect();
+  const dimensions = {
+    naturalWidth: 0,
+    naturalHeight: 0,
+    displayWidth: Math.round(rect.width),
+    displayHeight: Math.round(rect.height)
+  };
+
+  switch (kind) {
+    case 'image':
+      dimensions.naturalWidth = element.naturalWidth;
+      dimensions.naturalHeight = element.naturalHeight;
+      return { url: getBestImageUrl(element), kind, alt: element.alt || '', dimensions };
+
+    case 'background':
+      return { url: target.url, kind, alt: getAccessibleLabel(element), dimensions };
+
+    case 'svg':
+      return { url: serializeSvg(element), kind, alt: getAccessibleLabel(element), dimensions };
+
+    case 'canvas':
+      dimensions.naturalWidth = element.width;
+      dimensions.naturalHeight = element.height;
+      return { url: exportCanvas(element), kind, alt: getAccessibleLabel(element), dimensions };
+
+    case 'video':
+      dimensions.naturalWidth = element.videoWidth;
+      dimensions.naturalHeight = element.videoHeight;
+      return { ...captureVideoFrame(element), kind, alt: getAccessibleLabel(element), dimensions };
+
+    default:
+      throw new Error('Unsupported image target');
+  }
+}
+
+/**
+ * Picks the image URL from a computed background-image value.
+ * The first layer with a URL wins; for image-set() the highest resolution option is used.
+ * Gradients and other generated images are skipped.
+ * @param {string} value - Computed background-image value
+ * @returns {string|null} Absolute image URL, or null if there is none
+ */
+function getBackgroundImageUrl(value) {
+  if (!value || value === 'none') return null;
+
+  for (const layer of splitCssList(value)) {
+    const imageSet = /^(?:-webkit-)?image-set\(([\s\S]*)\)$/i.exec(layer.trim());
+    if (!imageSet) {
+      const url = parseCssUrl(layer);
+      if (url) return toAbsoluteURL(url);
+      continue;
+    }
+
+    let best = null;
+    for (const option of splitCssList(imageSet[1])) {
+      const url = parseCssUrl(option);
+      if (!url) continue;
+      const density = parseCssResolution(option);
+      if (!best || density > best.density) best = { url, density };
+    }
+    if (best) return toAbsoluteURL(best.url);
+  }
+  return null;
+}
+
+/**
+ * Splits a comma-separated CSS value at the top level, ignoring commas
+ * inside parentheses and quoted strings.
+ * @param {string} value - CSS value
+ * @returns {string[]} List items
+ */
+function splitCssList(value) {
+  const items = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === ',' && depth === 0) {
+      items.push(value.substring(start, i));
+      start = i + 1;
+    }
+  }
+  items.push(value.substring(start));
+  return items;
+}
+
+/**
+ * Reads the URL from a CSS image value: url(...) or, inside image-set(), a bare string.
+ * @param {string} text - CSS image value
+ * @returns {string|null} Unescaped URL, or null if the value is not a URL
+ */
+function parseCssUrl(text) {
+  const match = /^\s*(?:url\(\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^)\s]*))\s*\)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')/i.exec(text);
+  if (!match) return null;
+  const url = match.slice(1).find(group => group !== undefined);
+  return url ? url.replace(/\\(.)/g, '$1') : null;
+}
+
+/**
+ * Reads the resolution of an image-set() option in dots per CSS pixel.
+ * @param {string} option - image-set() option, e.g. 'url("a.png") 2x'
+ * @returns {number} Resolution (1 if none is given)
+ */
+function parseCssResolution(option) {
+  const match = /(\d*\.?\d+)(x|dppx|dpi|dpcm)\s*$/i.exec(option.replace(/type\([^)]*\)/i, '').trim());
+  if (!match) return 1;
+
+  const value = parseFloat(match[1]);
+  switch (match[2].toLowerCase()) {
+    case 'dpi': return value / 96;
+    case 'dpcm': return value * 2.54 / 96;
+    default: return value;
+  }
+}
+
+/**
+ * Serializes an inline SVG into a standalone data URL.
+ * Computed styles are inlined, <use> references to symbols elsewhere in the page are copied in,
+ * and the root is sized to its rendered size. External images and web fonts are not embedded.
+ * @param {SVGSVGElement} svg - Outermost SVG element
+ * @returns {string} SVG data URL
+ */
+function serializeSvg(svg) {
+  const clone = svg.cloneNode(true);
+  const sourceNodes = [svg, ...svg.querySelectorAll('*')];
+  const cloneNodes = [clone, ...clone.querySelectorAll('*')];
+
+  sourceNodes.forEach((node, i) => {
+    const computed = getComputedStyle(node);
+    for (const property of SVG_STYLE_PROPERTIES) {
+      const value = computed.getPropertyValue(property);
+      if (value) cloneNodes[i].style.setProperty(property, value);
+    }
+  });
+
+  inlineSvgReferences(svg, clone);
+
+  const rect = svg.getBoundingClientRect();
+  clone.setAttribute('xmlns', SVG_NAMESPACE);
+  clone.setAttribute('xmlns:xlink', XLINK_NAMESPACE);
+  clone.setAttribute('width', String(Math.round(rect.width) || 300));
+  clone.setAttribute('height', String(Math.round(rect.height) || 150));
+  clone.style.removeProperty('width');
+  clone.style.removeProperty('height');
+
+  const markup = new XMLSerializer().serializeToString(clone);
+  return 'data:image/svg+xml,' + encodeURIComponent(markup);
+}
+
+/**
+ * Copies elements referenced by <use> (icon sprite sheets) into the serialized SVG
+ * when they live outside of it.
+ * @param {SVGSVGElement} svg - Original SVG element
+ * @param {SVGSVGElement} clone - Clone being serialized
+ */
+function inlineSvgReferences(svg, clone) {
+  const root = svg.getRootNode();
+  let defs = null;
+
+  for (const use of clone.querySelectorAll('use')) {
+    const href = use.getAttribute('href') || use.getAttributeNS(XLINK_NAMESPACE, 'href') || '';
+    if (!href.startsWith('#')) continue;
+
+    const id = href.substring(1);
+    if (clone.querySelector(`[id="${CSS.escape(id)}"]`)) continue;
+
+    const referenced = root.getElementById?.(id) || document.getElementById(id);
+    if (!referenced) continue;
+
+    if (!defs) {
+      defs = document.createElementNS(SVG_NAMESPACE, 'defs');
+      clone.insertBefore(defs, clone.firstChild);
+    }
+    defs.appendChild(referenced.cloneNode(true));
+  }
+}
+
+/**
+ * Exports the pixels of a canvas as a PNG data URL.
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @returns {string} PNG data URL
+ * @throws {Error} If the canvas is tainted by cross-origin content
+ */
+function exportCanvas(canvas) {
+  try {
+    return canvas.toDataURL('image/png');
+  } catch (error) {
+    if (error.name === 'SecurityError') {
+      throw new Error('This canvas contains cross-origin content and cannot be exported');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Captures the currently displayed frame of a video at its intrinsic resolution.
+ * Frames of cross-origin videos can be drawn but not read back; in that case no URL is
+ * returned, and the video's visible area is reported so the service worker can capture
+ * the screen instead.
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {{url: (string|null), videoUrl: string, currentTime: number, topFrame: boolean,
+ *   visibleArea: ({x: number, y: number, width: number, height: number}|null)}} Frame details;
+ *   `visibleArea` is in fractions of the viewport
+ * @throws {Error} If the video has no decoded frame yet
+ */
+function captureVideoFrame(video) {
+  if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA || !video.videoWidth || !video.videoHeight) {
+    throw new Error('The video has no frame to capture yet. Start playback and try again.');
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  let url = null;
+
+  try {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Failed to get canvas 2D context');
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    url = canvas.toDataURL('image/png');
+  } catch (error) {
+    if (error.name !== 'SecurityError') throw error;
+  } finally {
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+
+  return {
+    url,
+    videoUrl: video.currentSrc || video.src || '',
+    currentTime: video.currentTime,
+    topFrame: window === window.top,
+    visibleArea: url ? null : getMediaViewportArea(video, video.videoWidth, video.videoHeight)
+  };
+}
+
+/**
+ * Computes where a video's or image's picture is visible in the viewport, as fractions of the viewport.
+ * Letterboxing from `object-fit: contain` (the default for videos) and the parts `cover` clips off
+ * are excluded. Uses getPictureBox() and getShownPictureBox() from content-crop.js.
+ * @param {HTMLVideoElement|HTMLImageElement} element - Video or image element
+ * @param {number} intrinsicWidth - Width of the picture in its own pixels
+ * @param {number} intrinsicHeight - Height of the picture in its own pixels
+ * @returns {{x: number, y: number, width: number, height: number}|null} Visible area, or null if off-screen
+ */
+function getMediaViewportArea(element, intrinsicWidth, intrinsicHeight) {
+  const picture = getPictureBox(element, intrinsicWidth, intrinsicHeight);
+  const { left, top, width, height } = getShownPictureBox(element, picture);
+
+  const viewportWidth = window.innerWidth;
+  const viewportHeight = window.innerHeight;
+  const x1 = Math.max(0, left);
+  const y1 = Math.max(0, top);
+  const x2 = Math.min(viewportWidth, left + width);
+  const y2 = Math.min(viewportHeight, top + height);
+  if (x2 <= x1 || y2 <= y1) return null;
+
+  return {
+    x: x1 / viewportWidth,
+    y: y1 / viewportHeight,
+    width: (x2 - x1) / viewportWidth,
+    height: (y2 - y1) / viewportHeight
+  };
+}
+
+/**
+ * Reads an image the page has already rendered, for when its URL can't be downloaded (e.g. a
+ * revoked blob: URL, or a server that only answers the page once). The image is found by URL.
+ * Images tainted by cross-origin data can't be read back; for those the visible area is reported
+ * so the service worker can capture the screen instead.
+ * @param {string} url - Image URL
+ * @returns {{dataUrl?: string, topFrame?: boolean,
+ *   visibleArea?: ({x: number, y: number, width: number, height: number}|null)}} PNG data URL, or
+ *   where the image is on screen
+ * @throws {Error} If no loaded image on the page has that URL (`kind` "unavailable")
+ */
+function extractRenderedImage(url) {
+  const img = Array.from(document.images).find(image => image.complete && image.naturalWidth > 0 &&
+    (toAbsoluteURL(image.currentSrc || image.src) === url || getBestImageUrl(image) === url));
+  if (!img) {
+    throw Object.assign(new Error('The image is no longer on the page'), { kind: 'unavailable' });
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  try {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Failed to get canvas 2D context');
+    ctx.drawImage(img, 0, 0);
+    return { dataUrl: canvas.toDataURL('image/png') };
+  } catch (error) {
+    if (error.name !== 'SecurityError') throw error;
+    return {
+      topFrame: window === window.top,
+      visibleArea: getMediaViewportArea(img, img.naturalWidth, img.naturalHeight)
+    };
+  } finally {
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+}
+
+/**
+ * Returns a short text label for a non-<img> target (used for the {alt} filename token).
+ * @param {Element} element - Target element
+ * @returns {string} aria-label, title or SVG <title> text, or an empty string
+ */
+function getAccessibleLabel(element) {
+  const label = element.getAttribute('aria-label') || element.getAttribute('title') ||
+    element.querySelector?.(':scope > title')?.textContent || '';
+  return label.trim();
+}
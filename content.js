@@ -1,88 +1,252 @@
 /**
  * @fileoverview Content Script for Save as JPG Chrome Extension
- * Captures the highest-resolution image URL from right-clicked images.
- * Handles srcset parsing, lazy-loading attributes, and URL normalization.
+ * Captures the highest-resolution image URL from right-clicked images and linked thumbnails,
+ * and lists every image on the page for batch saves.
+ * Handles lazy-loading attributes, URL normalization and clipboard fallback writes.
  * @author GosuDRM
  * @license MIT
  */
 
 'use strict';
 
-/** @type {HTMLImageElement|null} Reference to the last right-clicked image element */
-let lastClickedImage = null;
+/** @const {number} Timeout for fetching an image from the page, in milliseconds */
+const PAGE_FETCH_TIMEOUT_MS = 30000;
+
+/** @type {{kind: string, element: Element}|null} Image-like element under the last right-click or quick save */
+let lastContextTarget = null;
+
+/** @type {{url: string, verified: boolean, alt: string}|null} Image link under the last right-click */
+let lastContextLink = null;
 
 /**
- * Captures the image element on right-click (contextmenu event).
+ * Finds the image-like element under the cursor on right-click (contextmenu event).
  * Uses capture phase to ensure we get the event before it bubbles.
  */
 document.addEventListener('contextmenu', (event) => {
-  const target = event.target;
-  if (target.tagName === 'IMG') {
-    lastClickedImage = target;
-  } else {
-    lastClickedImage = null;
-  }
+  lastContextTarget = findImageTarget(event.clientX, event.clientY);
+  lastContextLink = findLinkedImage(event.target, lastContextTarget);
+  reportContextTarget(event, lastContextTarget, lastContextLink);
 }, true);
 
+/**
+ * Reports the target as early as possible on right mouse button press, so the service worker
+ * can show or hide the page-level "Save image as" menu before the browser builds the menu.
+ */
+document.addEventListener('mousedown', (event) => {
+  if (event.button !== 2) return;
+  const target = findImageTarget(event.clientX, event.clientY);
+  reportContextTarget(event, target, findLinkedImage(event.target, target));
+}, true);
+
+/**
+ * Tells the service worker whether the element menu and the linked image entry should be shown.
+ * Plain <img> and <video> elements under the cursor already get the browser's own context menu entries.
+ * @param {MouseEvent} event - Mouse event
+ * @param {{kind: string, element: Element}|null} target - Detected target
+ * @param {Object|null} link - Linked image from findLinkedImage()
+ */
+function reportContextTarget(event, target, link) {
+  const visible = Boolean(target) &&
+    !((target.kind === 'image' || target.kind === 'video') && target.element === event.target);
+  try {
+    chrome.runtime.sendMessage({ type: 'CONTEXT_TARGET', visible, linkedImage: Boolean(link) }).catch(() => {});
+  } catch {
+    // Extension was reloaded; this content script is orphaned
+  }
+}
+
 /**
  * Listens for messages from the service worker.
  * Responds with the best available image URL and dimensions.
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'GET_IMAGE_URL') {
-    if (lastClickedImage) {
-      const imageUrl = getBestImageUrl(lastClickedImage);
-      const dimensions = {
-        naturalWidth: lastClickedImage.naturalWidth,
-        naturalHeight: lastClickedImage.naturalHeight,
-        displayWidth: lastClickedImage.width,
-        displayHeight: lastClickedImage.height
-      };
-      // Clear reference to prevent stale data on next request
-      lastClickedImage = null;
-      sendResponse({ url: imageUrl, dimensions, found: true });
-    } else {
+    const target = lastContextTarget;
+    // Clear reference to prevent stale data on next request
+    lastContextTarget = null;
+    if (!target) {
       sendResponse({ url: message.fallbackUrl, found: false });
+      return true;
+    }
+
+    try {
+      sendResponse({ ...resolveImageTarget(target), found: true });
+    } catch (error) {
+      sendResponse({ url: message.fallbackUrl, found: false, error: error.message });
     }
     return true; // Required for async response
   }
+
+  if (message.type === 'GET_LINKED_IMAGE') {
+    const link = lastContextLink;
+    lastContextLink = null;
+    sendResponse(link ? { ...link, found: true } : { found: false });
+    return true;
+  }
+
+  if (message.type === 'SAVE_IMAGE_UNDER_POINTER') {
+    // Sent to every frame; only the one under the pointer answers, so the first answer is the right one
+    if (saveImageUnderPointer()) sendResponse({ found: true });
+    return false;
+  }
+
+  if (message.type === 'GET_ALL_IMAGES') {
+    sendResponse({ images: collectPageImages() });
+    return true;
+  }
+
+  if (message.type === 'CAPTURE_PREPARE') {
+    sendResponse(prepareFullPageCapture());
+    return true;
+  }
+
+  if (message.type === 'CAPTURE_SCROLL') {
+    scrollForCapture(message.y, message.hideFixed).then(y => sendResponse({ y }));
+    return true;
+  }
+
+  if (message.type === 'CAPTURE_RESTORE') {
+    restoreFullPageCapture();
+    sendResponse({ restored: true });
+    return true;
+  }
+
+  if (message.type === 'START_CROP') {
+    const img = lastContextTarget?.kind === 'image' ? lastContextTarget.element : null;
+    lastContextTarget = null;
+    if (!img) {
+      sendResponse({ started: false });
+      return true;
+    }
+
+    // The selection comes back as a separate message once the user confirms it
+    showCropOverlay(img, (selection, displaySize) => {
+      try {
+        chrome.runtime.sendMessage({
+          type: 'CROP_SELECTED',
+          url: getBestImageUrl(img),
+          alt: img.alt || '',
+          selection,
+          displayWidth: displaySize.width,
+          displayHeight: displaySize.height
+        }).catch(() => {});
+      } catch {
+        // Extension was reloaded while the overlay was open; this content script is orphaned
+      }
+    });
+    sendResponse({ started: true });
+    return true;
+  }
+
+  if (message.type === 'FETCH_IMAGE') {
+    fetchImageFromPage(message.url)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message, status: error.status, kind: error.kind }));
+    return true;
+  }
+
+  if (message.type === 'EXTRACT_RENDERED_IMAGE') {
+    try {
+      sendResponse(extractRenderedImage(message.url));
+    } catch (error) {
+      sendResponse({ error: error.message, kind: error.kind });
+    }
+    return true;
+  }
+
+  if (message.type === 'WRITE_CLIPBOARD_IMAGE') {
+    writeClipboardImage(message.dataUrl)
+      .then(() => sendResponse({ copied: true }))
+      .catch(error => sendResponse({ copied: false, error: error.message }));
+    return true;
+  }
 });
 
+/**
+ * Writes a PNG to the clipboard from the page, which has focus right after a context menu click.
+ * Used when the offscreen document is not allowed to write it.
+ * @param {string} dataUrl - PNG data URL
+ * @returns {Promise<void>} Resolves once the clipboard is written
+ */
+async function writeClipboardImage(dataUrl) {
+  const binary = atob(dataUrl.substring(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  await navigator.clipboard.write([new ClipboardItem({ 'image/png': new Blob([bytes], { type: 'image/png' }) })]);
+}
+
+/**
+ * Fetches an image the way the page would, with its cookies and Referer, for servers that refuse
+ * the service worker. Page-scoped blob: URLs can only be read here.
+ * @param {string} url - Image URL
+ * @returns {Promise<{dataUrl: string}>} Image data as a data URL
+ * @throws {Error} With `status` for HTTP errors, or `kind` "timeout" or "cors"
+ */
+async function fetchImageFromPage(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PAGE_FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+    if (!response.ok) {
+      throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+    }
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve({ dataUrl: reader.result });
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw Object.assign(new Error('Image fetch timed out'), { kind: 'timeout' });
+    }
+    // Fetch hides why a request failed; for another origin it is almost always CORS
+    if (error.name === 'TypeError' && new URL(url, location.href).origin !== location.origin) {
+      throw Object.assign(new Error(error.message), { kind: 'cors' });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Lists every image element on the page with its best available URL.
+ * Filtering and de-duplication happen in the service worker.
+ * @returns {Array<{url: string, naturalWidth: number, naturalHeight: number, alt: string}>} Page images
+ */
+function collectPageImages() {
+  const images = [];
+  for (const img of document.images) {
+    const url = getBestImageUrl(img);
+    if (!url) continue;
+
+    // Natural size only describes the resolved URL if that is what the element loaded;
+    // lazy placeholders and smaller srcset candidates report 0 so the size is checked after fetching
+    const isLoaded = img.complete && url === toAbsoluteURL(img.currentSrc || img.src);
+    images.push({
+      url,
+      naturalWidth: isLoaded ? img.naturalWidth : 0,
+      naturalHeight: isLoaded ? img.naturalHeight : 0,
+      alt: img.alt || ''
+    });
+  }
+  return images;
+}
+
 /**
  * Determines the highest-resolution URL available for an image element.
- * Priority: srcset (highest width/density) > currentSrc > lazy-load attrs > src
+ * Priority: largest srcset candidate of the image and its <picture> sources (see content-srcset.js)
+ * > currentSrc > lazy-load attrs > src
  * @param {HTMLImageElement} img - Target image element
  * @returns {string} Best available image URL (absolute)
  */
 function getBestImageUrl(img) {
   try {
-    let bestUrl = null;
-
-    // Priority 1: Parse srcset for highest resolution candidate
-    if (img.srcset) {
-      const candidates = parseSrcset(img.srcset);
-      if (candidates.length > 0) {
-        let maxW = 0, maxX = 0;
-        let bestWUrl = null, bestXUrl = null;
-
-        for (const c of candidates) {
-          if (c.descriptor.endsWith('w')) {
-            const w = parseInt(c.descriptor, 10) || 0;
-            if (w > maxW) {
-              maxW = w;
-              bestWUrl = c.url;
-            }
-          } else if (c.descriptor.endsWith('x')) {
-            const x = parseFloat(c.descriptor) || 1;
-            if (x > maxX) {
-              maxX = x;
-              bestXUrl = c.url;
-            }
-          }
-        }
-        bestUrl = bestWUrl || bestXUrl || candidates[candidates.length - 1].url;
-      }
-    }
+    // Priority 1: Largest srcset candidate, including <source> variants for other viewports
+    let bestUrl = getLargestImageCandidate(img);
 
     // Priority 2: Browser's resolved currentSrc (may differ from src)
     if (!bestUrl && img.currentSrc && img.currentSrc !== img.src) {
@@ -115,24 +279,6 @@ function getBestImageUrl(img) {
   }
 }
 
-/**
- * Parses the srcset attribute into an array of URL/descriptor pairs.
- * @param {string} srcset - Raw srcset attribute value
- * @returns {Array<{url: string, descriptor: string}>} Parsed candidates
- */
-function parseSrcset(srcset) {
-  const candidates = [];
-  const parts = srcset.split(',').map(s => s.trim()).filter(Boolean);
-
-  for (const part of parts) {
-    const tokens = part.split(/\s+/);
-    const url = tokens[0];
-    const descriptor = tokens[1] || '1x';
-    if (url) candidates.push({ url, descriptor });
-  }
-  return candidates;
-}
-
 /**
  * Converts a relative or protocol-relative URL to an absolute URL.
  * @param {string} url - URL to normalize
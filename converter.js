@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Local File Converter Controller for Save as JPG Chrome Extension
+ * Converts image files dropped on or picked in the page one at a time through the service
+ * worker's conversion pipeline (the user's background, quality and resize settings), shows
+ * before/after previews with the size change, and saves results one by one or all together.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {RegExp} Image file extensions accepted when the browser reports no MIME type */
+const CONVERTER_IMAGE_EXTENSION = /\.(?:jpe?g|jfif|png|webp|gif|avif|bmp|ico|svg)$/i;
+
+/** @const {Object<string, string>} Output format labels by format key */
+const CONVERTER_FORMAT_LABELS = { jpg: 'JPG', png: 'PNG', webp: 'WebP', avif: 'AVIF' };
+
+/**
+ * @typedef {Object} ConverterEntry
+ * @property {File} file - Dropped or picked file
+ * @property {string} beforeUrl - Object URL of the original file
+ * @property {{dataUrl: string, url: string, bytes: number, width: number, height: number, format: string}|null} result -
+ *   Converted image with its object URL, size and output format, null until converted
+ * @property {string} state - "queued", "working", "done" or "failed"
+ * @property {HTMLLIElement} item - List entry
+ */
+
+/** @type {ConverterEntry[]} Files in the order they were added */
+let converterEntries = [];
+
+/** @type {boolean} Whether the conversion queue is being worked through */
+let converterRunning = false;
+
+/**
+ * Initializes the converter page.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  applyTheme();
+  applyI18n(document);
+
+  const dropZone = document.getElementById('converterDropZone');
+  const input = document.getElementById('converterInput');
+
+  input.addEventListener('change', () => {
+    addFiles(input.files);
+    input.value = '';
+  });
+  dropZone.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      input.click();
+    }
+  });
+  dropZone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    dropZone.classList.add('dragging');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+  // Files dropped anywhere else would make the browser navigate away to them
+  document.addEventListener('dragover', event => event.preventDefault());
+  document.addEventListener('drop', (event) => {
+    event.preventDefault();
+    dropZone.classList.remove('dragging');
+    addFiles(event.dataTransfer.files);
+  });
+
+  document.getElementById('converterFormat').addEventListener('change', reconvertAll);
+  document.getElementById('converterSaveAll').addEventListener('click', () => {
+    saveEntries(converterEntries.filter(entry => entry.result));
+  });
+  document.getElementById('converterClear').addEventListener('click', () => {
+    for (const entry of [...converterEntries]) removeEntry(entry);
+  });
+});
+
+/**
+ * Adds image files to the list and queues them for conversion. Other files are skipped.
+ * @param {FileList} files - Dropped or picked files
+ */
+function addFiles(files) {
+  const images = [...files].filter(file => file.type.startsWith('image/') || CONVERTER_IMAGE_EXTENSION.test(file.name));
+  const skipped = files.length - images.length;
+  if (skipped > 0) {
+    showStatus(`${skipped} file(s) skipped: not an image.`, 'error');
+  }
+
+  const list = document.getElementById('converterList');
+  for (const file of images) {
+    const entry = { file, beforeUrl: URL.createObjectURL(file), result: null, state: 'queued', item: null };
+    entry.item = createEntryElement(entry);
+    converterEntries.push(entry);
+    list.appendChild(entry.item);
+  }
+  updateToolbar();
+  runQueue();
+}
+
+/**
+ * Converts queued files one at a time, so large batches don't hold many decoded images at once.
+ */
+async function runQueue() {
+  if (converterRunning) return;
+  converterRunning = true;
+  try {
+    let entry;
+    while ((entry = converterEntries.find(candidate => candidate.state === 'queued'))) {
+      await convertEntry(entry);
+      updateToolbar();
+    }
+  } finally {
+    converterRunning = false;
+    updateToolbar();
+  }
+}
+
+/**
+ * Converts one file to the selected output format.
+ * @param {ConverterEntry} entry - File to convert
+ */
+async function convertEntry(entry) {
+  const format = document.getElementById('converterFormat').value;
+  setEntryState(entry, 'working');
+
+  let response;
+  let blob;
+  try {
+    response = await chrome.runtime.sendMessage({
+      type: 'CONVERT_LOCAL_FILE',
+      dataUrl: await readFileAsDataURL(entry.file),
+      name: entry.file.name,
+      format
+    });
+    if (response?.dataUrl) blob = await (await fetch(response.dataUrl)).blob();
+  } catch (error) {
+    response = { error: error.message };
+  }
+
+  // Removed, or queued again for another format, while it was converting
+  if (!converterEntries.includes(entry) || entry.state !== 'working') return;
+
+  if (!response || response.error || !blob) {
+    setEntryState(entry, 'failed', response?.error || 'Conversion failed');
+    return;
+  }
+
+  entry.result = {
+    dataUrl: response.dataUrl,
+    url: URL.createObjectURL(blob),
+    bytes: blob.size,
+    width: response.width,
+    height: response.height,
+    format
+  };
+  setEntryState(entry, 'done');
+}
+
+/**
+ * Queues every file again after the output format changed.
+ */
+function reconvertAll() {
+  for (const entry of converterEntries) {
+    clearResult(entry);
+    setEntryState(entry, 'queued');
+  }
+  updateToolbar();
+  runQueue();
+}
+
+/**
+ * Reads a file into a data URL, the form in which it is sent to the service worker.
+ * @param {File} file - File to read
+ * @returns {Promise<string>} Data URL
+ */
+function readFileAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Builds the list entry for a file.
+ * @param {ConverterEntry} entry - File entry
+ * @returns {HTMLLIElement} List entry
+ */
+function createEntryElement(entry) {
+  const template = document.getElementById('converterEntryTemplate');
+  const item = template.content.firstElementChild.cloneNode(true);
+  applyI18n(item);
+
+  const before = item.querySelector('.converter-before');
+  before.src = entry.beforeUrl;
+  before.addEventListener('load', () => updateEntryElement(entry), { once: true });
+  item.querySelector('.converter-name').textContent = entry.file.name;
+
+  item.querySelector('[data-action="save"]').addEventListener('click', () => saveEntries([entry]));
+  item.querySelector('[data-action="remove"]').addEventListener('click', () => removeEntry(entry));
+  return item;
+}
+
+/**
+ * Sets a file's conversion state and updates its list entry.
+ * @param {ConverterEntry} entry - File entry
+ * @param {string} state - "queued", "working", "done" or "failed"
+ * @param {string} [error] - Error message for "failed"
+ */
+function setEntryState(entry, state, error = '') {
+  entry.state = state;
+  entry.item.dataset.state = state;
+  const errorElement = entry.item.querySelector('.converter-error');
+  errorElement.textContent = error;
+  errorElement.hidden = !error;
+  updateEntryElement(entry);
+}
+
+/**
+ * Shows a file's dimensions, the converted preview and the size change.
+ * @param {ConverterEntry} entry - File entry
+ */
+function updateEntryElement(entry) {
+  const { item, result } = entry;
+  const before = item.querySelector('.converter-before');
+  const after = item.querySelector('.converter-after');
+
+  const meta = [];
+  if (before.naturalWidth) meta.push(`${before.naturalWidth}×${before.naturalHeight}`);
+  if (result && (result.width !== before.naturalWidth || result.height !== before.naturalHeight)) {
+    meta.push(`→ ${result.width}×${result.height}`);
+  }
+  if (entry.state === 'queued' || entry.state === 'working') {
+    meta.push(chrome.i18n.getMessage('converterWorking') || 'Converting…');
+  }
+  item.querySelector('.converter-meta').textContent = meta.join(' ');
+
+  after.hidden = !result;
+  if (result) {
+    after.src = result.url;
+  } else {
+    after.removeAttribute('src');
+  }
+
+  const delta = item.querySelector('.converter-delta');
+  delta.textContent = result ? describeSizeChange(entry.file, result) : '';
+  delta.classList.toggle('larger', Boolean(result) && result.bytes > entry.file.size);
+  item.querySelector('[data-action="save"]').disabled = !result;
+}
+
+/**
+ * Describes the size change of a conversion, e.g. "PNG 1.2 MB → JPG 340 KB (−72%)".
+ * @param {File} file - Original file
+ * @param {{bytes: number, format: string}} result - Converted image
+ * @returns {string} Size change
+ */
+function describeSizeChange(file, result) {
+  const change = file.size > 0 ? Math.round((result.bytes / file.size - 1) * 100) : 0;
+  const sign = change > 0 ? '+' : change < 0 ? '−' : '±';
+  return `${getSourceFormatLabel(file)} ${formatByteSize(file.size)} → ` +
+    `${CONVERTER_FORMAT_LABELS[result.format]} ${formatByteSize(result.bytes)} (${sign}${Math.abs(change)}%)`;
+}
+
+/**
+ * Returns a short label for a file's format, from its MIME type or else its extension.
+ * @param {File} file - Original file
+ * @returns {string} Format label, e.g. "PNG" or "SVG"
+ */
+function getSourceFormatLabel(file) {
+  const subtype = file.type.startsWith('image/') ? file.type.slice(6).split('+')[0] : '';
+  const extension = file.name.includes('.') ? file.name.split('.').pop() : '';
+  return (subtype || extension || '?').replace(/^x-/, '').toUpperCase();
+}
+
+/**
+ * Removes a file from the list and releases its previews.
+ * @param {ConverterEntry} entry - File entry
+ */
+function removeEntry(entry) {
+  converterEntries = converterEntries.filter(candidate => candidate !== entry);
+  clearResult(entry);
+  URL.revokeObjectURL(entry.beforeUrl);
+  entry.item.remove();
+  updateToolbar();
+}
+
+/**
+ * Discards a file's converted image.
+ * @param {ConverterEntry} entry - File entry
+ */
+function clearResult(entry) {
+  if (entry.result) URL.revokeObjectURL(entry.result.url);
+  entry.result = null;
+}
+
+/**
+ * Enables the toolbar buttons for the current files and sums up the size change.
+ */
+function updateToolbar() {
+  const converted = converterEntries.filter(entry => entry.result);
+  document.getElementById('converterClear').disabled = converterEntries.length === 0;
+  document.getElementById('converterSaveAll').disabled = converterRunning || converted.length === 0;
+
+  const summary = document.getElementById('converterSummary');
+  if (converted.length === 0) {
+    summary.textContent = '';
+    return;
+  }
+  const before = converted.reduce((total, entry) => total + entry.file.size, 0);
+  const after = converted.reduce((total, entry) => total + entry.result.bytes, 0);
+  summary.textContent = `${converted.length} converted · ${formatByteSize(before)} → ${formatByteSize(after)}`;
+}
+
+/**
+ * Asks the service worker to save converted files, named by the filename template.
+ * Several files go into one ZIP archive when ZIP bundling is on.
+ * @param {ConverterEntry[]} entries - Converted files
+ */
+async function saveEntries(entries) {
+  if (entries.length === 0) return;
+  const response = await chrome.runtime.sendMessage({
+    type: 'SAVE_LOCAL_FILES',
+    format: entries[0].result.format,
+    files: entries.map(entry => ({
+      name: entry.file.name,
+      type: entry.file.type,
+      size: entry.file.size,
+      dataUrl: entry.result.dataUrl,
+      width: entry.result.width,
+      height: entry.result.height
+    }))
+  }).catch(error => ({ error: error.message }));
+
+  if (!response || response.error) {
+    showStatus(response?.error || 'Save failed', 'error');
+    return;
+  }
+  showStatus(`${response.saved} file(s) saved.`, 'success');
+}
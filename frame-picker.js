@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Frame Picker Controller for Save as JPG Chrome Extension
+ * Previews the frames of an animated GIF or WebP and asks the service worker to save the
+ * chosen frame, or all frames, as JPG. The image details are handed over in session storage.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {number} Pixels kept for all preview frames together (about 256 MB); larger animations are previewed scaled down */
+const FRAME_PICKER_PIXEL_BUDGET = 64 * 1024 * 1024;
+
+/** @const {number} Longest preview edge in pixels */
+const FRAME_PICKER_MAX_PREVIEW = 1280;
+
+/** @type {Object|null} Image URL and page details from the service worker */
+let pickerSource = null;
+
+/** @type {Array<{bitmap: ImageBitmap, time: number}>} Rendered preview frames */
+let previewFrames = [];
+
+/** @type {string} Background color the frames are previewed on */
+let previewBackground = '#ffffff';
+
+/**
+ * Initializes the page.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  applyTheme();
+  applyI18n();
+
+  document.getElementById('frameSlider').addEventListener('input', event => showFrame(Number(event.target.value)));
+  document.getElementById('prevFrame').addEventListener('click', () => stepFrame(-1));
+  document.getElementById('nextFrame').addEventListener('click', () => stepFrame(1));
+  document.getElementById('saveFrame').addEventListener('click', () => saveFrames('SAVE_ANIMATION_FRAME'));
+  document.getElementById('saveAll').addEventListener('click', () => saveFrames('SAVE_ANIMATION_FRAMES'));
+  document.addEventListener('keydown', event => {
+    if (event.target.id === 'frameSlider') return; // The slider handles its own arrow keys
+    if (event.key === 'ArrowLeft') stepFrame(-1);
+    if (event.key === 'ArrowRight') stepFrame(1);
+  });
+  window.addEventListener('pagehide', releaseFrames);
+
+  loadAnimation().catch(error => {
+    console.error('[Save as JPG] Frame picker failed:', error);
+    document.getElementById('loading').hidden = true;
+    showStatus(error.message, 'error', true);
+  });
+});
+
+/**
+ * Reads the image handed over by the service worker, decodes its frames and enables the controls.
+ * @throws {Error} If the hand-over expired or the image cannot be loaded or is not animated
+ */
+async function loadAnimation() {
+  const key = new URLSearchParams(location.search).get('key') || '';
+  const { [key]: handOver } = await chrome.storage.session.get(key);
+  await chrome.storage.session.remove(key);
+  if (!handOver) {
+    throw new Error('This window has expired. Right-click the image and choose a frame again.');
+  }
+  pickerSource = handOver.source;
+  previewBackground = handOver.bgColor;
+
+  document.getElementById('imageName').textContent = getDisplayName(pickerSource.url);
+
+  // The service worker fetches with the page's referrer and cookies, as when the frames are saved
+  const response = await chrome.runtime.sendMessage({ type: 'GET_ANIMATION_DATA', source: pickerSource });
+  if (!response) throw new Error('The extension did not respond');
+  if (response.error) throw new Error(response.error);
+  const bytes = await (await fetch(response.dataUrl)).arrayBuffer();
+  const animation = parseAnimation(new Uint8Array(bytes));
+  if (!animation) throw new Error('This image is not animated.');
+
+  await renderPreviewFrames(animation);
+
+  const slider = document.getElementById('frameSlider');
+  slider.max = String(previewFrames.length - 1);
+  for (const id of ['frameSlider', 'prevFrame', 'nextFrame', 'saveFrame', 'saveAll']) {
+    document.getElementById(id).disabled = false;
+  }
+  document.getElementById('loading').hidden = true;
+  showFrame(0);
+  slider.focus();
+}
+
+/**
+ * Renders every frame once into preview bitmaps, scaled down so that all frames fit in
+ * FRAME_PICKER_PIXEL_BUDGET. Saving always decodes the original at full size.
+ * @param {Object} animation - Animation from parseAnimation()
+ */
+async function renderPreviewFrames(animation) {
+  const frameCount = animation.frames.length;
+  const scale = Math.min(
+    1,
+    FRAME_PICKER_MAX_PREVIEW / Math.max(animation.width, animation.height),
+    Math.sqrt(FRAME_PICKER_PIXEL_BUDGET / (animation.width * animation.height * frameCount))
+  );
+  const resizeWidth = Math.max(1, Math.round(animation.width * scale));
+  const resizeHeight = Math.max(1, Math.round(animation.height * scale));
+  const loading = document.getElementById('loading');
+
+  await renderAnimationFrames(animation, createCanvas, async (canvas, index, time) => {
+    const bitmap = await createImageBitmap(canvas, { resizeWidth, resizeHeight, resizeQuality: 'high' });
+    previewFrames.push({ bitmap, time });
+    loading.textContent = `${index + 1} / ${frameCount}`;
+  });
+}
+
+/**
+ * Draws a frame on the background color and updates the frame label.
+ * @param {number} index - Frame index
+ */
+function showFrame(index) {
+  const frame = previewFrames[index];
+  if (!frame) return;
+
+  const canvas = document.getElementById('preview');
+  canvas.width = frame.bitmap.width;
+  canvas.height = frame.bitmap.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = previewBackground;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(frame.bitmap, 0, 0);
+
+  document.getElementById('frameSlider').value = String(index);
+  document.getElementById('frameValue').textContent =
+    `${index + 1} / ${previewFrames.length} · ${(frame.time / 1000).toFixed(2)} s`;
+}
+
+/**
+ * Moves the selection by a number of frames.
+ * @param {number} delta - Frames to move (negative = backwards)
+ */
+function stepFrame(delta) {
+  if (previewFrames.length === 0) return;
+  const slider = document.getElementById('frameSlider');
+  showFrame(Math.min(previewFrames.length - 1, Math.max(0, Number(slider.value) + delta)));
+}
+
+/**
+ * Asks the service worker to save the selected frame or all frames, and closes the window on success.
+ * @param {string} type - SAVE_ANIMATION_FRAME or SAVE_ANIMATION_FRAMES
+ */
+async function saveFrames(type) {
+  const buttons = [document.getElementById('saveFrame'), document.getElementById('saveAll')];
+  buttons.forEach(button => { button.disabled = true; });
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type,
+      source: pickerSource,
+      frame: Number(document.getElementById('frameSlider').value)
+    });
+    if (!response) throw new Error('The extension did not respond');
+    if (response.error) throw new Error(response.error);
+    window.close();
+  } catch (error) {
+    showStatus(error.message, 'error', true);
+    buttons.forEach(button => { button.disabled = false; });
+  }
+}
+
+/**
+ * Creates a canvas element.
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {HTMLCanvasElement} Canvas
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Releases the preview bitmaps.
+ */
+function releaseFrames() {
+  previewFrames.forEach(frame => frame.bitmap.close());
+  previewFrames = [];
+}
+
+/**
+ * Shortens the image URL to its file name for the header.
+ * @param {string} url - Image URL
+ * @returns {string} File name, or an empty string for data: and blob: URLs
+ */
+function getDisplayName(url) {
+  if (!/^https?:/i.test(url)) return '';
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  } catch (e) {
+    return '';
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview History Page Controller for Save as JPG Chrome Extension
+ * Lists past conversions from lib/history.js with search, "Show in folder", converting again
+ * with changed settings, and deleting entries.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * @const {Object<string, {label: string, lossy: boolean, minQuality?: number}>} Output formats offered for
+ * converting again, with the lowest quality offered (JPG quality starts at 70%, like in the settings)
+ */
+const HISTORY_FORMATS = {
+  jpg: { label: 'JPG', lossy: true, minQuality: 0.7 },
+  png: { label: 'PNG', lossy: false },
+  webp: { label: 'WebP', lossy: true, minQuality: 0.5 },
+  avif: { label: 'AVIF', lossy: true, minQuality: 0.5 }
+};
+
+/** @type {HistoryEntry[]} Entries as last read from storage */
+let historyEntries = [];
+
+/**
+ * Initializes the page.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  applyTheme();
+  applyI18n(document);
+
+  document.getElementById('historySearch').addEventListener('input', renderHistory);
+  document.getElementById('clearHistory').addEventListener('click', async () => {
+    if (historyEntries.length === 0) return;
+    if (!confirm(chrome.i18n.getMessage('historyClearConfirm') || 'Delete the whole conversion history?')) return;
+    await sendHistoryMessage({ type: 'CLEAR_HISTORY' });
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && HISTORY_STORAGE_KEY in changes) loadHistory();
+  });
+  loadHistory();
+});
+
+/**
+ * Reads the history and renders it.
+ */
+async function loadHistory() {
+  historyEntries = await getHistoryEntries();
+  renderHistory();
+}
+
+/**
+ * Renders the entries that match the search box, and the totals in the header.
+ */
+function renderHistory() {
+  const query = document.getElementById('historySearch').value.trim().toLowerCase();
+  const entries = query ? historyEntries.filter(entry => matchesSearch(entry, query)) : historyEntries;
+
+  const list = document.getElementById('historyList');
+  list.replaceChildren(...entries.map(createEntryElement));
+  document.getElementById('historyEmpty').hidden = historyEntries.length > 0;
+  document.getElementById('historyStats').textContent = getHistoryStats(historyEntries);
+}
+
+/**
+ * Checks whether an entry matches a search query.
+ * @param {HistoryEntry} entry - History entry
+ * @param {string} query - Lowercase search text
+ * @returns {boolean} True if any text field contains the query
+ */
+function matchesSearch(entry, query) {
+  return [entry.filename, entry.sourceUrl, entry.pageUrl, entry.pageTitle, entry.alt, entry.error]
+    .some(text => (text || '').toLowerCase().includes(query));
+}
+
+/**
+ * Summarizes the history: number of conversions, failures and bytes saved.
+ * @param {HistoryEntry[]} entries - All entries
+ * @returns {string} Summary line
+ */
+function getHistoryStats(entries) {
+  if (entries.length === 0) return '';
+
+  const converted = entries.filter(entry => !entry.error);
+  const parts = [`${converted.length} conversions`];
+  const failed = entries.length - converted.length;
+  if (failed) parts.push(`${failed} failed`);
+
+  const sourceBytes = converted.reduce((sum, entry) => sum + entry.sourceBytes, 0);
+  const outputBytes = converted.reduce((sum, entry) => sum + entry.outputBytes, 0);
+  if (sourceBytes > 0) {
+    parts.push(`${formatByteSize(sourceBytes)} → ${formatByteSize(outputBytes)}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Builds the list item for an entry from the template.
+ * @param {HistoryEntry} entry - History entry
+ * @returns {HTMLLIElement} List item
+ */
+function createEntryElement(entry) {
+  const item = document.getElementById('historyEntryTemplate').content.firstElementChild.cloneNode(true);
+  applyI18n(item);
+
+  const thumb = item.querySelector('.history-thumb');
+  if (entry.thumbnail) {
+    thumb.src = entry.thumbnail;
+  } else {
+    thumb.hidden = true;
+  }
+
+  item.querySelector('.history-name').textContent =
+    entry.filename.split('/').pop() || entry.pageTitle || entry.sourceUrl || '—';
+
+  const link = item.querySelector('.history-source');
+  const linkUrl = entry.sourceUrl || entry.pageUrl;
+  if (/^https?:/i.test(linkUrl)) {
+    link.href = linkUrl;
+    link.textContent = linkUrl;
+  } else {
+    link.hidden = true;
+  }
+
+  item.querySelector('.history-meta').textContent = describeEntry(entry);
+  const error = item.querySelector('.history-error');
+  error.textContent = entry.error || '';
+  error.hidden = !entry.error;
+
+  item.querySelector('[data-action="show"]').disabled = entry.downloadId === null;
+  item.querySelector('[data-action="rerun"]').disabled = !entry.sourceUrl;
+  item.querySelector('.history-actions').addEventListener('click', event => {
+    const action = event.target.closest('button')?.dataset.action;
+    if (action === 'show') showDownload(entry);
+    if (action === 'delete') sendHistoryMessage({ type: 'DELETE_HISTORY_ENTRIES', ids: [entry.id] });
+    if (action === 'rerun') toggleRerunForm(item, entry);
+  });
+
+  return item;
+}
+
+/**
+ * Describes an entry, e.g. "PNG 1.2 MB → JPG 340 KB · 1920×1080 · 92% · 3/14/2026, 9:26 AM".
+ * @param {HistoryEntry} entry - History entry
+ * @returns {string} Description
+ */
+function describeEntry(entry) {
+  const source = entry.sourceBytes
+    ? `${entry.sourceFormat.toUpperCase()} ${formatByteSize(entry.sourceBytes)}`
+    : entry.sourceFormat.toUpperCase();
+  const output = HISTORY_FORMATS[entry.format]?.label || entry.format;
+  const parts = [entry.error ? `${source} → ${output}` : `${source} → ${output} ${formatByteSize(entry.outputBytes)}`];
+
+  if (!entry.error) parts.push(`${entry.width}×${entry.height}`);
+  const quality = getEntryQuality(entry);
+  if (quality !== undefined && !entry.error) parts.push(`${Math.round(quality * 100)}%`);
+  parts.push(new Date(entry.date).toLocaleString());
+  return parts.join(' · ');
+}
+
+/**
+ * Reads the quality setting an entry was converted with.
+ * @param {HistoryEntry} entry - History entry
+ * @returns {number|undefined} Quality (0-1), or undefined for lossless formats
+ */
+function getEntryQuality(entry) {
+  if (!HISTORY_FORMATS[entry.format]?.lossy) return undefined;
+  return entry.format === 'jpg' ? entry.settings.quality : entry.settings[entry.format + 'Quality'];
+}
+
+/**
+ * Asks the service worker, which owns the history list, to change it. The list is rendered
+ * again from the storage change; failures are shown as a status message.
+ * @param {Object} message - DELETE_HISTORY_ENTRIES or CLEAR_HISTORY message
+ */
+async function sendHistoryMessage(message) {
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response) throw new Error('The extension did not respond');
+    if (response.error) throw new Error(response.error);
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+/**
+ * Shows the downloaded file in its folder.
+ * @param {HistoryEntry} entry - History entry
+ */
+async function showDownload(entry) {
+  const [item] = await chrome.downloads.search({ id: entry.downloadId });
+  if (!item || !item.exists) {
+    showStatus('The file was moved or deleted.', 'error');
+    return;
+  }
+  chrome.downloads.show(entry.downloadId);
+}
+
+/**
+ * Opens or closes the "Convert again" form, prefilled with the settings the entry used.
+ * @param {HTMLLIElement} item - Entry list item
+ * @param {HistoryEntry} entry - History entry
+ */
+function toggleRerunForm(item, entry) {
+  const form = item.querySelector('.history-rerun');
+  if (!form.hidden) {
+    form.hidden = true;
+    return;
+  }
+
+  const formatInput = form.elements.format;
+  const qualityInput = form.elements.quality;
+  const qualityValue = form.querySelector('.history-quality-value');
+  const qualityField = form.querySelector('[data-field="quality"]');
+
+  formatInput.replaceChildren(...Object.entries(HISTORY_FORMATS).map(([format, { label }]) => new Option(label, format)));
+  formatInput.value = entry.format;
+  form.elements.bgColor.value = entry.settings.bgColor || '#ffffff';
+
+  // The quality is only sent once it has been changed, so target file size entries keep their mode
+  let qualityChanged = false;
+  const showQuality = () => {
+    const format = formatInput.value;
+    qualityField.hidden = !HISTORY_FORMATS[format].lossy;
+    qualityInput.min = String(HISTORY_FORMATS[format].minQuality ?? 0);
+    if (!qualityChanged) {
+      qualityInput.value = format === 'jpg' ? entry.settings.quality : (entry.settings[format + 'Quality'] ?? 0.9);
+    }
+    qualityValue.textContent = Math.round(qualityInput.value * 100) + '%';
+  };
+  formatInput.onchange = showQuality;
+  qualityInput.oninput = () => {
+    qualityChanged = true;
+    showQuality();
+  };
+  showQuality();
+
+  form.onsubmit = async event => {
+    event.preventDefault();
+    const submit = form.querySelector('button[type="submit"]');
+    submit.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'RERUN_HISTORY_ENTRY',
+        id: entry.id,
+        format: formatInput.value,
+        quality: qualityChanged && HISTORY_FORMATS[formatInput.value].lossy ? parseFloat(qualityInput.value) : undefined,
+        bgColor: form.elements.bgColor.value
+      });
+      if (!response) throw new Error('The extension did not respond');
+      if (response.error) throw new Error(response.error);
+      showStatus('Converted again and saved.', 'success');
+    } catch (error) {
+      showStatus(error.message, 'error');
+    } finally {
+      submit.disabled = false;
+    }
+  };
+
+  form.hidden = false;
+}
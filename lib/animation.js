@@ -0,0 +1,500 @@
+/**
+ * @fileoverview Animated Image Decoder for Save as JPG Chrome Extension
+ * createImageBitmap() only returns the first frame of an animated GIF or WebP. This file
+ * reads such files frame by frame: GIF frames are LZW-decoded here, WebP frames are wrapped
+ * as still WebP files and decoded by the browser. Frames are composited with the format's
+ * disposal and blending rules the way browsers play them; transparent areas stay transparent
+ * so the normal conversion fills them with the background color.
+ * Shared by the service worker, the offscreen document and the frame picker page.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {number} GIF block introducer: extension */
+const GIF_EXTENSION = 0x21;
+
+/** @const {number} GIF block introducer: image descriptor */
+const GIF_IMAGE_DESCRIPTOR = 0x2c;
+
+/** @const {number} GIF block introducer: end of file */
+const GIF_TRAILER = 0x3b;
+
+/** @const {number} GIF extension label: graphic control (delay, disposal, transparency) */
+const GIF_GRAPHIC_CONTROL = 0xf9;
+
+/** @const {number} Largest number of codes in a GIF LZW dictionary */
+const GIF_MAX_CODES = 4096;
+
+/** @const {number} Frame delays at or below this many milliseconds are played at the default (as browsers do) */
+const ANIMATION_MIN_DELAY_MS = 10;
+
+/** @const {number} Delay used for frames without a usable one */
+const ANIMATION_DEFAULT_DELAY_MS = 100;
+
+/**
+ * @typedef {Object} AnimationFrame
+ * @property {number} x - Left edge on the animation canvas
+ * @property {number} y - Top edge on the animation canvas
+ * @property {number} width - Frame width
+ * @property {number} height - Frame height
+ * @property {number} delay - Display time in milliseconds
+ * @property {string} disposal - What happens to the frame's area afterwards: "none", "background" (cleared) or "previous" (restored)
+ * @property {boolean} blend - Whether the frame is alpha-blended over the canvas (false: it replaces its area)
+ * @property {Object} [gif] - GIF image data (palette, transparentIndex, interlaced, minCodeSize, blocks)
+ * @property {Uint8Array} [webp] - WebP frame data (ALPH/VP8/VP8L chunks)
+ */
+
+/**
+ * Parses an animated GIF or WebP.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{format: string, width: number, height: number, frames: AnimationFrame[]}|null}
+ *   Animation, or null for still images and other formats
+ */
+function parseAnimation(bytes) {
+  let animation = null;
+  if (hasAsciiAt(bytes, 0, 'GIF8')) {
+    animation = parseGif(bytes);
+  } else if (hasAsciiAt(bytes, 0, 'RIFF') && hasAsciiAt(bytes, 8, 'WEBP')) {
+    animation = parseAnimatedWebp(bytes);
+  }
+  return animation && animation.frames.length > 1 ? animation : null;
+}
+
+/**
+ * Resolves a frame choice to a frame index.
+ * @param {number} frameCount - Number of frames
+ * @param {(number|string)} frame - Zero-based index, or "first", "middle" or "last"
+ * @returns {number} Frame index within the animation
+ */
+function resolveAnimationFrame(frameCount, frame) {
+  if (frame === 'first') return 0;
+  if (frame === 'middle') return Math.floor((frameCount - 1) / 2);
+  if (frame === 'last') return frameCount - 1;
+  return Math.min(frameCount - 1, Math.max(0, Math.floor(Number(frame)) || 0));
+}
+
+/**
+ * Composites frames in order and hands each finished frame to a callback.
+ * The callback receives the same canvas every time; it must copy or use it before returning.
+ * @param {Object} animation - Animation from parseAnimation()
+ * @param {function(number, number): (HTMLCanvasElement|OffscreenCanvas)} createCanvas - Canvas factory
+ * @param {function((HTMLCanvasElement|OffscreenCanvas), number, number): (Promise|void)} onFrame -
+ *   Called with the canvas, the frame index and the frame's start time in milliseconds
+ * @param {number} [lastIndex] - Last frame to render (defaults to the last frame)
+ */
+async function renderAnimationFrames(animation, createCanvas, onFrame, lastIndex = animation.frames.length - 1) {
+  const canvas = createCanvas(animation.width, animation.height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Failed to get canvas 2D context');
+
+  let time = 0;
+  try {
+    for (let index = 0; index <= lastIndex; index++) {
+      const frame = animation.frames[index];
+      const saved = frame.disposal === 'previous'
+        ? ctx.getImageData(frame.x, frame.y, frame.width, frame.height)
+        : null;
+
+      const layer = frame.gif ? decodeGifFrame(frame, createCanvas) : await decodeWebpFrame(frame);
+      try {
+        if (!frame.blend) ctx.clearRect(frame.x, frame.y, frame.width, frame.height);
+        ctx.drawImage(layer, frame.x, frame.y);
+      } finally {
+        if (layer.close) {
+          layer.close();
+        } else {
+          layer.width = 0;
+          layer.height = 0;
+        }
+      }
+
+      await onFrame(canvas, index, time);
+      time += frame.delay;
+
+      if (frame.disposal === 'background') {
+        ctx.clearRect(frame.x, frame.y, frame.width, frame.height);
+      } else if (saved) {
+        ctx.putImageData(saved, frame.x, frame.y);
+      }
+    }
+  } finally {
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+}
+
+/**
+ * Decodes one frame of an animated image as it appears during playback.
+ * @param {Uint8Array} bytes - File contents
+ * @param {(number|string)} frame - Frame index or "first", "middle" or "last"
+ * @param {function(number, number): (HTMLCanvasElement|OffscreenCanvas)} createCanvas - Canvas factory
+ * @returns {Promise<ImageBitmap|null>} Composited frame, or null if the file is not animated
+ */
+async function decodeAnimationFrame(bytes, frame, createCanvas) {
+  const animation = parseAnimation(bytes);
+  if (!animation) return null;
+
+  const target = resolveAnimationFrame(animation.frames.length, frame);
+  let bitmap = null;
+  await renderAnimationFrames(animation, createCanvas, async (canvas, index) => {
+    if (index === target) bitmap = await createImageBitmap(canvas);
+  }, target);
+  return bitmap;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                    GIF                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Reads the frame list of a GIF. A truncated file keeps the frames read so far.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{format: string, width: number, height: number, frames: AnimationFrame[]}} Animation
+ */
+function parseGif(bytes) {
+  const readUint16 = offset => bytes[offset] | (bytes[offset + 1] << 8);
+  const flags = bytes[10];
+  let pos = 13;
+
+  let globalPalette = null;
+  if (flags & 0x80) {
+    const size = 3 * (2 << (flags & 7));
+    globalPalette = bytes.subarray(pos, pos + size);
+    pos += size;
+  }
+
+  const frames = [];
+  let control = null;
+  while (pos < bytes.length) {
+    const introducer = bytes[pos++];
+    if (introducer === GIF_TRAILER) break;
+
+    if (introducer === GIF_EXTENSION) {
+      const label = bytes[pos++];
+      if (label === GIF_GRAPHIC_CONTROL && bytes[pos] >= 4) {
+        const packed = bytes[pos + 1];
+        control = {
+          disposal: (packed >> 2) & 7,
+          delay: readUint16(pos + 2) * 10,
+          transparentIndex: packed & 1 ? bytes[pos + 4] : -1
+        };
+      }
+      pos = skipGifSubBlocks(bytes, pos);
+      continue;
+    }
+
+    if (introducer !== GIF_IMAGE_DESCRIPTOR || pos + 10 > bytes.length) break;
+
+    const packed = bytes[pos + 8];
+    const frame = {
+      x: readUint16(pos),
+      y: readUint16(pos + 2),
+      width: readUint16(pos + 4),
+      height: readUint16(pos + 6)
+    };
+    pos += 9;
+
+    let palette = globalPalette;
+    if (packed & 0x80) {
+      const size = 3 * (2 << (packed & 7));
+      palette = bytes.subarray(pos, pos + size);
+      pos += size;
+    }
+    const minCodeSize = bytes[pos++];
+    const start = pos;
+    pos = skipGifSubBlocks(bytes, pos);
+
+    if (frame.width > 0 && frame.height > 0) {
+      frames.push({
+        ...frame,
+        delay: getFrameDelay(control?.delay ?? 0),
+        // 0 and 1 leave the frame in place; 4–7 are undefined and treated the same
+        disposal: control?.disposal === 2 ? 'background' : control?.disposal === 3 ? 'previous' : 'none',
+        blend: true,
+        gif: {
+          palette,
+          transparentIndex: control?.transparentIndex ?? -1,
+          interlaced: Boolean(packed & 0x40),
+          minCodeSize,
+          blocks: bytes.subarray(start, pos)
+        }
+      });
+    }
+    control = null;
+  }
+
+  // Some encoders write a zero logical screen; use the frames' extent instead
+  const width = readUint16(6) || Math.max(0, ...frames.map(frame => frame.x + frame.width));
+  const height = readUint16(8) || Math.max(0, ...frames.map(frame => frame.y + frame.height));
+  return { format: 'gif', width, height, frames };
+}
+
+/**
+ * Skips a chain of GIF data sub-blocks.
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} pos - Offset of the first sub-block's size byte
+ * @returns {number} Offset after the block terminator
+ */
+function skipGifSubBlocks(bytes, pos) {
+  while (pos < bytes.length) {
+    const size = bytes[pos++];
+    if (size === 0) break;
+    pos += size;
+  }
+  return pos;
+}
+
+/**
+ * Decodes a GIF frame into a canvas of the frame's size. Transparent pixels, and pixels
+ * missing from truncated data, are left transparent.
+ * @param {AnimationFrame} frame - GIF frame
+ * @param {function(number, number): (HTMLCanvasElement|OffscreenCanvas)} createCanvas - Canvas factory
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Frame pixels
+ */
+function decodeGifFrame(frame, createCanvas) {
+  const { width, height } = frame;
+  const { palette, transparentIndex, interlaced, minCodeSize, blocks } = frame.gif;
+  const { indices, count } = decodeGifLzw(minCodeSize, readGifSubBlocks(blocks), width * height);
+
+  const image = new ImageData(width, height);
+  const pixels = image.data;
+  for (let i = 0; i < count; i++) {
+    const index = indices[i];
+    if (index === transparentIndex || !palette || index * 3 + 2 >= palette.length) continue;
+
+    const row = interlaced ? getInterlacedRow(Math.floor(i / width), height) : Math.floor(i / width);
+    const p = (row * width + i % width) * 4;
+    pixels[p] = palette[index * 3];
+    pixels[p + 1] = palette[index * 3 + 1];
+    pixels[p + 2] = palette[index * 3 + 2];
+    pixels[p + 3] = 255;
+  }
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Failed to get canvas 2D context');
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+/**
+ * Joins the payloads of a chain of GIF sub-blocks.
+ * @param {Uint8Array} blocks - Sub-blocks including size bytes
+ * @returns {Uint8Array} Concatenated data
+ */
+function readGifSubBlocks(blocks) {
+  const data = new Uint8Array(blocks.length);
+  let length = 0;
+  for (let pos = 0; pos < blocks.length;) {
+    const size = blocks[pos++];
+    if (size === 0) break;
+    const chunk = blocks.subarray(pos, pos + size);
+    data.set(chunk, length);
+    length += chunk.length;
+    pos += size;
+  }
+  return data.subarray(0, length);
+}
+
+/**
+ * Decodes GIF LZW data (variable code size, least significant bit first).
+ * @param {number} minCodeSize - LZW minimum code size from the image data
+ * @param {Uint8Array} data - Compressed data
+ * @param {number} pixelCount - Number of pixels in the frame
+ * @returns {{indices: Uint8Array, count: number}} Palette indices and how many were decoded
+ */
+function decodeGifLzw(minCodeSize, data, pixelCount) {
+  const indices = new Uint8Array(pixelCount);
+  if (!(minCodeSize >= 1 && minCodeSize <= 11)) return { indices, count: 0 };
+
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Uint16Array(GIF_MAX_CODES);
+  const suffix = new Uint8Array(GIF_MAX_CODES);
+  const firstByte = new Uint8Array(GIF_MAX_CODES);
+  const stack = new Uint8Array(GIF_MAX_CODES + 1);
+  for (let i = 0; i < clearCode; i++) {
+    suffix[i] = i;
+    firstByte[i] = i;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let buffer = 0;
+  let bits = 0;
+  let pos = 0;
+  let count = 0;
+
+  while (count < pixelCount) {
+    while (bits < codeSize && pos < data.length) {
+      buffer |= data[pos++] << bits;
+      bits += 8;
+    }
+    if (bits < codeSize) break;
+
+    const code = buffer & ((1 << codeSize) - 1);
+    buffer >>>= codeSize;
+    bits -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) break;
+
+    if (previous === -1) {
+      if (code >= clearCode) break;
+      indices[count++] = code;
+      previous = code;
+      continue;
+    }
+    if (code > nextCode) break;
+
+    // Unwind the code's string onto the stack; a code not yet in the table is the
+    // previous string plus its own first byte
+    let top = 0;
+    let current = code;
+    if (code === nextCode) {
+      stack[top++] = firstByte[previous];
+      current = previous;
+    }
+    while (current > endCode) {
+      stack[top++] = suffix[current];
+      current = prefix[current];
+    }
+    stack[top++] = current;
+
+    if (nextCode < GIF_MAX_CODES) {
+      prefix[nextCode] = previous;
+      suffix[nextCode] = current;
+      firstByte[nextCode] = firstByte[previous];
+      nextCode++;
+      if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+
+    while (top > 0 && count < pixelCount) indices[count++] = stack[--top];
+    previous = code;
+  }
+
+  return { indices, count };
+}
+
+/**
+ * Maps the n-th stored row of an interlaced GIF to its row in the image
+ * (passes: every 8th row from 0, every 8th from 4, every 4th from 2, every 2nd from 1).
+ * @param {number} n - Row in storage order
+ * @param {number} height - Frame height
+ * @returns {number} Row in display order
+ */
+function getInterlacedRow(n, height) {
+  const pass1 = Math.ceil(height / 8);
+  const pass2 = Math.ceil((height - 4) / 8);
+  const pass3 = Math.ceil((height - 2) / 4);
+  if (n < pass1) return n * 8;
+  n -= pass1;
+  if (n < pass2) return 4 + n * 8;
+  n -= pass2;
+  if (n < pass3) return 2 + n * 4;
+  n -= pass3;
+  return 1 + n * 2;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                    WebP                                    */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Reads the frame list of an animated WebP (VP8X canvas with ANMF chunks).
+ * Still WebP files yield no frames.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{format: string, width: number, height: number, frames: AnimationFrame[]}} Animation
+ */
+function parseAnimatedWebp(bytes) {
+  const readUint24 = offset => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+  let width = 0;
+  let height = 0;
+  const frames = [];
+
+  for (let pos = 12; pos + 8 <= bytes.length;) {
+    const size = (readUint24(pos + 4) | (bytes[pos + 7] << 24)) >>> 0;
+    const start = pos + 8;
+    if (start + size > bytes.length) break;
+
+    if (hasAsciiAt(bytes, pos, 'VP8X') && size >= 10) {
+      width = readUint24(start + 4) + 1;
+      height = readUint24(start + 7) + 1;
+    } else if (hasAsciiAt(bytes, pos, 'ANMF') && size > 16) {
+      const flags = bytes[start + 15];
+      frames.push({
+        x: readUint24(start) * 2,
+        y: readUint24(start + 3) * 2,
+        width: readUint24(start + 6) + 1,
+        height: readUint24(start + 9) + 1,
+        delay: getFrameDelay(readUint24(start + 12)),
+        disposal: flags & 0x01 ? 'background' : 'none',
+        blend: !(flags & 0x02),
+        webp: bytes.subarray(start + 16, start + size)
+      });
+    }
+    // Chunks are padded to an even size
+    pos = start + size + (size & 1);
+  }
+
+  return { format: 'webp', width, height, frames };
+}
+
+/**
+ * Decodes an animated WebP frame by wrapping its chunks in a still WebP file.
+ * @param {AnimationFrame} frame - WebP frame
+ * @returns {Promise<ImageBitmap>} Frame pixels
+ */
+async function decodeWebpFrame(frame) {
+  const data = frame.webp;
+  const hasAlpha = hasAsciiAt(data, 0, 'ALPH') || hasAsciiAt(data, 0, 'VP8L');
+
+  // RIFF header + VP8X chunk (alpha flag, canvas size) + the frame's own chunks
+  const header = new Uint8Array(30);
+  const writeUint24 = (offset, value) => header.set([value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff], offset);
+  header.set([0x52, 0x49, 0x46, 0x46], 0); // RIFF
+  new DataView(header.buffer).setUint32(4, 22 + data.length, true);
+  header.set([0x57, 0x45, 0x42, 0x50, 0x56, 0x50, 0x38, 0x58], 8); // WEBPVP8X
+  header[16] = 10;
+  header[20] = hasAlpha ? 0x10 : 0;
+  writeUint24(24, frame.width - 1);
+  writeUint24(27, frame.height - 1);
+
+  return await createImageBitmap(new Blob([header, data], { type: 'image/webp' }));
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Helpers                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Applies the browser rule for very short frame delays.
+ * @param {number} delay - Stored delay in milliseconds
+ * @returns {number} Playback delay in milliseconds
+ */
+function getFrameDelay(delay) {
+  return delay <= ANIMATION_MIN_DELAY_MS ? ANIMATION_DEFAULT_DELAY_MS : delay;
+}
+
+/**
+ * Checks whether bytes at an offset spell an ASCII string.
+ * @param {Uint8Array} bytes - Data to inspect
+ * @param {number} offset - Start offset
+ * @param {string} text - Expected ASCII text
+ * @returns {boolean} True on a match
+ */
+function hasAsciiAt(bytes, offset, text) {
+  if (offset + text.length > bytes.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Filename Templates for Save as JPG Chrome Extension
+ * Renders user-defined templates such as "{host}/{pageTitle}/{name}_{width}x{height}.{ext}"
+ * into safe download paths relative to the Downloads folder.
+ * Shared by the service worker and the options page preview.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {string} Default template: original file name with the output extension */
+const DEFAULT_FILENAME_TEMPLATE = '{name}.{ext}';
+
+/**
+ * @const {Object<string, string>} Supported template tokens and their descriptions.
+ * Numeric tokens accept a padding width, e.g. "{counter:3}" -> "007".
+ */
+const FILENAME_TOKENS = {
+  name: 'Original file name (timestamp if the URL has none)',
+  ext: 'Output file extension',
+  host: 'Page host name',
+  path: 'Page path',
+  pageTitle: 'Page title',
+  imageHost: 'Image host name',
+  alt: 'Image alt text',
+  width: 'Output width in pixels',
+  height: 'Output height in pixels',
+  counter: 'Running counter',
+  date: 'Date (YYYY-MM-DD)',
+  time: 'Time (HH-MM-SS)',
+  timestamp: 'Date and time (YYYYMMDD_HHMMSS)'
+};
+
+/** @const {number} Maximum length of a folder name */
+const MAX_FOLDER_LENGTH = 100;
+
+/** @const {number} Maximum length of the file name (without extension) */
+const MAX_BASENAME_LENGTH = 150;
+
+/** @const {RegExp} Device names Windows refuses as file or folder names */
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+
+/** @const {RegExp} Image extensions a template may end with; replaced by the actual output extension */
+const TEMPLATE_IMAGE_EXTENSION = /\.(jpe?g|png|webp|avif|gif|bmp)$/i;
+
+/**
+ * Renders a filename template into a sanitized relative path.
+ * The template's "/" (or "\") separators create folders; "/" inside token values does not.
+ * Empty folders are dropped, and the output extension is always applied to the last segment.
+ * @param {string} template - Filename template
+ * @param {Object} context - Token values
+ * @param {string} [context.url] - Image URL
+ * @param {string} [context.name] - File name for {name} when the URL has no meaningful one (e.g. video frames)
+ * @param {string} [context.pageUrl] - Page URL
+ * @param {string} [context.pageTitle] - Page title
+ * @param {string} [context.alt] - Image alt text
+ * @param {number} [context.width] - Output width
+ * @param {number} [context.height] - Output height
+ * @param {number} [context.counter] - Counter value
+ * @param {string} [context.extension='jpg'] - Output file extension
+ * @param {Date} [context.date] - Capture date (defaults to now)
+ * @returns {string} Relative path such as "example.com/Gallery/photo_800x600.jpg"
+ */
+function renderFilenameTemplate(template, context) {
+  const extension = context.extension || 'jpg';
+  const segments = String(template || DEFAULT_FILENAME_TEMPLATE).split(/[\\/]+/);
+  const rendered = segments.map(segment => renderTemplateSegment(segment, context));
+
+  let basename = rendered.pop().replace(TEMPLATE_IMAGE_EXTENSION, '');
+  basename = sanitizePathSegment(basename, MAX_BASENAME_LENGTH) || formatTimestamp(context.date || new Date());
+
+  const folders = rendered.map(folder => sanitizePathSegment(folder, MAX_FOLDER_LENGTH)).filter(Boolean);
+  return [...folders, `${basename}.${extension}`].join('/');
+}
+
+/**
+ * Replaces the tokens in one path segment.
+ * Unknown tokens are left as typed so mistakes are visible in the preview.
+ * @param {string} segment - Template segment without separators
+ * @param {Object} context - Token values
+ * @returns {string} Segment with tokens replaced
+ */
+function renderTemplateSegment(segment, context) {
+  return segment.replace(/\{(\w+)(?::(\d{1,2}))?\}/g, (match, token, pad) => {
+    const value = getFilenameTokenValue(token, context);
+    if (value === null) return match;
+
+    let text = String(value);
+    if (pad && /^\d+$/.test(text)) text = text.padStart(Number(pad), '0');
+    return text.replace(/[\\/]/g, '_');
+  });
+}
+
+/**
+ * Resolves a single template token.
+ * @param {string} token - Token name without braces
+ * @param {Object} context - Token values
+ * @returns {string|number|null} Token value, or null if the token is unknown
+ */
+function getFilenameTokenValue(token, context) {
+  const date = context.date || new Date();
+  const pad2 = n => String(n).padStart(2, '0');
+
+  switch (token) {
+    case 'name': return context.name || getUrlBasename(context.url) || formatTimestamp(date);
+    case 'ext': return context.extension || 'jpg';
+    case 'host': return getUrlPart(context.pageUrl, 'hostname');
+    case 'path': return getUrlPart(context.pageUrl, 'pathname').replace(/^\/+|\/+$/g, '');
+    case 'pageTitle': return context.pageTitle || '';
+    case 'imageHost': return getUrlPart(context.url, 'hostname');
+    case 'alt': return context.alt || '';
+    case 'width': return context.width || '';
+    case 'height': return context.height || '';
+    case 'counter': return context.counter ?? 1;
+    case 'date': return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+    case 'time': return `${pad2(date.getHours())}-${pad2(date.getMinutes())}-${pad2(date.getSeconds())}`;
+    case 'timestamp': return formatTimestamp(date);
+    default: return null;
+  }
+}
+
+/**
+ * Checks whether a template uses the {counter} token.
+ * @param {string} template - Filename template
+ * @returns {boolean} True if a counter value is needed
+ */
+function templateUsesCounter(template) {
+  return /\{counter(?::\d{1,2})?\}/.test(template || '');
+}
+
+/**
+ * Extracts the file name (without extension) from an image URL.
+ * Removes query strings and fragments; data: URLs have no file name.
+ * @param {string} url - Image URL
+ * @returns {string} Decoded base name, or an empty string
+ */
+function getUrlBasename(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'data:') return '';
+
+    let name = parsed.pathname.split('/').pop() || '';
+    try {
+      name = decodeURIComponent(name);
+    } catch {
+      // Malformed percent-encoding; keep the raw name
+    }
+    const dot = name.lastIndexOf('.');
+    return dot > -1 ? name.substring(0, dot) : name;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Safely reads a component of a URL.
+ * @param {string} url - URL to parse
+ * @param {string} part - URL property name (e.g. "hostname")
+ * @returns {string} Component value, or an empty string
+ */
+function getUrlPart(url, part) {
+  try {
+    return new URL(url)[part] || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Makes one path segment safe on Windows, macOS and Linux.
+ * Replaces reserved characters, collapses whitespace, strips leading and trailing
+ * dots and spaces (hidden files / invalid on Windows), and avoids device names.
+ * @param {string} segment - Folder or file name
+ * @param {number} [maxLength=MAX_FOLDER_LENGTH] - Maximum length
+ * @returns {string} Sanitized segment (may be empty)
+ */
+function sanitizePathSegment(segment, maxLength = MAX_FOLDER_LENGTH) {
+  let name = String(segment)
+    .replace(/[\0-\x1f\x7f\\/:*?"<>|]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+|[.\s]+$/g, '');
+
+  if (name.length > maxLength) name = name.substring(0, maxLength).replace(/[.\s]+$/, '');
+  if (RESERVED_FILENAMES.test(name.split('.')[0])) name = '_' + name;
+  return name;
+}
+
+/**
+ * Formats a date as YYYYMMDD_HHMMSS in local time.
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp string
+ */
+function formatTimestamp(date) {
+  const pad2 = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}_` +
+    `${pad2(date.getHours())}${pad2(date.getMinutes())}${pad2(date.getSeconds())}`;
+}
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Conversion History Store for Save as JPG Chrome Extension
+ * Keeps a local list of conversions in chrome.storage.local, newest first. Only the service worker
+ * writes the list, so its updates can't overlap; the history page reads it and asks the service
+ * worker to re-run or remove entries. Nothing leaves the device.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {string} chrome.storage.local key holding the history list */
+const HISTORY_STORAGE_KEY = 'conversionHistory';
+
+/** @const {number} Entries kept; older ones are dropped */
+const HISTORY_MAX_ENTRIES = 200;
+
+/** @const {number} Longest edge of the stored thumbnails in pixels */
+const HISTORY_THUMBNAIL_SIZE = 96;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Unique entry ID
+ * @property {number} date - Conversion time (ms since epoch)
+ * @property {(string|null)} thumbnail - Small data URL of the output, or null
+ * @property {string} sourceUrl - Image URL (empty for data: sources, which are not kept)
+ * @property {string} pageUrl - Page the image was on
+ * @property {string} pageTitle - Title of that page
+ * @property {string} alt - Alt text of the image
+ * @property {string} [name] - File name override (video and animation frames)
+ * @property {Object} [transform] - Crop or frame applied during the conversion
+ * @property {string} sourceFormat - Source format key (see getSourceFormat())
+ * @property {number} sourceBytes - Source size in bytes (0 if it was never fetched)
+ * @property {string} format - Output format key
+ * @property {number} outputBytes - Output size in bytes
+ * @property {number} width - Output width
+ * @property {number} height - Output height
+ * @property {string} filename - Download path (the path inside the archive for images saved in a ZIP archive)
+ * @property {Object} settings - Settings the conversion used
+ * @property {(number|null)} downloadId - chrome.downloads ID
+ * @property {string} [error] - Error message if the conversion failed
+ */
+
+/** @type {Promise} Serializes read-modify-write updates of the list (within the service worker) */
+let historyLock = Promise.resolve();
+
+/**
+ * Reads the history, newest first.
+ * @returns {Promise<HistoryEntry[]>} Entries
+ */
+async function getHistoryEntries() {
+  const stored = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: [] });
+  return stored[HISTORY_STORAGE_KEY];
+}
+
+/**
+ * Adds an entry at the top of the history, dropping entries beyond HISTORY_MAX_ENTRIES.
+ * @param {HistoryEntry} entry - Entry to add
+ * @returns {Promise<void>} Resolves once stored
+ */
+function addHistoryEntry(entry) {
+  return updateHistory(entries => [entry, ...entries].slice(0, HISTORY_MAX_ENTRIES));
+}
+
+/**
+ * Removes entries by ID.
+ * @param {string[]} ids - Entry IDs
+ * @returns {Promise<void>} Resolves once stored
+ */
+function removeHistoryEntries(ids) {
+  const removed = new Set(ids);
+  return updateHistory(entries => entries.filter(entry => !removed.has(entry.id)));
+}
+
+/**
+ * Deletes the whole history.
+ * @returns {Promise<void>} Resolves once removed
+ */
+function clearHistory() {
+  return updateHistory(() => []);
+}
+
+/**
+ * Applies a change to the stored list, one update at a time.
+ * @param {function(HistoryEntry[]): HistoryEntry[]} change - Returns the new list
+ * @returns {Promise<void>} Resolves once stored
+ */
+function updateHistory(change) {
+  const update = historyLock.then(async () => {
+    const entries = change(await getHistoryEntries());
+    if (entries.length > 0) {
+      await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: entries });
+    } else {
+      await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+    }
+  });
+  historyLock = update.catch(() => {});
+  return update;
+}
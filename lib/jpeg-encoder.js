@@ -0,0 +1,974 @@
+/**
+ * @fileoverview JPEG Encoder for Save as JPG Chrome Extension
+ * Pure JavaScript baseline and progressive JPEG encoder (ITU T.81) with a choice of chroma
+ * subsampling, optimized Huffman tables and restart intervals — none of which the browser's
+ * canvas encoder exposes. Pixels are read from the canvas one MCU row at a time, so it runs
+ * in both the service worker (OffscreenCanvas) and the offscreen document (DOM canvas).
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {Uint8Array} Natural (row-major) index of each coefficient in zigzag order */
+const JPEG_ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+/** @const {number[]} Luminance quantization table at quality 50 (T.81 Annex K, natural order) */
+const JPEG_LUMA_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99
+];
+
+/** @const {number[]} Chrominance quantization table at quality 50 (T.81 Annex K, natural order) */
+const JPEG_CHROMA_QUANT = [
+  17, 18, 24, 47, 99, 99, 99, 99,
+  18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99,
+  47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99
+];
+
+/** @const {number[]} Output scale factors of the AAN forward DCT, folded into the quantizer */
+const JPEG_AAN_SCALES = [1.0, 1.387039845, 1.306562965, 1.175875602, 1.0, 0.785694958, 0.541196100, 0.275899379];
+
+/** @const {Object<string, number[]>} Luma sampling factors [horizontal, vertical] per subsampling mode; chroma is 1×1 */
+const JPEG_SUBSAMPLING = {
+  '444': [1, 1],
+  '422': [2, 1],
+  '420': [2, 2]
+};
+
+/**
+ * @const {Object<string, {bits: number[], values: number[]}>} Typical Huffman tables (T.81 Annex K.3).
+ * `bits[i]` is the number of codes of length i + 1.
+ */
+const JPEG_STANDARD_HUFFMAN = {
+  dcLuma: {
+    bits: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+    values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+  },
+  dcChroma: {
+    bits: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+    values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+  },
+  acLuma: {
+    bits: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+    values: [
+      0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+      0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+      0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+      0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+      0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+      0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+      0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+      0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+      0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+      0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+      0xf9, 0xfa
+    ]
+  },
+  acChroma: {
+    bits: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    values: [
+      0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+      0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+      0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+      0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+      0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+      0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+      0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+      0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+      0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+      0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+      0xf9, 0xfa
+    ]
+  }
+};
+
+/**
+ * @typedef {{components: number[], ss: number, se: number, ah: number, al: number}} JpegScan
+ * Component indices (0 = Y, 1 = Cb, 2 = Cr), spectral selection and successive approximation
+ */
+
+/** @const {JpegScan[]} Single interleaved scan of a baseline image */
+const JPEG_BASELINE_SCRIPT = [{ components: [0, 1, 2], ss: 0, se: 63, ah: 0, al: 0 }];
+
+/** @const {JpegScan[]} Progressive scan script (the libjpeg default for YCbCr images) */
+const JPEG_PROGRESSIVE_SCRIPT = [
+  { components: [0, 1, 2], ss: 0, se: 0, ah: 0, al: 1 },
+  { components: [0], ss: 1, se: 5, ah: 0, al: 2 },
+  { components: [2], ss: 1, se: 63, ah: 0, al: 1 },
+  { components: [1], ss: 1, se: 63, ah: 0, al: 1 },
+  { components: [0], ss: 6, se: 63, ah: 0, al: 2 },
+  { components: [0], ss: 1, se: 63, ah: 2, al: 1 },
+  { components: [0, 1, 2], ss: 0, se: 0, ah: 1, al: 0 },
+  { components: [2], ss: 1, se: 63, ah: 1, al: 0 },
+  { components: [1], ss: 1, se: 63, ah: 1, al: 0 },
+  { components: [0], ss: 1, se: 63, ah: 1, al: 0 }
+];
+
+/** @const {number} Longest end-of-band run a single EOBRUN symbol can encode */
+const JPEG_MAX_EOBRUN = 0x7fff;
+
+/** @const {number} Buffered refinement bits that force the pending end-of-band run out (as libjpeg) */
+const JPEG_MAX_CORRECTION_BITS = 937;
+
+/** @const {number} Largest restart interval, in MCUs, that fits the DRI marker */
+const JPEG_MAX_RESTART_INTERVAL = 65535;
+
+/**
+ * Encodes RGBA pixels as a JFIF JPEG.
+ * Progressive images always use optimized Huffman tables: the standard tables have no codes
+ * for the end-of-band runs progressive scans rely on.
+ * @param {{width: number, height: number, readRows: function(number, number): Uint8ClampedArray}} source -
+ *   Image size and a reader returning `count` full-width RGBA rows starting at row `y`
+ * @param {Object} [options] - Encoder options
+ * @param {number} [options.quality=0.92] - Quality from 0 to 1 (IJG scale, like canvas encoders)
+ * @param {string} [options.subsampling='420'] - Chroma subsampling: "444", "422" or "420"
+ * @param {boolean} [options.progressive=false] - Write a progressive instead of a baseline image
+ * @param {boolean} [options.optimizeHuffman=false] - Build Huffman tables from the image (two passes)
+ * @param {number} [options.restartInterval=0] - MCUs between restart markers, 0 for none
+ * @returns {Uint8Array} JPEG file
+ * @throws {Error} If the image size is outside JPEG limits
+ */
+function encodeJpeg(source, options = {}) {
+  const { width, height } = source;
+  if (!(width >= 1 && height >= 1 && width <= 65535 && height <= 65535)) {
+    throw new Error(`A JPEG cannot be ${width}×${height} pixels`);
+  }
+
+  const quality = Math.min(100, Math.max(1, Math.round((options.quality ?? 0.92) * 100)));
+  const progressive = Boolean(options.progressive);
+  const optimize = progressive || Boolean(options.optimizeHuffman);
+  const restartInterval = Math.min(JPEG_MAX_RESTART_INTERVAL, Math.max(0, Math.floor(options.restartInterval) || 0));
+  const quantTables = [scaleQuantTable(JPEG_LUMA_QUANT, quality), scaleQuantTable(JPEG_CHROMA_QUANT, quality)];
+
+  const frame = createJpegFrame(width, height, JPEG_SUBSAMPLING[options.subsampling] || JPEG_SUBSAMPLING['420']);
+  transformJpegPixels(source, frame, quantTables);
+
+  const writer = createJpegWriter(Math.max(4096, Math.ceil(width * height / 4)));
+  writeJpegHeaders(writer, frame, quantTables, progressive, restartInterval);
+
+  const standardTables = optimize ? null : {
+    dc: [JPEG_STANDARD_HUFFMAN.dcLuma, JPEG_STANDARD_HUFFMAN.dcChroma].map(createStandardJpegTable),
+    ac: [JPEG_STANDARD_HUFFMAN.acLuma, JPEG_STANDARD_HUFFMAN.acChroma].map(createStandardJpegTable)
+  };
+
+  for (const scan of progressive ? JPEG_PROGRESSIVE_SCRIPT : JPEG_BASELINE_SCRIPT) {
+    const tables = standardTables || optimizeJpegTables(frame, scan, restartInterval);
+    writeJpegHuffmanTables(writer, tables);
+    writeJpegScanHeader(writer, frame, scan);
+    encodeJpegScan(frame, scan, tables, writer, restartInterval);
+  }
+
+  writeJpegMarker(writer, 0xd9);
+  return writer.bytes.slice(0, writer.length);
+}
+
+/**
+ * Wraps a canvas with a 2D context as a pixel source for encodeJpeg().
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Rendered image
+ * @returns {{width: number, height: number, readRows: function(number, number): Uint8ClampedArray}} Pixel source
+ * @throws {Error} If the canvas has no 2D context
+ */
+function getCanvasPixelSource(canvas) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Failed to get canvas 2D context');
+
+  return {
+    width: canvas.width,
+    height: canvas.height,
+    readRows: (y, count) => ctx.getImageData(0, y, canvas.width, count).data
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          Color and DCT Transform                           */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Scales a quality-50 quantization table to a quality with the IJG formula.
+ * @param {number[]} table - Base table (natural order)
+ * @param {number} quality - Quality from 1 to 100
+ * @returns {Uint8Array} Scaled table (natural order)
+ */
+function scaleQuantTable(table, quality) {
+  const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return Uint8Array.from(table, value => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+}
+
+/**
+ * Lays out the component block grids. Every component is padded to whole MCUs; single-component
+ * scans only cover the blocks inside the component's own size, as T.81 requires.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number[]} sampling - Luma sampling factors [horizontal, vertical]
+ * @returns {Object} Frame with `components` holding quantized coefficients in zigzag order
+ */
+function createJpegFrame(width, height, sampling) {
+  const [maxH, maxV] = sampling;
+  const mcusX = Math.ceil(width / (8 * maxH));
+  const mcusY = Math.ceil(height / (8 * maxV));
+
+  const components = [
+    { id: 1, h: maxH, v: maxV, table: 0 },
+    { id: 2, h: 1, v: 1, table: 1 },
+    { id: 3, h: 1, v: 1, table: 1 }
+  ].map((component, index) => {
+    const blocksPerLine = mcusX * component.h;
+    const blocksPerColumn = mcusY * component.v;
+    return {
+      ...component,
+      index,
+      blocksPerLine,
+      blocksPerColumn,
+      scanBlocksPerLine: Math.ceil(Math.ceil(width * component.h / maxH) / 8),
+      scanBlocksPerColumn: Math.ceil(Math.ceil(height * component.v / maxV) / 8),
+      coefficients: new Int16Array(blocksPerLine * blocksPerColumn * 64)
+    };
+  });
+
+  return { width, height, maxH, maxV, mcusX, mcusY, components };
+}
+
+/**
+ * Reads the image one MCU row at a time, converts it to YCbCr, subsamples the chroma
+ * (box filter), and stores the quantized DCT coefficients of every block.
+ * Edge pixels are repeated to fill partial MCUs.
+ * @param {Object} source - Pixel source, see encodeJpeg()
+ * @param {Object} frame - Frame from createJpegFrame()
+ * @param {Uint8Array[]} quantTables - Luma and chroma quantization tables
+ */
+function transformJpegPixels(source, frame, quantTables) {
+  const { width, height, maxH, maxV, mcusX, mcusY, components } = frame;
+  const stripWidth = mcusX * 8 * maxH;
+  const stripHeight = 8 * maxV;
+  const planes = [0, 1, 2].map(() => new Float32Array(stripWidth * stripHeight));
+  const divisors = quantTables.map(getJpegDivisors);
+  const block = new Float32Array(64);
+
+  for (let mcuY = 0; mcuY < mcusY; mcuY++) {
+    const top = mcuY * stripHeight;
+    const rows = Math.min(stripHeight, height - top);
+    const rgba = source.readRows(top, rows);
+
+    for (let y = 0; y < stripHeight; y++) {
+      const rowOffset = Math.min(y, rows - 1) * width * 4;
+      for (let x = 0; x < stripWidth; x++) {
+        const i = rowOffset + Math.min(x, width - 1) * 4;
+        const r = rgba[i];
+        const g = rgba[i + 1];
+        const b = rgba[i + 2];
+        const p = y * stripWidth + x;
+        // JFIF YCbCr, level-shifted to be centered on zero
+        planes[0][p] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+        planes[1][p] = -0.168735892 * r - 0.331264108 * g + 0.5 * b;
+        planes[2][p] = 0.5 * r - 0.418687589 * g - 0.081312411 * b;
+      }
+    }
+
+    for (const component of components) {
+      const plane = planes[component.index];
+      const stepX = maxH / component.h;
+      const stepY = maxV / component.v;
+      const area = stepX * stepY;
+      const divisor = divisors[component.table];
+
+      for (let blockY = 0; blockY < component.v; blockY++) {
+        for (let blockX = 0; blockX < component.blocksPerLine; blockX++) {
+          for (let v = 0; v < 8; v++) {
+            const sampleY = (blockY * 8 + v) * stepY;
+            for (let u = 0; u < 8; u++) {
+              const sampleX = (blockX * 8 + u) * stepX;
+              let sum = 0;
+              for (let dy = 0; dy < stepY; dy++) {
+                const rowStart = (sampleY + dy) * stripWidth + sampleX;
+                for (let dx = 0; dx < stepX; dx++) sum += plane[rowStart + dx];
+              }
+              block[v * 8 + u] = sum / area;
+            }
+          }
+
+          forwardDct(block);
+          const offset = ((mcuY * component.v + blockY) * component.blocksPerLine + blockX) * 64;
+          for (let k = 0; k < 64; k++) {
+            const n = JPEG_ZIGZAG[k];
+            component.coefficients[offset + k] = Math.round(block[n] * divisor[n]);
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Builds the quantizer multipliers for forwardDct() output: the reciprocal of the quantization
+ * step times the AAN scale factors.
+ * @param {Uint8Array} table - Quantization table (natural order)
+ * @returns {Float32Array} Multipliers (natural order)
+ */
+function getJpegDivisors(table) {
+  const divisors = new Float32Array(64);
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const n = row * 8 + col;
+      divisors[n] = 1 / (table[n] * JPEG_AAN_SCALES[row] * JPEG_AAN_SCALES[col] * 8);
+    }
+  }
+  return divisors;
+}
+
+/**
+ * In-place 8×8 forward DCT (Arai, Agui and Nakajima floating-point algorithm, as libjpeg's
+ * jfdctflt.c). Outputs are scaled; getJpegDivisors() removes the scaling during quantization.
+ * @param {Float32Array} data - 64 samples (natural order)
+ */
+function forwardDct(data) {
+  for (let pass = 0; pass < 2; pass++) {
+    // First pass: rows (stride 1, step 8); second pass: columns (stride 8, step 1)
+    const stride = pass === 0 ? 1 : 8;
+    const step = pass === 0 ? 8 : 1;
+
+    for (let line = 0; line < 8; line++) {
+      const o = line * step;
+      const d0 = data[o], d1 = data[o + stride], d2 = data[o + 2 * stride], d3 = data[o + 3 * stride];
+      const d4 = data[o + 4 * stride], d5 = data[o + 5 * stride], d6 = data[o + 6 * stride], d7 = data[o + 7 * stride];
+
+      const tmp0 = d0 + d7;
+      const tmp7 = d0 - d7;
+      const tmp1 = d1 + d6;
+      const tmp6 = d1 - d6;
+      const tmp2 = d2 + d5;
+      const tmp5 = d2 - d5;
+      const tmp3 = d3 + d4;
+      const tmp4 = d3 - d4;
+
+      // Even part
+      const tmp10 = tmp0 + tmp3;
+      const tmp13 = tmp0 - tmp3;
+      const tmp11 = tmp1 + tmp2;
+      const tmp12 = tmp1 - tmp2;
+
+      data[o] = tmp10 + tmp11;
+      data[o + 4 * stride] = tmp10 - tmp11;
+
+      const z1 = (tmp12 + tmp13) * 0.707106781;
+      data[o + 2 * stride] = tmp13 + z1;
+      data[o + 6 * stride] = tmp13 - z1;
+
+      // Odd part
+      const odd10 = tmp4 + tmp5;
+      const odd11 = tmp5 + tmp6;
+      const odd12 = tmp6 + tmp7;
+
+      const z5 = (odd10 - odd12) * 0.382683433;
+      const z2 = 0.541196100 * odd10 + z5;
+      const z4 = 1.306562965 * odd12 + z5;
+      const z3 = odd11 * 0.707106781;
+
+      const z11 = tmp7 + z3;
+      const z13 = tmp7 - z3;
+
+      data[o + 5 * stride] = z13 + z2;
+      data[o + 3 * stride] = z13 - z2;
+      data[o + stride] = z11 + z4;
+      data[o + 7 * stride] = z11 - z4;
+    }
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Entropy Coding                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Runs a scan without output to count symbol frequencies, then builds optimal tables from them.
+ * @param {Object} frame - Frame with coefficients
+ * @param {JpegScan} scan - Scan to optimize
+ * @param {number} restartInterval - MCUs between restart markers
+ * @returns {{dc: Array<Object|null>, ac: Array<Object|null>}} Tables by table number, null if unused
+ */
+function optimizeJpegTables(frame, scan, restartInterval) {
+  const counters = {
+    dc: [0, 1].map(() => ({ frequencies: new Uint32Array(257) })),
+    ac: [0, 1].map(() => ({ frequencies: new Uint32Array(257) }))
+  };
+  encodeJpegScan(frame, scan, counters, null, restartInterval);
+
+  return {
+    dc: counters.dc.map(counter => createOptimalJpegTable(counter.frequencies)),
+    ac: counters.ac.map(counter => createOptimalJpegTable(counter.frequencies))
+  };
+}
+
+/**
+ * Encodes (or, without a writer, counts) the entropy-coded data of one scan, including
+ * restart markers. Interleaved scans walk MCUs; single-component scans walk blocks.
+ * @param {Object} frame - Frame with coefficients
+ * @param {JpegScan} scan - Scan to encode
+ * @param {{dc: Object[], ac: Object[]}} tables - Huffman tables, or frequency counters
+ * @param {Object|null} writer - Output writer, or null to count symbols
+ * @param {number} restartInterval - MCUs between restart markers
+ */
+function encodeJpegScan(frame, scan, tables, writer, restartInterval) {
+  const scanComponents = scan.components.map(index => frame.components[index]);
+  const componentTables = scanComponents.map(component => ({ dc: tables.dc[component.table], ac: tables.ac[component.table] }));
+  const encodeBlock = getJpegBlockEncoder(scan);
+  const state = {
+    writer,
+    predictions: [0, 0, 0],
+    eobrun: 0,
+    eobrunTable: componentTables[0].ac,
+    correctionBits: [],
+    restartMarker: 0
+  };
+
+  let units = 0;
+  const startUnit = () => {
+    if (restartInterval && units > 0 && units % restartInterval === 0) restartJpegScan(state);
+    units++;
+  };
+
+  if (scanComponents.length === 1) {
+    const [component] = scanComponents;
+    for (let blockY = 0; blockY < component.scanBlocksPerColumn; blockY++) {
+      for (let blockX = 0; blockX < component.scanBlocksPerLine; blockX++) {
+        startUnit();
+        encodeBlock(state, component, (blockY * component.blocksPerLine + blockX) * 64, scan, componentTables[0]);
+      }
+    }
+  } else {
+    for (let mcuY = 0; mcuY < frame.mcusY; mcuY++) {
+      for (let mcuX = 0; mcuX < frame.mcusX; mcuX++) {
+        startUnit();
+        scanComponents.forEach((component, i) => {
+          for (let v = 0; v < component.v; v++) {
+            for (let h = 0; h < component.h; h++) {
+              const blockIndex = (mcuY * component.v + v) * component.blocksPerLine + mcuX * component.h + h;
+              encodeBlock(state, component, blockIndex * 64, scan, componentTables[i]);
+            }
+          }
+        });
+      }
+    }
+  }
+
+  emitJpegEobrun(state);
+  if (writer) flushJpegBits(writer);
+}
+
+/**
+ * Picks the block coder for a scan type.
+ * @param {JpegScan} scan - Scan parameters
+ * @returns {Function} Block encoder
+ */
+function getJpegBlockEncoder(scan) {
+  if (scan.ss === 0 && scan.se === 63) return encodeBaselineBlock;
+  if (scan.ss === 0) return scan.ah === 0 ? encodeDcFirstBlock : encodeDcRefineBlock;
+  return scan.ah === 0 ? encodeAcFirstBlock : encodeAcRefineBlock;
+}
+
+/**
+ * Ends a restart interval: flushes pending runs and bits, writes RSTn and resets the predictors.
+ * @param {Object} state - Scan state
+ */
+function restartJpegScan(state) {
+  emitJpegEobrun(state);
+  if (state.writer) {
+    flushJpegBits(state.writer);
+    writeJpegMarker(state.writer, 0xd0 + state.restartMarker);
+  }
+  state.restartMarker = (state.restartMarker + 1) & 7;
+  state.predictions.fill(0);
+}
+
+/**
+ * Encodes a block of a sequential (baseline) scan.
+ * @param {Object} state - Scan state
+ * @param {Object} component - Frame component
+ * @param {number} offset - Offset of the block's coefficients
+ * @param {JpegScan} scan - Scan parameters
+ * @param {{dc: Object, ac: Object}} tables - Component's Huffman tables
+ */
+function encodeBaselineBlock(state, component, offset, scan, tables) {
+  const coefficients = component.coefficients;
+  const dc = coefficients[offset];
+  emitJpegValue(state, tables.dc, 0, dc - state.predictions[component.index]);
+  state.predictions[component.index] = dc;
+
+  let run = 0;
+  for (let k = 1; k < 64; k++) {
+    const value = coefficients[offset + k];
+    if (value === 0) {
+      run++;
+      continue;
+    }
+    for (; run > 15; run -= 16) emitJpegSymbol(state, tables.ac, 0xf0);
+    emitJpegValue(state, tables.ac, run, value);
+    run = 0;
+  }
+  if (run > 0) emitJpegSymbol(state, tables.ac, 0x00);
+}
+
+/**
+ * Encodes the point-transformed DC coefficient of a block in a first progressive DC scan.
+ * @param {Object} state - Scan state
+ * @param {Object} component - Frame component
+ * @param {number} offset - Offset of the block's coefficients
+ * @param {JpegScan} scan - Scan parameters
+ * @param {{dc: Object, ac: Object}} tables - Component's Huffman tables
+ */
+function encodeDcFirstBlock(state, component, offset, scan, tables) {
+  const dc = component.coefficients[offset] >> scan.al;
+  emitJpegValue(state, tables.dc, 0, dc - state.predictions[component.index]);
+  state.predictions[component.index] = dc;
+}
+
+/**
+ * Writes the next bit of a block's DC coefficient in a DC refinement scan (no Huffman coding).
+ * @param {Object} state - Scan state
+ * @param {Object} component - Frame component
+ * @param {number} offset - Offset of the block's coefficients
+ * @param {JpegScan} scan - Scan parameters
+ */
+function encodeDcRefineBlock(state, component, offset, scan) {
+  emitJpegBits(state, (component.coefficients[offset] >> scan.al) & 1, 1);
+}
+
+/**
+ * Encodes a block's spectral band in a first progressive AC scan, merging empty bands
+ * into end-of-band runs.
+ * @param {Object} state - Scan state
+ * @param {Object} component - Frame component
+ * @param {number} offset - Offset of the block's coefficients
+ * @param {JpegScan} scan - Scan parameters
+ * @param {{dc: Object, ac: Object}} tables - Component's Huffman tables
+ */
+function encodeAcFirstBlock(state, component, offset, scan, tables) {
+  const coefficients = component.coefficients;
+  let run = 0;
+
+  for (let k = scan.ss; k <= scan.se; k++) {
+    const value = coefficients[offset + k];
+    // Point transform of the magnitude; the sign is kept
+    const magnitude = (value < 0 ? -value : value) >> scan.al;
+    if (magnitude === 0) {
+      run++;
+      continue;
+    }
+    emitJpegEobrun(state);
+    for (; run > 15; run -= 16) emitJpegSymbol(state, tables.ac, 0xf0);
+    emitJpegValue(state, tables.ac, run, value < 0 ? -magnitude : magnitude);
+    run = 0;
+  }
+
+  if (run > 0) {
+    state.eobrun++;
+    if (state.eobrun === JPEG_MAX_EOBRUN) emitJpegEobrun(state);
+  }
+}
+
+/**
+ * Encodes a block's spectral band in an AC refinement scan: newly nonzero coefficients are
+ * coded with their sign, and one correction bit is sent for each coefficient that was
+ * already nonzero (buffered until the next symbol, as T.81 G.1.2.3 requires).
+ * @param {Object} state - Scan state
+ * @param {Object} component - Frame component
+ * @param {number} offset - Offset of the block's coefficients
+ * @param {JpegScan} scan - Scan parameters
+ * @param {{dc: Object, ac: Object}} tables - Component's Huffman tables
+ */
+function encodeAcRefineBlock(state, component, offset, scan, tables) {
+  const coefficients = component.coefficients;
+  const { ss, se, al } = scan;
+
+  // Last coefficient that becomes nonzero in this scan; zero runs after it join the end-of-band run
+  let lastNew = 0;
+  for (let k = ss; k <= se; k++) {
+    const value = coefficients[offset + k];
+    if (((value < 0 ? -value : value) >> al) === 1) lastNew = k;
+  }
+
+  let run = 0;
+  let blockBits = [];
+  for (let k = ss; k <= se; k++) {
+    const value = coefficients[offset + k];
+    const magnitude = (value < 0 ? -value : value) >> al;
+    if (magnitude === 0) {
+      run++;
+      continue;
+    }
+
+    for (; run > 15 && k <= lastNew; run -= 16) {
+      emitJpegEobrun(state);
+      emitJpegSymbol(state, tables.ac, 0xf0);
+      emitJpegCorrectionBits(state, blockBits);
+      blockBits = [];
+    }
+
+    if (magnitude > 1) {
+      // Already nonzero from an earlier scan: only its next bit is sent
+      blockBits.push(magnitude & 1);
+      continue;
+    }
+
+    emitJpegEobrun(state);
+    emitJpegSymbol(state, tables.ac, (run << 4) | 1);
+    emitJpegBits(state, value < 0 ? 0 : 1, 1);
+    emitJpegCorrectionBits(state, blockBits);
+    blockBits = [];
+    run = 0;
+  }
+
+  if (run > 0 || blockBits.length > 0) {
+    state.eobrun++;
+    state.correctionBits.push(...blockBits);
+    if (state.eobrun === JPEG_MAX_EOBRUN || state.correctionBits.length > JPEG_MAX_CORRECTION_BITS) {
+      emitJpegEobrun(state);
+    }
+  }
+}
+
+/**
+ * Emits the pending end-of-band run and the correction bits buffered with it.
+ * @param {Object} state - Scan state
+ */
+function emitJpegEobrun(state) {
+  if (state.eobrun === 0) return;
+
+  const size = 31 - Math.clz32(state.eobrun);
+  emitJpegSymbol(state, state.eobrunTable, size << 4);
+  if (size) emitJpegBits(state, state.eobrun, size);
+  state.eobrun = 0;
+
+  emitJpegCorrectionBits(state, state.correctionBits);
+  state.correctionBits = [];
+}
+
+/**
+ * Emits buffered refinement bits.
+ * @param {Object} state - Scan state
+ * @param {number[]} bits - Bits in order
+ */
+function emitJpegCorrectionBits(state, bits) {
+  for (const bit of bits) emitJpegBits(state, bit, 1);
+}
+
+/**
+ * Emits a run/size symbol followed by the value's magnitude bits (T.81 F.1.2).
+ * @param {Object} state - Scan state
+ * @param {Object} table - Huffman table or frequency counter
+ * @param {number} run - Preceding zero run (0–15)
+ * @param {number} value - Nonzero coefficient or DC difference (0 allowed for DC)
+ */
+function emitJpegValue(state, table, run, value) {
+  const magnitude = value < 0 ? -value : value;
+  const size = magnitude ? 32 - Math.clz32(magnitude) : 0;
+  emitJpegSymbol(state, table, (run << 4) | size);
+  // Negative values are sent as value - 1 in `size` bits (one's complement)
+  if (size) emitJpegBits(state, value < 0 ? value - 1 : value, size);
+}
+
+/**
+ * Writes a Huffman code, or counts the symbol when the scan has no writer.
+ * @param {Object} state - Scan state
+ * @param {Object} table - Huffman table or frequency counter
+ * @param {number} symbol - Symbol (0–255)
+ * @throws {Error} If the table has no code for the symbol
+ */
+function emitJpegSymbol(state, table, symbol) {
+  if (!state.writer) {
+    table.frequencies[symbol]++;
+    return;
+  }
+  const length = table.lengths[symbol];
+  if (!length) throw new Error(`Huffman table has no code for symbol ${symbol}`);
+  writeJpegBits(state.writer, table.codes[symbol], length);
+}
+
+/**
+ * Writes raw bits when the scan has a writer.
+ * @param {Object} state - Scan state
+ * @param {number} value - Bits (only the low `length` bits are used)
+ * @param {number} length - Number of bits
+ */
+function emitJpegBits(state, value, length) {
+  if (state.writer) writeJpegBits(state.writer, value, length);
+}
+
+/**
+ * Builds the code lookup for a Huffman table from its code length counts (T.81 Annex C).
+ * @param {number[]} bits - Number of codes of each length 1–16
+ * @param {number[]} values - Symbols in code order
+ * @returns {{bits: number[], values: number[], codes: Uint16Array, lengths: Uint8Array}} Huffman table
+ */
+function buildJpegHuffmanTable(bits, values) {
+  const codes = new Uint16Array(256);
+  const lengths = new Uint8Array(256);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < bits[length - 1]; i++) {
+      codes[values[k]] = code++;
+      lengths[values[k]] = length;
+      k++;
+    }
+    code <<= 1;
+  }
+  return { bits, values, codes, lengths };
+}
+
+/**
+ * Builds a Huffman table from the standard T.81 Annex K tables.
+ * @param {{bits: number[], values: number[]}} spec - Standard table
+ * @returns {Object} Huffman table
+ */
+function createStandardJpegTable(spec) {
+  return buildJpegHuffmanTable(spec.bits, spec.values);
+}
+
+/**
+ * Builds an optimal Huffman table from symbol frequencies with code lengths limited to 16 bits
+ * (T.81 Annex K.2, as libjpeg's jpeg_gen_optimal_table). One extra symbol with frequency 1
+ * reserves the all-ones code, which JPEG forbids.
+ * @param {Uint32Array} counts - Frequencies of symbols 0–255 (257 entries)
+ * @returns {Object|null} Huffman table, or null if no symbol was used
+ */
+function createOptimalJpegTable(counts) {
+  if (!counts.some(count => count > 0)) return null;
+
+  const frequencies = Float64Array.from(counts);
+  frequencies[256] = 1;
+  const codeSizes = new Int32Array(257);
+  const others = new Int32Array(257).fill(-1);
+
+  for (;;) {
+    // Merge the two least frequent trees, preferring higher symbols on ties
+    let c1 = -1;
+    let c2 = -1;
+    let lowest = Infinity;
+    for (let i = 0; i <= 256; i++) {
+      if (frequencies[i] && frequencies[i] <= lowest) {
+        lowest = frequencies[i];
+        c1 = i;
+      }
+    }
+    lowest = Infinity;
+    for (let i = 0; i <= 256; i++) {
+      if (frequencies[i] && frequencies[i] <= lowest && i !== c1) {
+        lowest = frequencies[i];
+        c2 = i;
+      }
+    }
+    if (c2 < 0) break;
+
+    frequencies[c1] += frequencies[c2];
+    frequencies[c2] = 0;
+
+    codeSizes[c1]++;
+    while (others[c1] >= 0) {
+      c1 = others[c1];
+      codeSizes[c1]++;
+    }
+    others[c1] = c2;
+
+    codeSizes[c2]++;
+    while (others[c2] >= 0) {
+      c2 = others[c2];
+      codeSizes[c2]++;
+    }
+  }
+
+  const lengthCounts = new Array(258).fill(0);
+  let longest = 0;
+  for (let i = 0; i <= 256; i++) {
+    if (codeSizes[i]) {
+      lengthCounts[codeSizes[i]]++;
+      longest = Math.max(longest, codeSizes[i]);
+    }
+  }
+
+  // Shorten codes over 16 bits: move a pair up and a shorter code down (Annex K.3 Figure K.3)
+  for (let i = longest; i > 16; i--) {
+    while (lengthCounts[i] > 0) {
+      let j = i - 2;
+      while (lengthCounts[j] === 0) j--;
+      lengthCounts[i] -= 2;
+      lengthCounts[i - 1]++;
+      lengthCounts[j + 1] += 2;
+      lengthCounts[j]--;
+    }
+  }
+
+  // Drop the reserved symbol, which has one of the longest codes
+  let i = 16;
+  while (lengthCounts[i] === 0) i--;
+  lengthCounts[i]--;
+
+  const values = [];
+  for (let length = 1; length <= longest; length++) {
+    for (let symbol = 0; symbol < 256; symbol++) {
+      if (codeSizes[symbol] === length) values.push(symbol);
+    }
+  }
+  return buildJpegHuffmanTable(lengthCounts.slice(1, 17), values);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                File Output                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Creates a growable byte writer with a bit accumulator for entropy-coded data.
+ * @param {number} capacity - Initial buffer size
+ * @returns {{bytes: Uint8Array, length: number, bitBuffer: number, bitCount: number}} Writer
+ */
+function createJpegWriter(capacity) {
+  return { bytes: new Uint8Array(capacity), length: 0, bitBuffer: 0, bitCount: 0 };
+}
+
+/**
+ * Appends one byte, growing the buffer as needed.
+ * @param {Object} writer - Writer
+ * @param {number} byte - Byte value
+ */
+function writeJpegByte(writer, byte) {
+  if (writer.length === writer.bytes.length) {
+    const grown = new Uint8Array(writer.bytes.length * 2);
+    grown.set(writer.bytes);
+    writer.bytes = grown;
+  }
+  writer.bytes[writer.length++] = byte;
+}
+
+/**
+ * Appends bits to entropy-coded data, stuffing a zero byte after every 0xFF.
+ * @param {Object} writer - Writer
+ * @param {number} value - Bits (only the low `length` bits are used)
+ * @param {number} length - Number of bits (up to 16)
+ */
+function writeJpegBits(writer, value, length) {
+  writer.bitBuffer = (writer.bitBuffer << length) | (value & ((1 << length) - 1));
+  writer.bitCount += length;
+  while (writer.bitCount >= 8) {
+    writer.bitCount -= 8;
+    const byte = (writer.bitBuffer >>> writer.bitCount) & 0xff;
+    writeJpegByte(writer, byte);
+    if (byte === 0xff) writeJpegByte(writer, 0);
+  }
+  writer.bitBuffer &= (1 << writer.bitCount) - 1;
+}
+
+/**
+ * Pads entropy-coded data to a byte boundary with 1-bits.
+ * @param {Object} writer - Writer
+ */
+function flushJpegBits(writer) {
+  if (writer.bitCount > 0) {
+    const padding = 8 - writer.bitCount;
+    writeJpegBits(writer, (1 << padding) - 1, padding);
+  }
+}
+
+/**
+ * Writes a marker without a payload.
+ * @param {Object} writer - Writer
+ * @param {number} marker - Marker code (the byte after 0xFF)
+ */
+function writeJpegMarker(writer, marker) {
+  writeJpegByte(writer, 0xff);
+  writeJpegByte(writer, marker);
+}
+
+/**
+ * Writes a marker segment with its length field.
+ * @param {Object} writer - Writer
+ * @param {number} marker - Marker code
+ * @param {number[]} payload - Segment bytes after the length field
+ */
+function writeJpegSegment(writer, marker, payload) {
+  writeJpegMarker(writer, marker);
+  const length = payload.length + 2;
+  writeJpegByte(writer, length >> 8);
+  writeJpegByte(writer, length & 0xff);
+  for (const byte of payload) writeJpegByte(writer, byte);
+}
+
+/**
+ * Writes SOI, the JFIF APP0 segment, the quantization tables, the frame header
+ * (SOF0 baseline or SOF2 progressive) and the restart interval.
+ * @param {Object} writer - Writer
+ * @param {Object} frame - Frame layout
+ * @param {Uint8Array[]} quantTables - Luma and chroma quantization tables (natural order)
+ * @param {boolean} progressive - Whether the image is progressive
+ * @param {number} restartInterval - MCUs between restart markers, 0 for none
+ */
+function writeJpegHeaders(writer, frame, quantTables, progressive, restartInterval) {
+  writeJpegMarker(writer, 0xd8);
+
+  // "JFIF\0", version 1.01, no density units, 1:1 aspect ratio, no thumbnail
+  writeJpegSegment(writer, 0xe0, [0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+
+  const dqt = [];
+  quantTables.forEach((table, id) => {
+    dqt.push(id);
+    for (let k = 0; k < 64; k++) dqt.push(table[JPEG_ZIGZAG[k]]);
+  });
+  writeJpegSegment(writer, 0xdb, dqt);
+
+  const sof = [8, frame.height >> 8, frame.height & 0xff, frame.width >> 8, frame.width & 0xff, frame.components.length];
+  for (const component of frame.components) {
+    sof.push(component.id, (component.h << 4) | component.v, component.table);
+  }
+  writeJpegSegment(writer, progressive ? 0xc2 : 0xc0, sof);
+
+  if (restartInterval) {
+    writeJpegSegment(writer, 0xdd, [restartInterval >> 8, restartInterval & 0xff]);
+  }
+}
+
+/**
+ * Writes a DHT segment with the tables a scan uses (none for DC refinement scans).
+ * @param {Object} writer - Writer
+ * @param {{dc: Array<Object|null>, ac: Array<Object|null>}} tables - Tables by table number
+ */
+function writeJpegHuffmanTables(writer, tables) {
+  const payload = [];
+  [tables.dc, tables.ac].forEach((classTables, tableClass) => {
+    classTables.forEach((table, id) => {
+      if (!table) return;
+      payload.push((tableClass << 4) | id, ...table.bits, ...table.values);
+    });
+  });
+  if (payload.length > 0) writeJpegSegment(writer, 0xc4, payload);
+}
+
+/**
+ * Writes the SOS header of a scan.
+ * @param {Object} writer - Writer
+ * @param {Object} frame - Frame layout
+ * @param {JpegScan} scan - Scan parameters
+ */
+function writeJpegScanHeader(writer, frame, scan) {
+  const sos = [scan.components.length];
+  for (const index of scan.components) {
+    const component = frame.components[index];
+    sos.push(component.id, (component.table << 4) | component.table);
+  }
+  sos.push(scan.ss, scan.se, (scan.ah << 4) | scan.al);
+  writeJpegSegment(writer, 0xda, sos);
+}
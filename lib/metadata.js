@@ -0,0 +1,289 @@
+/**
+ * @fileoverview JPEG Metadata Writer for Save as JPG Chrome Extension
+ * Inserts APP1 segments into encoded JPEGs: an XMP packet recording where the image came from
+ * (source URL, page URL, capture date, artist and copyright), and optionally the EXIF block
+ * carried over from a JPEG source. Canvas encoders write no metadata of their own.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {string} Identifier that starts an EXIF APP1 payload */
+const EXIF_HEADER = 'Exif\0\0';
+
+/** @const {string} Identifier that starts an XMP APP1 payload */
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+/** @const {number} Largest payload of a single JPEG marker segment (the length field counts itself) */
+const MAX_SEGMENT_PAYLOAD = 65533;
+
+/** @const {number} Longest URL recorded in XMP; longer URLs are truncated to keep the packet in one segment */
+const MAX_XMP_URL_LENGTH = 4000;
+
+/** @const {number} JPEG marker: start of image */
+const MARKER_SOI = 0xd8;
+
+/** @const {number} JPEG marker: start of scan (entropy-coded data follows) */
+const MARKER_SOS = 0xda;
+
+/** @const {number} JPEG marker: APP0 (JFIF header) */
+const MARKER_APP0 = 0xe0;
+
+/** @const {number} JPEG marker: APP1 (EXIF or XMP) */
+const MARKER_APP1 = 0xe1;
+
+/**
+ * Lists the marker segments in a JPEG's header, up to the first scan.
+ * @param {Uint8Array} bytes - JPEG file
+ * @param {boolean} [partial=false] - Whether `bytes` may be only the start of the file;
+ *   segments cut off at the end are then skipped instead of reported as corrupt
+ * @returns {Array<{marker: number, start: number, end: number}>} Segments; `start` is the 0xFF byte, `end` is exclusive
+ * @throws {Error} If the data is not a JPEG or the header is truncated
+ */
+function readJpegSegments(bytes, partial = false) {
+  if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== MARKER_SOI) {
+    throw new Error('Not a JPEG file');
+  }
+
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) throw new Error('Corrupt JPEG header');
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const end = offset + 2 + length;
+    if (end > bytes.length && partial) break;
+    if (length < 2 || end > bytes.length) throw new Error('Corrupt JPEG header');
+
+    segments.push({ marker, start: offset, end });
+    if (marker === MARKER_SOS) break;
+    offset = end;
+  }
+  return segments;
+}
+
+/**
+ * Returns the EXIF APP1 payload (starting with "Exif\0\0") of a JPEG, if there is one.
+ * @param {Uint8Array} bytes - JPEG file, or at least its first segments
+ * @returns {Uint8Array|null} Copy of the EXIF payload, or null
+ */
+function extractJpegExif(bytes) {
+  try {
+    for (const segment of readJpegSegments(bytes, true)) {
+      if (segment.marker !== MARKER_APP1) continue;
+      const payload = bytes.subarray(segment.start + 4, segment.end);
+      if (startsWithAscii(payload, EXIF_HEADER)) return payload.slice();
+    }
+  } catch (error) {
+    console.warn('[Save as JPG] Could not read source EXIF:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Inserts EXIF and/or XMP APP1 segments into a JPEG, after the JFIF header.
+ * Any APP1 segments already in the file are replaced.
+ * @param {Uint8Array} bytes - JPEG file
+ * @param {Object} metadata - Segments to write
+ * @param {Uint8Array} [metadata.exif] - EXIF payload from extractJpegExif()
+ * @param {string} [metadata.xmp] - XMP packet from buildXmpPacket()
+ * @returns {Uint8Array} New JPEG file
+ */
+function insertJpegMetadata(bytes, metadata) {
+  const segments = readJpegSegments(bytes);
+  const inserted = [];
+  if (metadata.exif) inserted.push(createSegment(MARKER_APP1, metadata.exif));
+  if (metadata.xmp) {
+    inserted.push(createSegment(MARKER_APP1, new TextEncoder().encode(XMP_HEADER + metadata.xmp)));
+  }
+
+  // EXIF readers expect APP1 right after SOI, JFIF readers expect APP0 there; APP0 first works for both
+  const insertAt = segments[0]?.marker === MARKER_APP0 ? segments[0].end : 2;
+  const parts = [bytes.subarray(0, insertAt), ...inserted];
+  let offset = insertAt;
+  for (const segment of segments) {
+    if (segment.start < insertAt || segment.marker !== MARKER_APP1) continue;
+    parts.push(bytes.subarray(offset, segment.start));
+    offset = segment.end;
+  }
+  parts.push(bytes.subarray(offset));
+
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+  return result;
+}
+
+/**
+ * Builds a marker segment (marker, length and payload).
+ * @param {number} marker - Marker byte
+ * @param {Uint8Array} payload - Segment payload
+ * @returns {Uint8Array} Segment bytes
+ * @throws {Error} If the payload does not fit in one segment
+ */
+function createSegment(marker, payload) {
+  if (payload.length > MAX_SEGMENT_PAYLOAD) {
+    throw new Error('Metadata is too large for a JPEG segment');
+  }
+  const segment = new Uint8Array(payload.length + 4);
+  segment[0] = 0xff;
+  segment[1] = marker;
+  segment[2] = (payload.length + 2) >> 8;
+  segment[3] = (payload.length + 2) & 0xff;
+  segment.set(payload, 4);
+  return segment;
+}
+
+/**
+ * Adjusts a carried-over EXIF block to the re-encoded image: the orientation is reset to
+ * "normal" because the browser already applied it to the pixels, and the stored pixel
+ * dimensions are updated. The block is edited in place; unreadable blocks are left alone.
+ * @param {Uint8Array} exif - EXIF payload (starting with "Exif\0\0")
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {Uint8Array} The same payload
+ */
+function normalizeExifBlock(exif, width, height) {
+  try {
+    const tiff = new DataView(exif.buffer, exif.byteOffset + EXIF_HEADER.length, exif.length - EXIF_HEADER.length);
+    const byteOrder = tiff.getUint16(0);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return exif;
+    const little = byteOrder === 0x4949;
+
+    const updates = {
+      0x0112: 1, // Orientation: top-left
+      0xa002: width, // PixelXDimension
+      0xa003: height // PixelYDimension
+    };
+
+    const visitIfd = (ifdOffset, depth) => {
+      if (depth > 1 || ifdOffset + 2 > tiff.byteLength) return;
+      const count = tiff.getUint16(ifdOffset, little);
+      for (let i = 0; i < count; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        if (entry + 12 > tiff.byteLength) return;
+
+        const tag = tiff.getUint16(entry, little);
+        const type = tiff.getUint16(entry + 2, little);
+        if (tag === 0x8769) {
+          visitIfd(tiff.getUint32(entry + 8, little), depth + 1); // Exif sub-IFD
+        } else if (tag in updates) {
+          // Values of count 1 are stored inline: SHORT (3) or LONG (4)
+          if (type === 3) tiff.setUint16(entry + 8, Math.min(updates[tag], 0xffff), little);
+          else if (type === 4) tiff.setUint32(entry + 8, updates[tag], little);
+        }
+      }
+    };
+    visitIfd(tiff.getUint32(4, little), 0);
+  } catch (error) {
+    console.warn('[Save as JPG] Could not update source EXIF:', error.message);
+  }
+  return exif;
+}
+
+/**
+ * Builds an XMP packet describing where an image came from.
+ * Uses Dublin Core (source, relation, creator, rights) and XMP basic (CreateDate, CreatorTool).
+ * @param {Object} info - Values to record; empty values are omitted
+ * @param {string} [info.sourceUrl] - Image URL (data: URLs are not recorded)
+ * @param {string} [info.pageUrl] - Page URL
+ * @param {Date} [info.date] - Capture date
+ * @param {string} [info.artist] - Artist / creator
+ * @param {string} [info.copyright] - Copyright notice
+ * @returns {string} XMP packet
+ */
+function buildXmpPacket(info) {
+  const properties = [];
+  const sourceUrl = toRecordableUrl(info.sourceUrl);
+  const pageUrl = toRecordableUrl(info.pageUrl);
+
+  if (sourceUrl) properties.push(`<dc:source>${escapeXml(sourceUrl)}</dc:source>`);
+  if (pageUrl) {
+    properties.push(`<dc:relation><rdf:Bag><rdf:li>${escapeXml(pageUrl)}</rdf:li></rdf:Bag></dc:relation>`);
+  }
+  if (info.date) properties.push(`<xmp:CreateDate>${formatXmpDate(info.date)}</xmp:CreateDate>`);
+  if (info.artist) {
+    properties.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXml(info.artist)}</rdf:li></rdf:Seq></dc:creator>`);
+  }
+  if (info.copyright) {
+    properties.push(`<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(info.copyright)}</rdf:li></rdf:Alt></dc:rights>`);
+    properties.push('<xmpRights:Marked>True</xmpRights:Marked>');
+  }
+  properties.push('<xmp:CreatorTool>Save as JPG</xmp:CreatorTool>');
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about=""',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    ' xmlns:xmpRights="http://ns.adobe.com/xap/1.0/rights/">',
+    ...properties,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join('\n');
+}
+
+/**
+ * Filters a URL for recording: only http(s) URLs, truncated to MAX_XMP_URL_LENGTH.
+ * @param {string} [url] - URL
+ * @returns {string} URL to record, or an empty string
+ */
+function toRecordableUrl(url) {
+  if (!url || !/^https?:/i.test(url)) return '';
+  return url.length > MAX_XMP_URL_LENGTH ? url.substring(0, MAX_XMP_URL_LENGTH) : url;
+}
+
+/**
+ * Escapes text for XML element content and attributes.
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\0-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a date as an XMP date in local time with the UTC offset, e.g. "2025-12-10T14:03:22+01:00".
+ * @param {Date} date - Date to format
+ * @returns {string} XMP date
+ */
+function formatXmpDate(date) {
+  const pad2 = n => String(n).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}` +
+    `T${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}` +
+    `${sign}${pad2(Math.floor(Math.abs(offset) / 60))}:${pad2(Math.abs(offset) % 60)}`;
+}
+
+/**
+ * Checks whether bytes start with an ASCII string.
+ * @param {Uint8Array} bytes - Bytes to check
+ * @param {string} text - ASCII prefix
+ * @returns {boolean} True if the prefix matches
+ */
+function startsWithAscii(bytes, text) {
+  if (bytes.length < text.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
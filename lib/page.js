@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Shared Page Helpers for Save as JPG Chrome Extension
+ * Theme, status message, localization and byte size helpers used by the options, popup, history,
+ * converter and frame picker pages. Each page has a `#status` element for showStatus(). The
+ * service worker imports this file only for formatByteSize().
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {number} How long a status message stays visible, in milliseconds */
+const STATUS_DISPLAY_MS = 3000;
+
+/** @type {number|null} Timeout ID for hiding the status message */
+let statusTimeoutId = null;
+
+/**
+ * Applies the theme chosen on the options page (shared through localStorage).
+ */
+function applyTheme() {
+  const savedTheme = localStorage.getItem('theme');
+  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+  document.documentElement.setAttribute('data-theme', savedTheme || (prefersDark ? 'dark' : 'light'));
+}
+
+/**
+ * Shows a status message that auto-hides after 3 seconds.
+ * @param {string} message - Message to display
+ * @param {string} type - Message type ('success' or 'error')
+ * @param {boolean} [keep=false] - Keep the message until the next one instead
+ */
+function showStatus(message, type, keep = false) {
+  const statusDiv = document.getElementById('status');
+  if (statusTimeoutId) clearTimeout(statusTimeoutId);
+  statusTimeoutId = null;
+
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+  if (keep) return;
+
+  statusTimeoutId = setTimeout(() => {
+    statusDiv.classList.add('hidden');
+    statusTimeoutId = null;
+  }, STATUS_DISPLAY_MS);
+}
+
+/**
+ * Applies internationalization to elements with data-i18n attribute.
+ * Text inputs get the message as placeholder.
+ * @param {ParentNode} [root=document] - Document or element (e.g. a cloned template) to localize
+ */
+function applyI18n(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.getAttribute('data-i18n'));
+    if (!message) return;
+    if (element.tagName === 'INPUT') {
+      element.placeholder = message;
+    } else {
+      element.textContent = message;
+    }
+  });
+}
+
+/**
+ * Formats a byte count for display, e.g. "486 KB" or "1.2 MB".
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size
+ */
+function formatByteSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
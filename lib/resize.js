@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Resize Helpers for Save as JPG Chrome Extension
+ * Computes crop rectangles and output dimensions (SVG rasterization and user resize options),
+ * and draws images with high-quality stepwise downsampling to avoid aliasing.
+ * Shared by the service worker (OffscreenCanvas) and the offscreen document (DOM canvas).
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {number} Default longest side for rasterized SVGs */
+const DEFAULT_SVG_TARGET_SIZE = 2048;
+
+/** @const {number} Largest canvas side Chrome can allocate */
+const MAX_CANVAS_SIDE = 32767;
+
+/** @const {number} Largest canvas area (pixels) Chrome can allocate */
+const MAX_CANVAS_AREA = 268435456;
+
+/**
+ * Computes the final output size for a source image.
+ * SVGs smaller than half of `svgTargetSize` are rasterized at `svgTargetSize` first,
+ * then the user's resize mode is applied to the resulting size.
+ * @param {number} width - Intrinsic width (may be 0 for some SVGs)
+ * @param {number} height - Intrinsic height (may be 0 for some SVGs)
+ * @param {Object} settings - User settings (resizeMode, resizeSize, resizePercent, resizeNoUpscale, svgTargetSize)
+ * @param {boolean} isSVG - Whether the source is a vector image
+ * @returns {{width: number, height: number}} Output size in pixels
+ */
+function getOutputSize(width, height, settings, isSVG) {
+  const svgTarget = settings.svgTargetSize || DEFAULT_SVG_TARGET_SIZE;
+
+  // Zero dimensions (unsized SVGs, broken images): fall back to a square canvas
+  if (!width || !height) {
+    return { width: svgTarget, height: svgTarget };
+  }
+
+  // SVG images often have small intrinsic dimensions; rasterize them at the target size
+  if (isSVG && Math.max(width, height) < svgTarget / 2) {
+    const scale = svgTarget / Math.max(width, height);
+    width = Math.round(width * scale);
+    height = Math.round(height * scale);
+  }
+
+  return getResizedSize(width, height, settings);
+}
+
+/**
+ * Applies the user's resize mode to an image size, preserving aspect ratio.
+ * Modes: "none", "longest" (longest edge), "width", "height" (fixed px) and "percent".
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Object} settings - User settings (resizeMode, resizeSize, resizePercent, resizeNoUpscale)
+ * @returns {{width: number, height: number}} Resized dimensions (at least 1x1)
+ */
+function getResizedSize(width, height, settings) {
+  let scale = 1;
+
+  switch (settings.resizeMode) {
+    case 'longest':
+      scale = settings.resizeSize / Math.max(width, height);
+      break;
+    case 'width':
+      scale = settings.resizeSize / width;
+      break;
+    case 'height':
+      scale = settings.resizeSize / height;
+      break;
+    case 'percent':
+      scale = settings.resizePercent / 100;
+      break;
+  }
+
+  if (!(scale > 0) || !Number.isFinite(scale)) scale = 1;
+  if (settings.resizeNoUpscale && scale > 1) scale = 1;
+
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Scales a size down, preserving aspect ratio, until a canvas of that size can be allocated.
+ * @param {number} width - Requested width
+ * @param {number} height - Requested height
+ * @returns {{width: number, height: number}} Size within the canvas limits
+ */
+function fitCanvasLimits(width, height) {
+  const scale = Math.min(1, MAX_CANVAS_SIDE / width, MAX_CANVAS_SIDE / height,
+    Math.sqrt(MAX_CANVAS_AREA / (width * height)));
+  if (scale >= 1) return { width, height };
+
+  return {
+    width: Math.max(1, Math.floor(width * scale)),
+    height: Math.max(1, Math.floor(height * scale))
+  };
+}
+
+/**
+ * Maps a relative crop (fractions of the displayed image) to source pixels.
+ * The result is clamped to the image and is at least 1x1.
+ * @param {number} width - Source width in pixels
+ * @param {number} height - Source height in pixels
+ * @param {{x: number, y: number, width: number, height: number}} [crop] - Crop as fractions (0-1), or null for the whole image
+ * @returns {{x: number, y: number, width: number, height: number}} Source rectangle in pixels
+ */
+function getCropRect(width, height, crop) {
+  if (!crop || !width || !height) {
+    return { x: 0, y: 0, width, height };
+  }
+
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  const x = Math.round(clamp(crop.x, 1) * width);
+  const y = Math.round(clamp(crop.y, 1) * height);
+  const right = Math.round(clamp(crop.x + crop.width, 1) * width);
+  const bottom = Math.round(clamp(crop.y + crop.height, 1) * height);
+
+  return {
+    x: Math.min(x, width - 1),
+    y: Math.min(y, height - 1),
+    width: Math.max(1, right - x),
+    height: Math.max(1, bottom - y)
+  };
+}
+
+/**
+ * Draws a region of a source image onto a context at the requested size.
+ * When shrinking by more than 2x, the image is halved step by step with high-quality
+ * smoothing before the final draw, which avoids the aliasing of a single large downscale.
+ * A zero-sized source rectangle (unsized SVG) draws the whole image.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Destination context
+ * @param {CanvasImageSource} source - Image, ImageBitmap or canvas to draw
+ * @param {{x: number, y: number, width: number, height: number}} sourceRect - Region of the source in pixels
+ * @param {number} width - Destination width
+ * @param {number} height - Destination height
+ * @param {function(number, number): (HTMLCanvasElement|OffscreenCanvas)} createCanvas - Canvas factory for intermediate steps
+ */
+function drawImageHighQuality(ctx, source, sourceRect, width, height, createCanvas) {
+  let current = source;
+  let currentRect = sourceRect;
+  const intermediates = [];
+
+  while (currentRect.width / 2 >= width && currentRect.height / 2 >= height) {
+    const stepWidth = Math.max(width, Math.floor(currentRect.width / 2));
+    const stepHeight = Math.max(height, Math.floor(currentRect.height / 2));
+    const step = createCanvas(stepWidth, stepHeight);
+    const stepCtx = step.getContext('2d');
+    if (!stepCtx) break;
+
+    stepCtx.imageSmoothingEnabled = true;
+    stepCtx.imageSmoothingQuality = 'high';
+    drawRegion(stepCtx, current, currentRect, stepWidth, stepHeight);
+
+    intermediates.push(step);
+    current = step;
+    currentRect = { x: 0, y: 0, width: stepWidth, height: stepHeight };
+  }
+
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  drawRegion(ctx, current, currentRect, width, height);
+
+  // Release intermediate pixel buffers right away instead of waiting for GC
+  for (const step of intermediates) {
+    step.width = 0;
+    step.height = 0;
+  }
+}
+
+/**
+ * Draws a source region scaled to fill a width x height area at the origin.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Destination context
+ * @param {CanvasImageSource} source - Image to draw
+ * @param {{x: number, y: number, width: number, height: number}} rect - Source region (zero size = whole image)
+ * @param {number} width - Destination width
+ * @param {number} height - Destination height
+ */
+function drawRegion(ctx, source, rect, width, height) {
+  if (rect.width > 0 && rect.height > 0) {
+    ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+  } else {
+    ctx.drawImage(source, 0, 0, width, height);
+  }
+}
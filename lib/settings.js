@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Settings Schema for Save as JPG Chrome Extension
+ * Single definition of every setting (default and allowed values), validation, versioned
+ * migrations of stored and imported settings, and chrome.storage.managed policies with which
+ * administrators preset or lock values. Shared by the service worker and the options page.
+ * Effective settings are the defaults, overridden by policy presets, then by the user's saved
+ * values (chrome.storage.sync), then by locked policy values.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {number} Current settings version, stored as `settingsVersion` and written to exports */
+const SETTINGS_VERSION = 1;
+
+/** @const {string} Format identifier of exported settings files */
+const SETTINGS_EXPORT_FORMAT = 'save-as-jpg-settings';
+
+/** @const {string[]} Settings a site profile overrides */
+const PROFILE_SETTING_KEYS = [
+  'outputFormat', 'quality', 'webpQuality', 'avifQuality', 'pngKeepAlpha', 'webpKeepAlpha', 'avifKeepAlpha',
+  'bgColor', 'saveAs', 'filenameTemplate'
+];
+
+/**
+ * @typedef {Object} SettingSpec
+ * @property {string} type - "boolean", "number", "integer", "string", "color", "enum", "list" or "profiles"
+ * @property {*} default - Default value
+ * @property {string} [label] - Name shown in error messages, if it differs from the key
+ * @property {number} [min] - Smallest allowed number
+ * @property {number} [max] - Largest allowed number
+ * @property {string[]} [values] - Allowed values of an "enum", or items of a "list"
+ * @property {boolean} [required] - Whether a string may not be empty
+ * @property {function(string): string} [check] - Returns an error message for an invalid string, or ""
+ */
+
+/** @const {Object<string, SettingSpec>} Every setting, in options page order */
+const SETTINGS_SCHEMA = {
+  quality: { type: 'number', default: 1.0, min: 0.7, max: 1.0 },
+  qualityMode: { type: 'enum', default: 'fixed', values: ['fixed', 'target'] },
+  targetSizeKB: { type: 'integer', default: 500, min: 10, max: 100000, label: 'Maximum file size (KB)' },
+  targetSizeResize: { type: 'boolean', default: true },
+  jpegEncoder: { type: 'enum', default: 'browser', values: ['browser', 'builtin'] },
+  jpegSubsampling: { type: 'enum', default: '420', values: ['420', '422', '444'] },
+  jpegProgressive: { type: 'boolean', default: false },
+  jpegOptimizeHuffman: { type: 'boolean', default: true },
+  jpegRestartInterval: { type: 'integer', default: 0, min: 0, max: 65535, label: 'Restart interval' },
+  bgColor: { type: 'color', default: '#ffffff', label: 'Background color' },
+  resizeMode: { type: 'enum', default: 'none', values: ['none', 'longest', 'width', 'height', 'percent'] },
+  resizeSize: { type: 'integer', default: 1920, min: 1, max: 20000, label: 'Resize size (px)' },
+  resizePercent: { type: 'integer', default: 50, min: 1, max: 1000, label: 'Resize scale (%)' },
+  resizeNoUpscale: { type: 'boolean', default: true },
+  svgTargetSize: {
+    type: 'integer', default: DEFAULT_SVG_TARGET_SIZE, min: 256, max: 16384, label: 'SVG rasterization size (px)'
+  },
+  pngKeepAlpha: { type: 'boolean', default: true },
+  webpQuality: { type: 'number', default: 0.9, min: 0.1, max: 1.0 },
+  webpKeepAlpha: { type: 'boolean', default: true },
+  avifQuality: { type: 'number', default: 0.8, min: 0.1, max: 1.0 },
+  avifKeepAlpha: { type: 'boolean', default: true },
+  filenameTemplate: { type: 'string', default: DEFAULT_FILENAME_TEMPLATE, required: true, label: 'Filename template' },
+  metadataEnabled: { type: 'boolean', default: false },
+  metadataArtist: { type: 'string', default: '' },
+  metadataCopyright: { type: 'string', default: '' },
+  keepExif: { type: 'boolean', default: false },
+  urlRewriteEnabled: { type: 'boolean', default: true },
+  urlRewriteRules: {
+    type: 'string',
+    default: '',
+    check: value => parseRewriteRules(value).errors.map(error => `URL rewrite rule ${error}`)[0] || ''
+  },
+  hoverButtonEnabled: { type: 'boolean', default: false },
+  hoverButtonMinSize: { type: 'integer', default: 200, min: 0, max: 10000, label: 'Hover button minimum size (px)' },
+  quickSaveModifier: { type: 'enum', default: 'none', values: ['none', 'alt', 'alt-shift', 'ctrl-shift'] },
+  outputFormat: { type: 'enum', default: 'jpg', values: ['jpg', 'png', 'webp', 'avif'], label: 'Quick save format' },
+  quickSaveSiteMode: { type: 'enum', default: 'deny', values: ['deny', 'allow'] },
+  quickSaveSites: { type: 'string', default: '' },
+  batchMinWidth: { type: 'integer', default: 100, min: 0, max: 100000, label: 'Minimum image width (px)' },
+  batchMinHeight: { type: 'integer', default: 100, min: 0, max: 100000, label: 'Minimum image height (px)' },
+  batchDomains: { type: 'string', default: '' },
+  batchFormats: {
+    type: 'list',
+    default: ['jpeg', 'png', 'webp', 'gif', 'avif', 'svg', 'other'],
+    values: ['jpeg', 'png', 'webp', 'gif', 'avif', 'svg', 'other']
+  },
+  zipBatch: { type: 'boolean', default: true },
+  zipCompression: { type: 'enum', default: 'store', values: ['store', 'deflate'] },
+  zipManifest: { type: 'boolean', default: false },
+  profiles: { type: 'profiles', default: [] },
+  historyEnabled: { type: 'boolean', default: true },
+  saveAs: { type: 'boolean', default: false }
+};
+
+/** @const {Object} Default extension settings (maximum quality, white background, direct download) */
+const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, spec]) => [key, spec.default])
+);
+
+/**
+ * @const {Array<{version: number, migrate: function(Object): Object}>} Migrations in version order.
+ * Each one turns settings of the previous version into settings of its version. Add one whenever
+ * a setting is renamed or its stored form changes, and bump SETTINGS_VERSION.
+ */
+const SETTINGS_MIGRATIONS = [
+  {
+    // Settings saved before versioning: colors could be #RGB, which color inputs can't show
+    version: 1,
+    migrate(settings) {
+      const migrated = { ...settings };
+      if (typeof migrated.bgColor === 'string') migrated.bgColor = normalizeHexColor(migrated.bgColor);
+      if (Array.isArray(migrated.profiles)) {
+        migrated.profiles = migrated.profiles.map(profile => {
+          if (typeof profile?.settings?.bgColor !== 'string') return profile;
+          return { ...profile, settings: { ...profile.settings, bgColor: normalizeHexColor(profile.settings.bgColor) } };
+        });
+      }
+      return migrated;
+    }
+  }
+];
+
+/**
+ * Checks a value against a setting's schema.
+ * @param {string} key - Setting name
+ * @param {*} value - Value to check
+ * @returns {{value: *, errors?: string[]}|{error: string}} The value (normalized, e.g. lowercase colors), or why
+ *   it is invalid. Profiles come with `errors` for the values dropped from them.
+ */
+function validateSetting(key, value) {
+  const spec = SETTINGS_SCHEMA[key];
+  if (!spec) return { error: `Unknown setting "${key}"` };
+
+  const name = spec.label || key;
+  switch (spec.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: `${name} must be true or false` };
+
+    case 'number':
+    case 'integer': {
+      const isNumber = typeof value === 'number' && Number.isFinite(value) &&
+        (spec.type === 'number' || Number.isInteger(value));
+      if (isNumber && value >= spec.min && value <= spec.max) return { value };
+      return { error: `${name} must be ${spec.type === 'integer' ? 'a whole number' : 'a number'} from ${spec.min} to ${spec.max}` };
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') return { error: `${name} must be text` };
+      const text = value.trim();
+      if (spec.required && !text) return { error: `${name} cannot be empty` };
+      const problem = spec.check ? spec.check(text) : '';
+      return problem ? { error: problem } : { value: text };
+    }
+
+    case 'color':
+      return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)
+        ? { value: normalizeHexColor(value) }
+        : { error: `${name} must be a HEX color such as #ffffff` };
+
+    case 'enum':
+      return spec.values.includes(value) ? { value } : { error: `${name} must be one of: ${spec.values.join(', ')}` };
+
+    case 'list':
+      return Array.isArray(value) && value.every(item => spec.values.includes(item))
+        ? { value: [...new Set(value)] }
+        : { error: `${name} must be a list of: ${spec.values.join(', ')}` };
+
+    case 'profiles':
+      return validateProfiles(value);
+
+    default:
+      return { error: `${name} has an unknown type` };
+  }
+}
+
+/**
+ * Checks site profiles. Each needs an ID and a name; profile values that are invalid are dropped
+ * (so the main settings apply instead) and reported, and keys a profile cannot override are ignored.
+ * @param {*} value - Value to check
+ * @returns {{value: Array<{id: string, name: string, domains: string, settings: Object}>, errors: string[]}|{error: string}}
+ *   Cleaned profiles and a message for each dropped value, or why they are invalid
+ */
+function validateProfiles(value) {
+  const isProfile = profile => profile && typeof profile === 'object' &&
+    typeof profile.id === 'string' && profile.id !== '' && typeof profile.name === 'string' && profile.name.trim() !== '';
+  if (!Array.isArray(value) || !value.every(isProfile)) {
+    return { error: 'profiles must be a list of site profiles, each with an ID and a name' };
+  }
+
+  const errors = [];
+  const profiles = value.map(profile => {
+    const name = profile.name.trim();
+    const settings = {};
+    for (const key of PROFILE_SETTING_KEYS) {
+      if (profile.settings?.[key] === undefined) continue;
+      const result = validateSetting(key, profile.settings[key]);
+      if (result.error) {
+        errors.push(`Profile "${name}": ${result.error}`);
+      } else {
+        settings[key] = result.value;
+      }
+    }
+    return {
+      id: profile.id,
+      name,
+      domains: typeof profile.domains === 'string' ? profile.domains.trim() : '',
+      settings
+    };
+  });
+  return { value: profiles, errors };
+}
+
+/**
+ * Keeps the known, valid settings of an object.
+ * @param {Object} input - Settings to check (other keys, such as settingsVersion, are ignored)
+ * @returns {{settings: Object, errors: string[]}} Valid settings, and a message for each invalid one
+ */
+function sanitizeSettings(input) {
+  const settings = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(input || {})) {
+    if (!SETTINGS_SCHEMA[key] || value === null || value === undefined) continue;
+    const result = validateSetting(key, value);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      settings[key] = result.value;
+      // Profiles are kept without their invalid values, which are reported like invalid settings
+      if (result.errors) errors.push(...result.errors);
+    }
+  }
+  return { settings, errors };
+}
+
+/**
+ * Brings settings of an older version up to SETTINGS_VERSION.
+ * @param {Object} settings - Stored or imported settings
+ * @param {number} [version=0] - Their version (0 for settings saved before versioning)
+ * @returns {Object} Migrated copy
+ * @throws {Error} If the settings come from a newer version of the extension
+ */
+function migrateSettings(settings, version = 0) {
+  if (version > SETTINGS_VERSION) {
+    throw new Error('These settings come from a newer version of the extension. Update it first.');
+  }
+  let migrated = { ...settings };
+  for (const migration of SETTINGS_MIGRATIONS) {
+    if (migration.version > version) migrated = migration.migrate(migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Migrates the settings in chrome.storage.sync to SETTINGS_VERSION, once after install or update.
+ * @returns {Promise<void>}
+ */
+async function migrateStoredSettings() {
+  const stored = await chrome.storage.sync.get(null);
+  const version = stored.settingsVersion || 0;
+  if (version >= SETTINGS_VERSION) return;
+
+  const migrated = migrateSettings(stored, version);
+  const changed = Object.keys(migrated).filter(key => migrated[key] !== stored[key]);
+  const removed = Object.keys(stored).filter(key => !(key in migrated));
+  const updates = Object.fromEntries(changed.map(key => [key, migrated[key]]));
+
+  if (removed.length > 0) await chrome.storage.sync.remove(removed);
+  await chrome.storage.sync.set({ ...updates, settingsVersion: SETTINGS_VERSION });
+}
+
+/**
+ * Reads the administrator's policy. Invalid policy values are ignored (and logged).
+ * @returns {Promise<{preset: Object, locked: Object}>} Preset and locked settings
+ */
+async function readManagedPolicy() {
+  let policy = {};
+  try {
+    policy = await chrome.storage.managed.get(['PresetSettings', 'LockedSettings']);
+  } catch {
+    // Managed storage is unavailable (no policy support on this platform)
+  }
+
+  const preset = sanitizeSettings(policy.PresetSettings);
+  const locked = sanitizeSettings(policy.LockedSettings);
+  for (const error of [...preset.errors, ...locked.errors]) {
+    console.warn('[Save as JPG] Ignoring invalid policy value:', error);
+  }
+  return { preset: preset.settings, locked: locked.settings };
+}
+
+/**
+ * Reads the effective settings: defaults < policy presets < the user's saved values < locked policy values.
+ * Saved values that fail validation fall back to the preset or default.
+ * @returns {Promise<{settings: Object, locked: string[]}>} Settings with every key of DEFAULT_SETTINGS,
+ *   and the names of the settings locked by policy
+ */
+async function readSettings() {
+  const [stored, policy] = await Promise.all([chrome.storage.sync.get(null), readManagedPolicy()]);
+  const settings = {
+    ...structuredClone(DEFAULT_SETTINGS),
+    ...policy.preset,
+    ...sanitizeSettings(stored).settings,
+    ...policy.locked
+  };
+  return { settings, locked: Object.keys(policy.locked) };
+}
+
+/**
+ * Builds the contents of a settings export file.
+ * @param {Object} settings - Settings to export
+ * @returns {string} JSON text
+ */
+function serializeSettings(settings) {
+  return JSON.stringify({ format: SETTINGS_EXPORT_FORMAT, settingsVersion: SETTINGS_VERSION, settings }, null, 2);
+}
+
+/**
+ * Reads a settings export file: migrates it from its version and keeps its valid settings.
+ * @param {string} text - JSON text
+ * @returns {{settings: Object, errors: string[]}} Valid settings, and a message for each invalid one
+ * @throws {Error} If the text is not a settings file, or comes from a newer version
+ */
+function parseSettingsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (data?.format !== SETTINGS_EXPORT_FORMAT || !data.settings || typeof data.settings !== 'object') {
+    throw new Error('The file is not a Save as JPG settings export.');
+  }
+  const version = Number.isInteger(data.settingsVersion) ? data.settingsVersion : 0;
+  return sanitizeSettings(migrateSettings(data.settings, version));
+}
+
+/**
+ * Expands #RGB to #RRGGBB and lowercases a hex color.
+ * @param {string} color - Hex color
+ * @returns {string} Six-digit lowercase hex color (other strings unchanged)
+ */
+function normalizeHexColor(color) {
+  const hex = /^#[0-9a-f]{3}$/i.test(color) ? '#' + color.slice(1).replace(/./g, c => c + c) : color;
+  return /^#[0-9a-f]{6}$/i.test(hex) ? hex.toLowerCase() : color;
+}
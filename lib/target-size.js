@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Target File Size Search for Save as JPG Chrome Extension
+ * Finds the highest encoder quality, and if allowed the largest dimensions, whose output fits
+ * under a byte limit. The caller renders from one decoded image and encodes; nothing is re-fetched.
+ * Shared by the service worker (OffscreenCanvas) and the offscreen document (DOM canvas).
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {number} Lowest quality tried before the image is made smaller instead */
+const TARGET_MIN_QUALITY = 0.5;
+
+/** @const {number} Highest quality tried */
+const TARGET_MAX_QUALITY = 1.0;
+
+/** @const {number} Binary search steps between the quality bounds (precision about 0.01) */
+const TARGET_QUALITY_STEPS = 6;
+
+/** @const {number} Maximum number of size reductions */
+const TARGET_MAX_RESIZES = 8;
+
+/** @const {number} Smallest longest edge the search will shrink an image to */
+const TARGET_MIN_SIZE = 16;
+
+/**
+ * Searches for the best encoding that fits in `maxBytes`.
+ * Lossy formats first search quality at the full size; if even TARGET_MIN_QUALITY is too large
+ * (or the format is lossless), the image is scaled down by an estimate from the byte overshoot
+ * and the search repeats. If nothing fits, the smallest result is returned with `fits: false`.
+ * @param {Object} options - Search options
+ * @param {number} options.width - Initial output width
+ * @param {number} options.height - Initial output height
+ * @param {number} options.maxBytes - Byte limit
+ * @param {boolean} options.lossy - Whether the format has a quality parameter
+ * @param {boolean} options.allowResize - Whether dimensions may be reduced
+ * @param {function(number, number): (HTMLCanvasElement|OffscreenCanvas)} options.render - Draws the image at a size
+ * @param {function((HTMLCanvasElement|OffscreenCanvas), (number|undefined)): Promise<{data: *, size: number}>} options.encode - Encodes a canvas at a quality
+ * @returns {Promise<{data: *, size: number, quality: (number|undefined), width: number, height: number, fits: boolean}>} Best encoding
+ */
+async function searchTargetSize(options) {
+  const { maxBytes, lossy, allowResize, render, encode } = options;
+  let width = options.width;
+  let height = options.height;
+  let smallest = null;
+
+  for (let attempt = 0; attempt <= TARGET_MAX_RESIZES; attempt++) {
+    const canvas = render(width, height);
+    try {
+      const best = lossy
+        ? await searchQuality(canvas, maxBytes, encode)
+        : { ...(await encode(canvas, undefined)), quality: undefined };
+      const result = { ...best, width, height, fits: best.size <= maxBytes };
+      if (result.fits) return result;
+      if (!smallest || result.size < smallest.size) smallest = result;
+    } finally {
+      // Release the pixel buffer before the next attempt allocates one
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+
+    if (!allowResize || Math.max(width, height) <= TARGET_MIN_SIZE) break;
+
+    // Bytes scale roughly with pixel count; aim a little below the limit
+    const scale = Math.min(0.9, Math.sqrt(maxBytes / smallest.size) * 0.95);
+    width = Math.max(1, Math.round(width * scale));
+    height = Math.max(1, Math.round(height * scale));
+  }
+
+  return smallest;
+}
+
+/**
+ * Binary-searches the highest quality whose encoding fits in `maxBytes`.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Rendered image
+ * @param {number} maxBytes - Byte limit
+ * @param {function} encode - Encoder, see searchTargetSize()
+ * @returns {Promise<{data: *, size: number, quality: number}>} Best fitting encoding, or the
+ *   TARGET_MIN_QUALITY encoding if even that is too large
+ */
+async function searchQuality(canvas, maxBytes, encode) {
+  const top = { ...(await encode(canvas, TARGET_MAX_QUALITY)), quality: TARGET_MAX_QUALITY };
+  if (top.size <= maxBytes) return top;
+
+  let best = { ...(await encode(canvas, TARGET_MIN_QUALITY)), quality: TARGET_MIN_QUALITY };
+  if (best.size > maxBytes) return best;
+
+  let low = TARGET_MIN_QUALITY;
+  let high = TARGET_MAX_QUALITY;
+  for (let step = 0; step < TARGET_QUALITY_STEPS; step++) {
+    const quality = Math.round((low + high) * 50) / 100;
+    if (quality <= low || quality >= high) break;
+
+    const result = await encode(canvas, quality);
+    if (result.size <= maxBytes) {
+      best = { ...result, quality };
+      low = quality;
+    } else {
+      high = quality;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Full-Resolution URL Rewriting for Save as JPG Chrome Extension
+ * Turns thumbnail URLs from CDNs and image hosts that encode the size in the URL (`?w=300`,
+ * `_thumb`, `/resize/...`, `name=small`) into candidate URLs for the original image. Candidates
+ * are only guesses; the service worker uses one only if it serves a larger image than the URL it
+ * replaces.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {number} Most candidates returned for one URL (each costs a request to check) */
+const URL_REWRITE_MAX_CANDIDATES = 4;
+
+/** @const {string} Separator between pattern and replacement in a user-defined rule */
+const URL_REWRITE_SEPARATOR = '=>';
+
+/** @const {string[]} Query parameters that only select a size, crop or quality */
+const URL_REWRITE_SIZE_PARAMS = [
+  'w', 'h', 'width', 'height', 'resize', 'fit', 'crop', 'dpr', 'size', 'sz', 'q', 'quality', 'maxwidth',
+  'maxheight', 'imwidth', 'scale'
+];
+
+/**
+ * Built-in rules, most specific first. Each rewrites a parsed URL and returns the candidate,
+ * or null when it does not apply.
+ * @const {Array<{name: string, rewrite: function(URL): (string|null)}>}
+ */
+const URL_REWRITE_BUILTIN_RULES = [
+  {
+    // pbs.twimg.com/media/ID?format=jpg&name=small (and the older ID.jpg:small form)
+    name: 'Twitter / X',
+    rewrite(url) {
+      if (url.hostname !== 'pbs.twimg.com') return null;
+      if (url.searchParams.has('name')) {
+        if (url.searchParams.get('name') === 'orig') return null;
+        url.searchParams.set('name', 'orig');
+        return url.href;
+      }
+      return replaceUrlPath(url, /:(?:thumb|small|medium|large)$/, ':orig');
+    }
+  },
+  {
+    // preview.redd.it/ID.jpg?width=640&... → i.redd.it/ID.jpg
+    name: 'Reddit',
+    rewrite(url) {
+      if (url.hostname !== 'preview.redd.it') return null;
+      return `https://i.redd.it${url.pathname}`;
+    }
+  },
+  {
+    // i.imgur.com/AbCdEfGm.jpg (7-character ID plus a size letter) → i.imgur.com/AbCdEfG.jpg
+    name: 'Imgur',
+    rewrite(url) {
+      if (url.hostname !== 'i.imgur.com') return null;
+      return replaceUrlPath(url, /^(\/[A-Za-z0-9]{7})[sbtmlh](\.\w+)$/, '$1$2');
+    }
+  },
+  {
+    // i.pinimg.com/236x/ab/cd/ef/file.jpg → i.pinimg.com/originals/ab/cd/ef/file.jpg
+    name: 'Pinterest',
+    rewrite(url) {
+      if (url.hostname !== 'i.pinimg.com') return null;
+      return replaceUrlPath(url, /^\/(?:\d+x\d*|\d*x\d+)\//, '/originals/');
+    }
+  },
+  {
+    // lh3.googleusercontent.com/ID=w300-h200-c and Blogger's /s320/ path segment → =s0 / /s0/
+    name: 'Google Photos / Blogger',
+    rewrite(url) {
+      if (!/(^|\.)(googleusercontent\.com|ggpht\.com|bp\.blogspot\.com)$/.test(url.hostname)) return null;
+      return replaceUrlPath(url, /=[swh]\d+[^/]*$/, '=s0') || replaceUrlPath(url, /\/[swh]\d+(?:-[^/]*)?\//, '/s0/');
+    }
+  },
+  {
+    // upload.wikimedia.org/wikipedia/commons/thumb/a/ab/File.jpg/220px-File.jpg → .../commons/a/ab/File.jpg
+    name: 'Wikimedia',
+    rewrite(url) {
+      if (url.hostname !== 'upload.wikimedia.org') return null;
+      return replaceUrlPath(url, /^(\/[^/]+\/[^/]+)\/thumb(\/[^/]+\/[^/]+\/[^/]+)\/[^/]+$/, '$1$2');
+    }
+  },
+  {
+    // m.media-amazon.com/images/I/ID._AC_SX300_.jpg → m.media-amazon.com/images/I/ID.jpg
+    name: 'Amazon',
+    rewrite(url) {
+      if (!/(^|\.)(media-amazon\.com|ssl-images-amazon\.com)$/.test(url.hostname)) return null;
+      return replaceUrlPath(url, /\._[^/]+_(\.\w+)$/, '$1');
+    }
+  },
+  {
+    // live.staticflickr.com/SERVER/ID_SECRET_m.jpg → ..._b.jpg (1024px, the largest sharing the secret)
+    name: 'Flickr',
+    rewrite(url) {
+      if (!/(^|\.)staticflickr\.com$/.test(url.hostname)) return null;
+      return replaceUrlPath(url, /(\/\d+_[0-9a-f]+)_[sqtmnwzc](\.\w+)$/, '$1_b$2');
+    }
+  },
+  {
+    // cdn.shopify.com/.../file_300x300_crop_center.jpg?v=1 → .../file.jpg?v=1
+    name: 'Shopify',
+    rewrite(url) {
+      if (url.hostname !== 'cdn.shopify.com' && !url.pathname.startsWith('/cdn/shop/')) return null;
+      return replaceUrlPath(url,
+        /_(?:\d+x\d*|x\d+|pico|icon|thumb|small|compact|medium|large|grande)(?:_crop_[a-z]+)?(?:@\d+x)?(\.\w+)$/, '$1');
+    }
+  },
+  {
+    // res.cloudinary.com/CLOUD/image/upload/w_300,c_fill/v123/file.jpg → .../image/upload/v123/file.jpg
+    name: 'Cloudinary',
+    rewrite(url) {
+      return replaceUrlPath(url, /(\/image\/upload\/)(?:[a-z]{1,3}_[^/]+\/)+/, '$1');
+    }
+  },
+  {
+    // example.com/wp-content/uploads/2024/01/photo-300x200.jpg → .../photo.jpg
+    name: 'WordPress',
+    rewrite(url) {
+      return replaceUrlPath(url, /(\/wp-content\/uploads\/.+)-\d+x\d+(\.\w+)$/, '$1$2');
+    }
+  },
+  {
+    // .../resize/300x200/photo.jpg and .../thumbs/photo.jpg → .../photo.jpg
+    name: 'Resize path segments',
+    rewrite(url) {
+      return replaceUrlPath(url, /\/(?:resize|resized|fit-in|thumbs?|thumbnails?)\/(?:(?:\d+x\d+|[a-z]{1,2}_\d+)\/)?/i, '/');
+    }
+  },
+  {
+    // photo_thumb.jpg, photo-thumbnail.jpg, photo_small.jpg → photo.jpg
+    name: 'Thumbnail file name suffix',
+    rewrite(url) {
+      return replaceUrlPath(url, /[_-](?:thumb|thumbnail|small|preview)(\.\w+)$/i, '$1');
+    }
+  },
+  {
+    // ?w=300&h=200&fit=crop → size parameters removed, others (e.g. signatures, versions) kept
+    name: 'Size query parameters',
+    rewrite(url) {
+      let changed = false;
+      for (const key of [...url.searchParams.keys()]) {
+        if (URL_REWRITE_SIZE_PARAMS.includes(key.toLowerCase())) {
+          url.searchParams.delete(key);
+          changed = true;
+        }
+      }
+      return changed ? url.href : null;
+    }
+  }
+];
+
+/**
+ * Replaces a pattern in a URL's path.
+ * @param {URL} url - Parsed URL
+ * @param {RegExp} pattern - Pattern matched against the path
+ * @param {string} replacement - Replacement (may use $1...)
+ * @returns {string|null} New URL, or null if the pattern does not match
+ */
+function replaceUrlPath(url, pattern, replacement) {
+  if (!pattern.test(url.pathname)) return null;
+  url.pathname = url.pathname.replace(pattern, replacement);
+  return url.href;
+}
+
+/**
+ * Parses user-defined rules: one `pattern => replacement` per line, where the pattern is a regular
+ * expression matched against the whole URL and the replacement may use $1, $2... Blank lines and
+ * lines starting with "#" are ignored.
+ * @param {string} text - Rules as entered on the options page
+ * @returns {{rules: Array<{pattern: RegExp, replacement: string}>, errors: string[]}} Valid rules,
+ *   and a message for each line that could not be used
+ */
+function parseRewriteRules(text) {
+  const rules = [];
+  const errors = [];
+
+  String(text || '').split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const separator = trimmed.indexOf(URL_REWRITE_SEPARATOR);
+    if (separator <= 0) {
+      errors.push(`Line ${index + 1}: expected "pattern ${URL_REWRITE_SEPARATOR} replacement"`);
+      return;
+    }
+    try {
+      rules.push({
+        pattern: new RegExp(trimmed.slice(0, separator).trim(), 'i'),
+        replacement: trimmed.slice(separator + URL_REWRITE_SEPARATOR.length).trim()
+      });
+    } catch (error) {
+      errors.push(`Line ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Lists full-resolution candidates for an image URL, best guess first: user-defined rules, then
+ * all matching built-in rules applied together, then each built-in rule on its own.
+ * @param {string} imageUrl - Image URL as found on the page
+ * @param {Array<{pattern: RegExp, replacement: string}>} [customRules=[]] - Rules from parseRewriteRules()
+ * @returns {string[]} Candidate http(s) URLs, without the original and without duplicates
+ */
+function getRewriteCandidates(imageUrl, customRules = []) {
+  let original;
+  try {
+    original = new URL(imageUrl);
+  } catch {
+    return [];
+  }
+  if (!/^https?:$/.test(original.protocol)) return [];
+
+  const candidates = [];
+  for (const rule of customRules) {
+    if (rule.pattern.test(imageUrl)) candidates.push(imageUrl.replace(rule.pattern, rule.replacement));
+  }
+
+  const single = [];
+  let combined = original.href;
+  for (const rule of URL_REWRITE_BUILTIN_RULES) {
+    const rewritten = applyBuiltinRule(rule, original.href);
+    if (!rewritten) continue;
+    single.push(rewritten);
+    combined = applyBuiltinRule(rule, combined) || combined;
+  }
+  candidates.push(combined, ...single);
+
+  const unique = [];
+  for (const candidate of candidates) {
+    if (!/^https?:\/\//i.test(candidate) || candidate === original.href || unique.includes(candidate)) continue;
+    unique.push(candidate);
+  }
+  return unique.slice(0, URL_REWRITE_MAX_CANDIDATES);
+}
+
+/**
+ * Applies one built-in rule to a URL.
+ * @param {{rewrite: function(URL): (string|null)}} rule - Built-in rule
+ * @param {string} href - Absolute URL
+ * @returns {string|null} Rewritten URL, or null if the rule does not apply
+ */
+function applyBuiltinRule(rule, href) {
+  const rewritten = rule.rewrite(new URL(href));
+  return rewritten && rewritten !== href ? rewritten : null;
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview ZIP Archive Writer for Save as JPG Chrome Extension
+ * Packages converted images into a single ZIP file entirely in the browser.
+ * Supports "store" and "deflate" (via the native CompressionStream API).
+ * No Zip64 support: archives are limited to 65,535 entries and 4 GB.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {number} ZIP compression method: no compression */
+const ZIP_METHOD_STORE = 0;
+
+/** @const {number} ZIP compression method: raw DEFLATE */
+const ZIP_METHOD_DEFLATE = 8;
+
+/** @const {number} General purpose bit 11: file names are UTF-8 encoded */
+const ZIP_FLAG_UTF8 = 0x0800;
+
+/** @const {number} "Version needed to extract" (2.0 = deflate and folders) */
+const ZIP_VERSION = 20;
+
+/** @const {number} Largest value that fits in a 32-bit ZIP size/offset field */
+const ZIP_MAX_UINT32 = 0xffffffff;
+
+/** @type {Uint32Array|null} Lazily built CRC-32 lookup table */
+let zipCrcTable = null;
+
+/**
+ * Builds a ZIP archive from a list of files.
+ * With "deflate", each file is compressed and stored instead if compression doesn't help
+ * (typical for JPEG/PNG/WebP data).
+ * @param {Array<{name: string, data: (Blob|Uint8Array)}>} files - Entries in archive order; names may contain "/" folders
+ * @param {Object} [options] - Archive options
+ * @param {string} [options.compression='store'] - "store" or "deflate"
+ * @param {Date} [options.date] - Modification date for every entry (defaults to now)
+ * @returns {Promise<Blob>} ZIP archive
+ * @throws {Error} If the archive would exceed ZIP limits
+ */
+async function createZipArchive(files, options = {}) {
+  if (files.length > 0xffff) {
+    throw new Error('Too many files for a single ZIP archive');
+  }
+
+  const deflate = options.compression === 'deflate' && typeof CompressionStream !== 'undefined';
+  const { time, date } = toDosDateTime(options.date || new Date());
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const nameBytes = encoder.encode(file.name);
+    const data = file.data instanceof Uint8Array ? file.data : new Uint8Array(await file.data.arrayBuffer());
+    const crc = zipCrc32(data);
+
+    let method = ZIP_METHOD_STORE;
+    let payload = data;
+    if (deflate) {
+      const compressed = await deflateRaw(data);
+      if (compressed.length < data.length) {
+        method = ZIP_METHOD_DEFLATE;
+        payload = compressed;
+      }
+    }
+
+    if (offset + 30 + nameBytes.length + payload.length > ZIP_MAX_UINT32) {
+      throw new Error('ZIP archive would exceed 4 GB');
+    }
+
+    const entry = { nameBytes, method, crc, compressedSize: payload.length, size: data.length, offset };
+    parts.push(writeLocalHeader(entry, time, date), nameBytes, payload);
+    centralDirectory.push(writeCentralHeader(entry, time, date), nameBytes);
+    offset += 30 + nameBytes.length + payload.length;
+  }
+
+  const directorySize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+  parts.push(...centralDirectory, writeEndOfCentralDirectory(files.length, directorySize, offset));
+
+  return new Blob(parts, { type: 'application/zip' });
+}
+
+/**
+ * Writes a 30-byte local file header (without the file name).
+ * @param {Object} entry - Entry metadata
+ * @param {number} time - DOS time
+ * @param {number} date - DOS date
+ * @returns {Uint8Array} Header bytes
+ */
+function writeLocalHeader(entry, time, date) {
+  const bytes = new Uint8Array(30);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, 0x04034b50, true);
+  view.setUint16(4, ZIP_VERSION, true);
+  view.setUint16(6, ZIP_FLAG_UTF8, true);
+  view.setUint16(8, entry.method, true);
+  view.setUint16(10, time, true);
+  view.setUint16(12, date, true);
+  view.setUint32(14, entry.crc, true);
+  view.setUint32(18, entry.compressedSize, true);
+  view.setUint32(22, entry.size, true);
+  view.setUint16(26, entry.nameBytes.length, true);
+  view.setUint16(28, 0, true);
+  return bytes;
+}
+
+/**
+ * Writes a 46-byte central directory header (without the file name).
+ * @param {Object} entry - Entry metadata
+ * @param {number} time - DOS time
+ * @param {number} date - DOS date
+ * @returns {Uint8Array} Header bytes
+ */
+function writeCentralHeader(entry, time, date) {
+  const bytes = new Uint8Array(46);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, 0x02014b50, true);
+  view.setUint16(4, ZIP_VERSION, true);
+  view.setUint16(6, ZIP_VERSION, true);
+  view.setUint16(8, ZIP_FLAG_UTF8, true);
+  view.setUint16(10, entry.method, true);
+  view.setUint16(12, time, true);
+  view.setUint16(14, date, true);
+  view.setUint32(16, entry.crc, true);
+  view.setUint32(20, entry.compressedSize, true);
+  view.setUint32(24, entry.size, true);
+  view.setUint16(28, entry.nameBytes.length, true);
+  // Extra field, comment, disk number, internal and external attributes stay zero
+  view.setUint32(42, entry.offset, true);
+  return bytes;
+}
+
+/**
+ * Writes the 22-byte end of central directory record.
+ * @param {number} count - Number of entries
+ * @param {number} directorySize - Size of the central directory in bytes
+ * @param {number} directoryOffset - Offset of the central directory
+ * @returns {Uint8Array} Record bytes
+ */
+function writeEndOfCentralDirectory(count, directorySize, directoryOffset) {
+  const bytes = new Uint8Array(22);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, 0x06054b50, true);
+  view.setUint16(8, count, true);
+  view.setUint16(10, count, true);
+  view.setUint32(12, directorySize, true);
+  view.setUint32(16, directoryOffset, true);
+  return bytes;
+}
+
+/**
+ * Compresses bytes with raw DEFLATE using CompressionStream.
+ * @param {Uint8Array} data - Uncompressed bytes
+ * @returns {Promise<Uint8Array>} Compressed bytes
+ */
+async function deflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Computes the CRC-32 checksum used by ZIP.
+ * @param {Uint8Array} data - Bytes to checksum
+ * @returns {number} Unsigned 32-bit CRC
+ */
+function zipCrc32(data) {
+  if (!zipCrcTable) {
+    zipCrcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      zipCrcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = zipCrcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a Date to MS-DOS time and date fields (local time, 2-second precision).
+ * Dates before 1980 are clamped to 1980-01-01.
+ * @param {Date} d - Date to convert
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+function toDosDateTime(d) {
+  const year = Math.max(d.getFullYear(), 1980);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
@@ -1,6 +1,7 @@
 /**
  * @fileoverview Offscreen Document for Save as JPG Chrome Extension
- * Provides DOM-based canvas conversion as fallback when OffscreenCanvas is unavailable.
+ * Provides DOM-based canvas conversion as fallback when OffscreenCanvas is unavailable,
+ * stitches full-page screenshots from consecutive visible-tab captures, and writes the clipboard.
  * This document runs in an isolated context with DOM access.
  * @author GosuDRM
  * @license MIT
@@ -8,75 +9,279 @@
 
 'use strict';
 
+/**
+ * @type {{layout: Object, settings: Object, output: Object, canvas: HTMLCanvasElement|null,
+ *   ctx: CanvasRenderingContext2D|null, scale: number, factor: number}|null}
+ * Full-page screenshot being stitched
+ */
+let stitchJob = null;
+
 /**
  * Listens for conversion requests from the service worker.
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'CONVERT_TO_JPEG') {
-    handleConvertToJPEG(message, sendResponse);
+  if (message.type === 'CONVERT_IMAGE') {
+    handleConvertImage(message, sendResponse);
     return true; // Required for async response
   }
+
+  if (message.type === 'STITCH_BEGIN') {
+    releaseStitchJob();
+    stitchJob = {
+      layout: message.layout,
+      settings: message.settings,
+      output: message.output,
+      canvas: null,
+      ctx: null,
+      scale: 0,
+      factor: 0
+    };
+    sendResponse({ started: true });
+    return true;
+  }
+
+  if (message.type === 'STITCH_ADD') {
+    handleStitchAdd(message, sendResponse);
+    return true;
+  }
+
+  if (message.type === 'STITCH_END') {
+    handleStitchEnd(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'COPY_TEXT') {
+    sendResponse(copyText(message.text)
+      ? { copied: true }
+      : { error: 'The clipboard could not be written' });
+    return true;
+  }
+
+  if (message.type === 'COPY_IMAGE') {
+    handleCopyImage(message, sendResponse);
+    return true;
+  }
 });
 
 /**
- * Handles the JPEG conversion request using DOM canvas.
+ * Handles the image conversion request using DOM canvas, including the target file size search.
  * Includes proper cleanup to prevent memory leaks with large images.
- * @param {Object} message - Message containing dataUrl, settings, and needsBackground
+ * @param {Object} message - Message containing dataUrl, settings, output, transform (crop, frame), and needsBackground
  * @param {Function} sendResponse - Callback to send response back to service worker
  */
-async function handleConvertToJPEG(message, sendResponse) {
+async function handleConvertImage(message, sendResponse) {
   let img = null;
+  let frame = null;
 
   try {
-    const { dataUrl, settings, needsBackground } = message;
+    const { dataUrl, settings, output, transform, needsBackground } = message;
 
     const isSVG = dataUrl.toLowerCase().includes('svg+xml');
-    img = await loadImage(dataUrl);
+    if (transform?.frame !== undefined) {
+      const bytes = new Uint8Array(await (await fetch(dataUrl)).arrayBuffer());
+      frame = await decodeAnimationFrame(bytes, transform.frame, createCanvas);
+    }
+    const source = frame || (img = await loadImage(dataUrl));
 
-    let width = img.naturalWidth || img.width || 0;
-    let height = img.naturalHeight || img.height || 0;
+    const sourceWidth = source.naturalWidth || source.width || 0;
+    const sourceHeight = source.naturalHeight || source.height || 0;
 
-    // SVG images often report small or zero dimensions; upscale to 2048px
-    if (isSVG && Math.max(width, height) < 1024) {
-      const target = 2048;
-      const aspect = width > 0 && height > 0 ? width / height : 1;
-      const longer = Math.max(width, height) || 1;
+    // Handles cropping, SVG upscaling, zero-dimension fallback, and the user's resize options
+    const sourceRect = getCropRect(sourceWidth, sourceHeight, transform?.crop);
+    const outputSize = getOutputSize(sourceRect.width, sourceRect.height, settings, isSVG);
+    const { width, height } = fitCanvasLimits(outputSize.width, outputSize.height);
 
-      const scale = target / longer;
-      width = Math.round((width || target) * scale);
-      height = Math.round((height || target / aspect) * scale);
-    }
+    const render = (w, h) => {
+      const canvas = createCanvas(w, h);
+      const ctx = canvas.getContext('2d');
 
-    // Fallback for edge cases with zero dimensions
-    if (width === 0 || height === 0) {
-      width = 2048;
-      height = 2048;
-    }
+      if (!ctx) {
+        throw new Error('Failed to get canvas 2D context');
+      }
+
+      // Apply background color for transparent source images
+      if (needsBackground) {
+        ctx.fillStyle = settings.bgColor || '#ffffff';
+        ctx.fillRect(0, 0, w, h);
+      }
 
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+      drawImageHighQuality(ctx, source, sourceRect, w, h, createCanvas);
+      return canvas;
+    };
 
-    if (!ctx) {
-      throw new Error('Failed to get canvas 2D context');
+    sendResponse(await encodeRendered(render, width, height, output));
+  } catch (error) {
+    console.error('[Save as JPG] Canvas conversion failed:', error);
+    sendResponse({ error: error.message });
+  } finally {
+    // Clean up image element to help garbage collector release memory
+    if (img) {
+      img.onload = null;
+      img.onerror = null;
+      img.src = '';
     }
+    if (frame) frame.close();
+  }
+}
+
+/**
+ * Draws one visible-tab capture into the full-page canvas at its scroll position.
+ * The canvas is created on the first capture, once the device pixel ratio (capture width
+ * divided by viewport width, which includes page zoom) is known. Scrollbars are cropped off.
+ * @param {{dataUrl: string, y: number}} message - Capture and its scroll position in CSS pixels
+ * @param {Function} sendResponse - Callback to send response back to service worker
+ */
+async function handleStitchAdd(message, sendResponse) {
+  let img = null;
+
+  try {
+    if (!stitchJob) throw new Error('No full-page capture in progress');
+    img = await loadImage(message.dataUrl);
+
+    const { layout, settings } = stitchJob;
+    if (!stitchJob.canvas) {
+      const scale = img.naturalWidth / layout.viewportWidth;
+      const nativeWidth = Math.round(layout.clientWidth * scale);
+      const nativeHeight = Math.round(layout.pageHeight * scale);
+      const resized = getResizedSize(nativeWidth, nativeHeight, settings);
+      const { width, height } = fitCanvasLimits(resized.width, resized.height);
+
+      const canvas = createCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      if (!ctx) throw new Error('Failed to get canvas 2D context');
 
-    // Apply background color for transparent source images
-    if (needsBackground) {
       ctx.fillStyle = settings.bgColor || '#ffffff';
       ctx.fillRect(0, 0, width, height);
+      Object.assign(stitchJob, { canvas, ctx, scale, factor: width / nativeWidth });
     }
 
-    ctx.drawImage(img, 0, 0, width, height);
+    const { ctx, scale, factor } = stitchJob;
+    const sourceRect = { x: 0, y: 0, width: Math.round(layout.clientWidth * scale), height: Math.round(layout.clientHeight * scale) };
+    ctx.save();
+    ctx.translate(0, Math.round(message.y * scale * factor));
+    drawImageHighQuality(ctx, img, sourceRect, stitchJob.canvas.width,
+      Math.max(1, Math.round(sourceRect.height * factor)), createCanvas);
+    ctx.restore();
 
-    const jpegDataUrl = canvas.toDataURL('image/jpeg', settings.quality ?? 0.92);
-    sendResponse({ dataUrl: jpegDataUrl });
+    sendResponse({ added: true });
   } catch (error) {
-    console.error('[Save as JPG] Canvas conversion failed:', error);
+    console.error('[Save as JPG] Full-page stitching failed:', error);
+    releaseStitchJob();
+    sendResponse({ error: error.message });
+  } finally {
+    if (img) {
+      img.onload = null;
+      img.onerror = null;
+      img.src = '';
+    }
+  }
+}
+
+/**
+ * Encodes the stitched full-page canvas and releases it.
+ * @param {Function} sendResponse - Callback to send response back to service worker
+ */
+async function handleStitchEnd(sendResponse) {
+  try {
+    if (!stitchJob?.canvas) throw new Error('Nothing was captured');
+
+    const { canvas, output } = stitchJob;
+    // Fixed quality encodes the stitched canvas as is. The target file size search releases
+    // every canvas it renders, so it works on copies drawn from the stitched canvas.
+    const render = output?.maxBytes ? (w, h) => drawScaledCopy(canvas, w, h) : () => canvas;
+
+    sendResponse(await encodeRendered(render, canvas.width, canvas.height, output));
+  } catch (error) {
+    console.error('[Save as JPG] Full-page encoding failed:', error);
+    sendResponse({ error: error.message });
+  } finally {
+    releaseStitchJob();
+  }
+}
+
+/**
+ * Encodes a rendered image, searching quality and dimensions when a target file size is set.
+ * JPEGs go through the built-in encoder when `output.jpegEncoder` is set.
+ * @param {function(number, number): HTMLCanvasElement} render - Draws the image at a size
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {Object} output - Encoder options (mimeType, quality, label, lossy, maxBytes, allowResize, jpegEncoder)
+ * @returns {Promise<{dataUrl: string, width: number, height: number, quality?: number, fitsTarget?: boolean}>} Response for the service worker
+ * @throws {Error} If the browser cannot encode the requested format
+ */
+async function encodeRendered(render, width, height, output) {
+  const mimeType = output?.mimeType || 'image/jpeg';
+  const encode = async (canvas, quality) => {
+    if (output?.jpegEncoder) {
+      const bytes = encodeJpeg(getCanvasPixelSource(canvas), { ...output.jpegEncoder, quality });
+      return { data: bytesToDataUrl(bytes, mimeType), size: bytes.length };
+    }
+
+    const dataUrl = canvas.toDataURL(mimeType, quality);
+
+    // Unsupported encoder types silently fall back to PNG
+    if (!dataUrl.startsWith(`data:${mimeType}`)) {
+      throw new Error(`${output?.label || mimeType} encoding is not supported by this browser`);
+    }
+    return { data: dataUrl, size: getDataUrlByteSize(dataUrl) };
+  };
+
+  if (output?.maxBytes) {
+    const best = await searchTargetSize({
+      width,
+      height,
+      maxBytes: output.maxBytes,
+      lossy: output.lossy,
+      allowResize: output.allowResize,
+      render,
+      encode
+    });
+    return { dataUrl: best.data, width: best.width, height: best.height, quality: best.quality, fitsTarget: best.fits };
+  }
+
+  const canvas = render(width, height);
+  try {
+    const { data } = await encode(canvas, output?.quality ?? 0.92);
+    return { dataUrl: data, width, height };
+  } finally {
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+}
+
+/**
+ * Copies an image to the clipboard as PNG, the only image type clipboards accept.
+ * Responds with `copied: false` and the PNG when the clipboard API refuses (it needs a focused
+ * document, which an offscreen document may not count as), so the service worker can have the
+ * tab write it instead.
+ * @param {{dataUrl: string}} message - Converted image
+ * @param {Function} sendResponse - Callback to send response back to service worker
+ */
+async function handleCopyImage(message, sendResponse) {
+  let img = null;
+
+  try {
+    let dataUrl = message.dataUrl;
+    if (!dataUrl.startsWith('data:image/png')) {
+      img = await loadImage(dataUrl);
+      const canvas = createCanvas(img.naturalWidth, img.naturalHeight);
+      canvas.getContext('2d').drawImage(img, 0, 0);
+      dataUrl = canvas.toDataURL('image/png');
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+
+    try {
+      const blob = await (await fetch(dataUrl)).blob();
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+      sendResponse({ copied: true });
+    } catch (error) {
+      sendResponse({ copied: false, dataUrl, reason: error.message });
+    }
+  } catch (error) {
+    console.error('[Save as JPG] Clipboard copy failed:', error);
     sendResponse({ error: error.message });
   } finally {
-    // Clean up image element to help garbage collector release memory
     if (img) {
       img.onload = null;
       img.onerror = null;
@@ -85,6 +290,88 @@ async function handleConvertToJPEG(message, sendResponse) {
   }
 }
 
+/**
+ * Copies text with a temporary textarea; execCommand works without document focus.
+ * @param {string} text - Text to copy
+ * @returns {boolean} Whether the copy succeeded
+ */
+function copyText(text) {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    return document.execCommand('copy');
+  } finally {
+    textarea.remove();
+  }
+}
+
+/**
+ * Encodes bytes as a base64 data URL.
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} mimeType - MIME type of the data URL
+ * @returns {string} Data URL
+ */
+function bytesToDataUrl(bytes, mimeType) {
+  // Chunked to stay under the argument limit of String.fromCharCode
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+  }
+  return `data:${mimeType};base64,${btoa(chunks.join(''))}`;
+}
+
+/**
+ * Computes the decoded size of a base64 data URL.
+ * @param {string} dataUrl - Base64 data URL
+ * @returns {number} Size in bytes
+ */
+function getDataUrlByteSize(dataUrl) {
+  const base64 = dataUrl.substring(dataUrl.indexOf(',') + 1);
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+/**
+ * Draws a canvas into a new canvas of the given size.
+ * @param {HTMLCanvasElement} source - Canvas to copy
+ * @param {number} width - Copy width
+ * @param {number} height - Copy height
+ * @returns {HTMLCanvasElement} New canvas
+ */
+function drawScaledCopy(source, width, height) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Failed to get canvas 2D context');
+  drawImageHighQuality(ctx, source, { x: 0, y: 0, width: source.width, height: source.height }, width, height, createCanvas);
+  return canvas;
+}
+
+/**
+ * Drops the current stitching job and frees its canvas memory.
+ */
+function releaseStitchJob() {
+  if (stitchJob?.canvas) {
+    stitchJob.canvas.width = 0;
+    stitchJob.canvas.height = 0;
+  }
+  stitchJob = null;
+}
+
+/**
+ * Creates a detached DOM canvas of the given size.
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {HTMLCanvasElement} New canvas
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
 /**
  * Loads an image from a data URL or source URL.
  * @param {string} src - Image source (data URL or URL)
@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Options Page Live Preview for Save as JPG Chrome Extension
+ * Re-encodes a sample image (or one the user drops in) through the service worker whenever an
+ * encoding setting changes, and shows the result side by side, as a swipe comparison or as a
+ * difference heatmap, with its file size and PSNR. Reads the form controls of options.js.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {string} Bundled preview image */
+const PREVIEW_SAMPLE_URL = 'images/preview-sample.svg';
+
+/** @const {number} Longest edge of the preview image; larger images are scaled down to it */
+const PREVIEW_MAX_SIZE = 1024;
+
+/** @const {number} Delay after the last change before re-encoding, in milliseconds */
+const PREVIEW_DEBOUNCE_MS = 150;
+
+/** @const {number} Pixel difference (0–255) shown at full heat */
+const HEATMAP_FULL_SCALE = 32;
+
+/** @const {string[]} Form controls whose changes alter the encoded image */
+const PREVIEW_INPUT_IDS = [
+  'quality', 'bgColor', 'bgColorPicker', 'jpegEncoder', 'jpegSubsampling', 'jpegProgressive',
+  'jpegOptimizeHuffman', 'jpegRestartInterval', 'webpQuality', 'avifQuality',
+  'pngKeepAlpha', 'webpKeepAlpha', 'avifKeepAlpha', 'previewFormat'
+];
+
+/**
+ * @typedef {Object} PreviewSource
+ * @property {HTMLCanvasElement} canvas - Image at preview size
+ * @property {string} dataUrl - PNG of the canvas, sent for encoding
+ * @property {number} fullWidth - Width of the image before scaling down
+ * @property {number} fullHeight - Height of the image before scaling down
+ */
+
+/** @type {PreviewSource|null} Image being previewed */
+let previewSource = null;
+
+/** @type {number|null} Timeout ID of the pending re-encode */
+let previewTimeoutId = null;
+
+/** @type {boolean} Whether an encode is in flight */
+let previewBusy = false;
+
+/** @type {boolean} Whether settings changed while an encode was in flight */
+let previewStale = false;
+
+/**
+ * Wires up the preview controls and encodes the sample with the loaded settings.
+ * Called by options.js once the form holds the stored settings.
+ */
+function initPreview() {
+  for (const id of PREVIEW_INPUT_IDS) {
+    const input = document.getElementById(id);
+    input.addEventListener('input', schedulePreview);
+    input.addEventListener('change', schedulePreview);
+  }
+
+  const stage = document.getElementById('previewStage');
+  const swipe = document.getElementById('previewSwipe');
+  document.getElementById('previewView').addEventListener('change', (e) => {
+    stage.dataset.view = e.target.value;
+    swipe.hidden = e.target.value !== 'swipe';
+  });
+  swipe.addEventListener('input', () => stage.style.setProperty('--swipe', `${swipe.value}%`));
+
+  const fileInput = document.getElementById('previewFile');
+  document.getElementById('previewPick').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) loadPreviewSource(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  document.getElementById('previewSample').addEventListener('click', () => loadPreviewSource(null));
+
+  stage.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    stage.classList.add('dragging');
+  });
+  stage.addEventListener('dragleave', () => stage.classList.remove('dragging'));
+  stage.addEventListener('drop', (e) => {
+    e.preventDefault();
+    stage.classList.remove('dragging');
+    const file = [...e.dataTransfer.files].find(item => item.type.startsWith('image/'));
+    if (file) loadPreviewSource(file);
+  });
+
+  loadPreviewSource(null);
+}
+
+/**
+ * Decodes an image for the preview, scaled down to PREVIEW_MAX_SIZE, and encodes it.
+ * @param {File|null} file - Image to preview, or null for the bundled sample
+ */
+async function loadPreviewSource(file) {
+  const url = file ? URL.createObjectURL(file) : PREVIEW_SAMPLE_URL;
+  const image = new Image();
+  image.src = url;
+  try {
+    await image.decode();
+  } catch {
+    showStatus('This image cannot be previewed', 'error');
+    return;
+  } finally {
+    if (file) URL.revokeObjectURL(url);
+  }
+
+  const fullWidth = image.naturalWidth;
+  const fullHeight = image.naturalHeight;
+  const scale = Math.min(1, PREVIEW_MAX_SIZE / Math.max(fullWidth, fullHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(fullWidth * scale));
+  canvas.height = Math.max(1, Math.round(fullHeight * scale));
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  previewSource = { canvas, dataUrl: canvas.toDataURL('image/png'), fullWidth, fullHeight };
+  document.getElementById('previewOriginal').src = previewSource.dataUrl;
+  document.getElementById('previewSample').hidden = !file;
+  updatePreview();
+}
+
+/**
+ * Re-encodes the preview shortly after the last settings change.
+ */
+function schedulePreview() {
+  if (previewTimeoutId) clearTimeout(previewTimeoutId);
+  previewTimeoutId = setTimeout(() => {
+    previewTimeoutId = null;
+    updatePreview();
+  }, PREVIEW_DEBOUNCE_MS);
+}
+
+/**
+ * Encodes the preview image with the current form values and shows the result.
+ * Changes made during an encode trigger one more encode once it finishes.
+ */
+async function updatePreview() {
+  if (!previewSource) return;
+  if (previewBusy) {
+    previewStale = true;
+    return;
+  }
+
+  previewBusy = true;
+  try {
+    do {
+      previewStale = false;
+      await encodePreview(previewSource);
+    } while (previewStale);
+  } finally {
+    previewBusy = false;
+  }
+}
+
+/**
+ * Asks the service worker to encode an image with the current form values, then shows it.
+ * @param {PreviewSource} source - Image to encode
+ */
+async function encodePreview(source) {
+  const format = document.getElementById('previewFormat').value;
+  const settings = readPreviewSettings();
+  const stats = document.getElementById('previewStats');
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ type: 'PREVIEW_CONVERSION', dataUrl: source.dataUrl, format, settings });
+  } catch (error) {
+    response = { error: error.message };
+  }
+  // A newer image was loaded in the meantime
+  if (source !== previewSource) return;
+
+  if (!response || response.error) {
+    document.getElementById('previewSize').textContent = '';
+    stats.textContent = response?.error || 'Preview failed';
+    return;
+  }
+
+  const output = document.getElementById('previewOutput');
+  output.src = response.dataUrl;
+  try {
+    await output.decode();
+  } catch {
+    stats.textContent = 'Preview failed';
+    return;
+  }
+
+  const psnr = drawHeatmap(source.canvas, output, settings.bgColor || bgColorPicker.value);
+  document.getElementById('previewSize').textContent = formatByteSize(response.bytes);
+  stats.textContent = describePreview(source, response.bytes, psnr);
+}
+
+/**
+ * Reads the encoding settings from the form, including unsaved changes.
+ * Invalid values are left out, so the stored ones apply.
+ * @returns {Object} Partial settings object
+ */
+function readPreviewSettings() {
+  const settings = {
+    quality: parseFloat(qualityInput.value),
+    jpegEncoder: jpegEncoderInput.value,
+    jpegSubsampling: jpegSubsamplingInput.value,
+    jpegProgressive: jpegProgressiveInput.checked,
+    jpegOptimizeHuffman: jpegOptimizeHuffmanInput.checked
+  };
+
+  const bgColor = bgColorInput.value.trim().toLowerCase();
+  if (isValidHexColor(bgColor)) settings.bgColor = bgColor;
+
+  const jpegRestartInterval = parseInt(jpegRestartIntervalInput.value, 10);
+  if (jpegRestartInterval >= 0 && jpegRestartInterval <= 65535) settings.jpegRestartInterval = jpegRestartInterval;
+
+  for (const [format, { input }] of Object.entries(formatQualityInputs)) {
+    settings[format + 'Quality'] = parseFloat(input.value);
+  }
+  for (const [format, input] of Object.entries(formatAlphaInputs)) {
+    settings[format + 'KeepAlpha'] = input.checked;
+  }
+  return settings;
+}
+
+/**
+ * Draws the per-pixel difference between the original and the encoded image as a heatmap
+ * (black → red → yellow → white) over a faint copy of the image, and measures the PSNR.
+ * Both are compared over the background color, as saved images without transparency are.
+ * @param {HTMLCanvasElement} original - Original image at preview size
+ * @param {HTMLImageElement} encoded - Encoded image
+ * @param {string} bgColor - Background color
+ * @returns {number} Peak signal-to-noise ratio in dB (Infinity if identical)
+ */
+function drawHeatmap(original, encoded, bgColor) {
+  const { width, height } = original;
+  const before = getPixelsOver(original, width, height, bgColor);
+  const after = getPixelsOver(encoded, width, height, bgColor);
+
+  const heatmap = document.getElementById('previewHeatmap');
+  heatmap.width = width;
+  heatmap.height = height;
+  const context = heatmap.getContext('2d');
+  const image = context.createImageData(width, height);
+  const pixels = image.data;
+
+  let squaredError = 0;
+  for (let i = 0; i < pixels.length; i += 4) {
+    const dr = before[i] - after[i];
+    const dg = before[i + 1] - after[i + 1];
+    const db = before[i + 2] - after[i + 2];
+    squaredError += dr * dr + dg * dg + db * db;
+
+    const heat = Math.min(1, Math.max(Math.abs(dr), Math.abs(dg), Math.abs(db)) / HEATMAP_FULL_SCALE);
+    const shade = (before[i] * 0.299 + before[i + 1] * 0.587 + before[i + 2] * 0.114) * 0.2;
+    pixels[i] = Math.max(shade, 255 * Math.min(1, heat * 3));
+    pixels[i + 1] = Math.max(shade, 255 * Math.min(1, Math.max(0, heat * 3 - 1)));
+    pixels[i + 2] = Math.max(shade, 255 * Math.max(0, heat * 3 - 2));
+    pixels[i + 3] = 255;
+  }
+  context.putImageData(image, 0, 0);
+
+  const meanSquaredError = squaredError / (width * height * 3);
+  return meanSquaredError === 0 ? Infinity : 10 * Math.log10((255 * 255) / meanSquaredError);
+}
+
+/**
+ * Reads an image's pixels composited over a background color.
+ * @param {CanvasImageSource} image - Image to read
+ * @param {number} width - Width to draw at
+ * @param {number} height - Height to draw at
+ * @param {string} bgColor - Background color
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function getPixelsOver(image, width, height, bgColor) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.fillStyle = bgColor;
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  return context.getImageData(0, 0, width, height).data;
+}
+
+/**
+ * Describes the encoded preview: its dimensions and PSNR, and for scaled-down images the
+ * size the full image would roughly have.
+ * @param {PreviewSource} source - Previewed image
+ * @param {number} bytes - Encoded size of the preview
+ * @param {number} psnr - Peak signal-to-noise ratio in dB
+ * @returns {string} Description, e.g. "1024×768 · PSNR 41.2 dB · ≈ 1.4 MB at 4000×3000"
+ */
+function describePreview(source, bytes, psnr) {
+  const { width, height } = source.canvas;
+  const parts = [`${width}×${height}`, Number.isFinite(psnr) ? `PSNR ${psnr.toFixed(1)} dB` : 'Lossless'];
+  if (source.fullWidth !== width || source.fullHeight !== height) {
+    // Encoded size grows roughly with the pixel count
+    const estimate = bytes * (source.fullWidth * source.fullHeight) / (width * height);
+    parts.push(`≈ ${formatByteSize(Math.round(estimate))} at ${source.fullWidth}×${source.fullHeight}`);
+  }
+  return parts.join(' · ');
+}
@@ -1,28 +1,58 @@
 /**
  * @fileoverview Options Page Controller for Save as JPG Chrome Extension
- * Manages user preferences: JPEG quality, background color, and download behavior.
+ * Manages user preferences: JPEG quality and encoder, per-format options, background color, metadata,
+ * full-resolution URL rules, quick save (hover button, modifier click), site profiles, and download behavior.
+ * Defaults and validation come from lib/settings.js; settings locked by policy are shown read-only,
+ * and settings can be exported to and imported from a JSON file.
  * @author GosuDRM
  * @license MIT
  */
 
 'use strict';
 
-/**
- * @const {Object} DEFAULT_SETTINGS
- * Default extension settings (maximum quality, white background, direct download)
- */
-const DEFAULT_SETTINGS = {
-  quality: 1.0,
-  bgColor: '#ffffff',
-  saveAs: false
+/** @const {Object} Sample image used for the filename template preview */
+const FILENAME_PREVIEW_CONTEXT = {
+  url: 'https://cdn.example.com/images/linen-shirt.webp',
+  pageUrl: 'https://shop.example.com/summer/shirts',
+  pageTitle: 'Summer Shirts | Example Shop',
+  alt: 'Blue linen shirt',
+  width: 1600,
+  height: 1200,
+  counter: 7,
+  extension: 'jpg'
 };
 
+/** @const {string[]} Lossy non-JPEG formats with their own quality slider */
+const QUALITY_FORMATS = ['webp', 'avif'];
+
+/** @const {string[]} Alpha-capable formats with a "Keep transparency" toggle */
+const ALPHA_FORMATS = ['png', 'webp', 'avif'];
+
 /* -------------------------------------------------------------------------- */
 /*                               DOM References                               */
 /* -------------------------------------------------------------------------- */
 
 let form, qualityInput, qualityValue, bgColorInput, bgColorPicker;
-let saveAsInput, saveBtn, resetBtn, statusDiv;
+let saveAsInput, historyEnabledInput, saveBtn, resetBtn;
+let batchMinWidthInput, batchMinHeightInput, batchDomainsInput, batchFormatInputs;
+let zipBatchInput, zipCompressionInput, zipManifestInput;
+let filenameTemplateInput, filenamePreview;
+let resizeModeInput, resizeSizeInput, resizePercentInput, resizeNoUpscaleInput, svgTargetSizeInput;
+let metadataEnabledInput, metadataArtistInput, metadataCopyrightInput, keepExifInput;
+let qualityModeInput, targetSizeKBInput, targetSizeResizeInput;
+let jpegEncoderInput, jpegSubsamplingInput, jpegProgressiveInput, jpegOptimizeHuffmanInput, jpegRestartIntervalInput;
+let profileList, addProfileBtn;
+let urlRewriteEnabledInput, urlRewriteRulesInput;
+let outputFormatInput, hoverButtonEnabledInput, hoverButtonMinSizeInput, quickSaveModifierInput, quickSaveSiteModeInput, quickSaveSitesInput;
+
+/** @type {Object<string, {input: HTMLInputElement, value: HTMLElement}>} Per-format quality controls */
+const formatQualityInputs = {};
+
+/** @type {Object<string, HTMLInputElement>} Per-format "Keep transparency" checkboxes */
+const formatAlphaInputs = {};
+
+/** @type {string[]} Settings locked by the administrator's policy */
+let lockedSettings = [];
 
 /* -------------------------------------------------------------------------- */
 /*                              Initialization                                */
@@ -39,14 +69,61 @@ document.addEventListener('DOMContentLoaded', () => {
   bgColorInput = document.getElementById('bgColor');
   bgColorPicker = document.getElementById('bgColorPicker');
   saveAsInput = document.getElementById('saveAs');
+  historyEnabledInput = document.getElementById('historyEnabled');
   saveBtn = document.getElementById('saveBtn');
   resetBtn = document.getElementById('resetBtn');
-  statusDiv = document.getElementById('status');
+  batchMinWidthInput = document.getElementById('batchMinWidth');
+  batchMinHeightInput = document.getElementById('batchMinHeight');
+  batchDomainsInput = document.getElementById('batchDomains');
+  batchFormatInputs = document.querySelectorAll('#batchFormats input[type="checkbox"]');
+  zipBatchInput = document.getElementById('zipBatch');
+  zipCompressionInput = document.getElementById('zipCompression');
+  zipManifestInput = document.getElementById('zipManifest');
+  filenameTemplateInput = document.getElementById('filenameTemplate');
+  filenamePreview = document.getElementById('filenamePreview');
+  resizeModeInput = document.getElementById('resizeMode');
+  resizeSizeInput = document.getElementById('resizeSize');
+  resizePercentInput = document.getElementById('resizePercent');
+  resizeNoUpscaleInput = document.getElementById('resizeNoUpscale');
+  svgTargetSizeInput = document.getElementById('svgTargetSize');
+  metadataEnabledInput = document.getElementById('metadataEnabled');
+  metadataArtistInput = document.getElementById('metadataArtist');
+  metadataCopyrightInput = document.getElementById('metadataCopyright');
+  keepExifInput = document.getElementById('keepExif');
+  qualityModeInput = document.getElementById('qualityMode');
+  targetSizeKBInput = document.getElementById('targetSizeKB');
+  targetSizeResizeInput = document.getElementById('targetSizeResize');
+  jpegEncoderInput = document.getElementById('jpegEncoder');
+  jpegSubsamplingInput = document.getElementById('jpegSubsampling');
+  jpegProgressiveInput = document.getElementById('jpegProgressive');
+  jpegOptimizeHuffmanInput = document.getElementById('jpegOptimizeHuffman');
+  jpegRestartIntervalInput = document.getElementById('jpegRestartInterval');
+  profileList = document.getElementById('profileList');
+  addProfileBtn = document.getElementById('addProfile');
+  urlRewriteEnabledInput = document.getElementById('urlRewriteEnabled');
+  urlRewriteRulesInput = document.getElementById('urlRewriteRules');
+  outputFormatInput = document.getElementById('outputFormat');
+  hoverButtonEnabledInput = document.getElementById('hoverButtonEnabled');
+  hoverButtonMinSizeInput = document.getElementById('hoverButtonMinSize');
+  quickSaveModifierInput = document.getElementById('quickSaveModifier');
+  quickSaveSiteModeInput = document.getElementById('quickSaveSiteMode');
+  quickSaveSitesInput = document.getElementById('quickSaveSites');
+
+  for (const format of QUALITY_FORMATS) {
+    formatQualityInputs[format] = {
+      input: document.getElementById(format + 'Quality'),
+      value: document.getElementById(format + 'QualityValue')
+    };
+  }
+  for (const format of ALPHA_FORMATS) {
+    formatAlphaInputs[format] = document.getElementById(format + 'KeepAlpha');
+  }
 
-  loadSettings();
+  loadSettings().then(initPreview);
   applyI18n();
+  renderTokenList();
   attachEventListeners();
-  initTheme();
+  initThemeToggle();
 });
 
 /* -------------------------------------------------------------------------- */
@@ -54,22 +131,13 @@ document.addEventListener('DOMContentLoaded', () => {
 /* -------------------------------------------------------------------------- */
 
 /**
- * Initializes theme toggle functionality.
- * Respects saved preference, falls back to system preference.
+ * Applies the saved theme and handles the theme toggle.
+ * The choice is saved in localStorage, where the other pages read it.
  */
-function initTheme() {
+function initThemeToggle() {
   const themeToggle = document.getElementById('themeToggle');
+  applyTheme();
 
-  // Restore saved theme or detect system preference
-  const savedTheme = localStorage.getItem('theme');
-  if (savedTheme) {
-    document.documentElement.setAttribute('data-theme', savedTheme);
-  } else {
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
-  }
-
-  // Handle theme toggle clicks
   themeToggle.addEventListener('click', () => {
     const current = document.documentElement.getAttribute('data-theme');
     const newTheme = current === 'dark' ? 'light' : 'dark';
@@ -83,18 +151,179 @@ function initTheme() {
 /* -------------------------------------------------------------------------- */
 
 /**
- * Loads user settings from Chrome sync storage and populates form fields.
+ * Loads the effective settings (saved values over policy presets and defaults, with locked
+ * policy values on top) and populates form fields.
  */
 async function loadSettings() {
-  const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  const { settings, locked } = await readSettings();
 
   qualityInput.value = settings.quality;
   qualityValue.textContent = Math.round(settings.quality * 100) + '%';
+  applyTargetSizeSettings(settings);
+  applyJpegEncoderSettings(settings);
 
   bgColorInput.value = settings.bgColor;
   bgColorPicker.value = settings.bgColor;
 
   saveAsInput.checked = settings.saveAs;
+  historyEnabledInput.checked = settings.historyEnabled;
+  urlRewriteEnabledInput.checked = settings.urlRewriteEnabled;
+  urlRewriteRulesInput.value = settings.urlRewriteRules;
+
+  applyFormatSettings(settings);
+  applyBatchSettings(settings);
+  applyQuickSaveSettings(settings);
+
+  filenameTemplateInput.value = settings.filenameTemplate;
+  updateFilenamePreview();
+
+  applyResizeSettings(settings);
+  applyMetadataSettings(settings);
+  renderProfiles(settings.profiles);
+  applyPolicyLocks(locked);
+}
+
+/**
+ * Makes the controls of settings locked by policy read-only and shows the policy notice.
+ * Other controls keep their state (e.g. the Huffman checkbox that progressive mode disables).
+ * @param {string[]} locked - Names of the locked settings
+ */
+function applyPolicyLocks(locked) {
+  lockedSettings = locked;
+  document.getElementById('policyNotice').hidden = locked.length === 0;
+
+  const title = chrome.i18n.getMessage('policyLockedTitle') || 'Set by your organization';
+  for (const key of locked) {
+    const controls = key === 'batchFormats' ? Array.from(batchFormatInputs)
+      : key === 'bgColor' ? [bgColorInput, bgColorPicker]
+      : [document.getElementById(key)].filter(Boolean);
+    for (const control of controls) {
+      control.disabled = true;
+      control.classList.add('policy-locked');
+      control.title = title;
+    }
+  }
+}
+
+/**
+ * Populates the resize fields and shows the input that matches the mode.
+ * @param {Object} settings - Settings object containing resize* and svgTargetSize keys
+ */
+function applyResizeSettings(settings) {
+  resizeModeInput.value = settings.resizeMode;
+  resizeSizeInput.value = settings.resizeSize;
+  resizePercentInput.value = settings.resizePercent;
+  resizeNoUpscaleInput.checked = settings.resizeNoUpscale;
+  svgTargetSizeInput.value = settings.svgTargetSize;
+  updateResizeFields();
+}
+
+/**
+ * Shows the pixel size input for px-based modes and the percentage input for "percent".
+ */
+function updateResizeFields() {
+  const mode = resizeModeInput.value;
+  document.getElementById('resizeSizeField').hidden = mode === 'none' || mode === 'percent';
+  document.getElementById('resizePercentField').hidden = mode !== 'percent';
+}
+
+/**
+ * Populates the quality mode and target file size fields.
+ * @param {Object} settings - Settings object containing qualityMode and targetSize* keys
+ */
+function applyTargetSizeSettings(settings) {
+  qualityModeInput.value = settings.qualityMode;
+  targetSizeKBInput.value = settings.targetSizeKB;
+  targetSizeResizeInput.checked = settings.targetSizeResize;
+  updateTargetSizeFields();
+}
+
+/**
+ * Shows the target size fields only in "maximum file size" mode.
+ */
+function updateTargetSizeFields() {
+  const isTarget = qualityModeInput.value === 'target';
+  document.getElementById('targetSizeField').hidden = !isTarget;
+  document.getElementById('targetSizeResizeField').hidden = !isTarget;
+}
+
+/**
+ * Populates the JPEG encoder fields.
+ * @param {Object} settings - Settings object containing jpeg* keys
+ */
+function applyJpegEncoderSettings(settings) {
+  jpegEncoderInput.value = settings.jpegEncoder;
+  jpegSubsamplingInput.value = settings.jpegSubsampling;
+  jpegProgressiveInput.checked = settings.jpegProgressive;
+  jpegOptimizeHuffmanInput.checked = settings.jpegOptimizeHuffman;
+  jpegRestartIntervalInput.value = settings.jpegRestartInterval;
+  updateJpegEncoderFields();
+}
+
+/**
+ * Shows the encoder options only for the built-in encoder. Progressive images always use
+ * optimized Huffman tables, so that checkbox is locked on while progressive is checked.
+ */
+function updateJpegEncoderFields() {
+  const isBuiltin = jpegEncoderInput.value === 'builtin';
+  for (const id of ['jpegSubsamplingField', 'jpegRestartIntervalField', 'jpegProgressiveField', 'jpegOptimizeHuffmanField']) {
+    document.getElementById(id).hidden = !isBuiltin;
+  }
+  jpegOptimizeHuffmanInput.disabled = jpegProgressiveInput.checked || lockedSettings.includes('jpegOptimizeHuffman');
+}
+
+/**
+ * Populates the metadata fields.
+ * @param {Object} settings - Settings object containing metadata* and keepExif keys
+ */
+function applyMetadataSettings(settings) {
+  metadataEnabledInput.checked = settings.metadataEnabled;
+  metadataArtistInput.value = settings.metadataArtist;
+  metadataCopyrightInput.value = settings.metadataCopyright;
+  keepExifInput.checked = settings.keepExif;
+}
+
+/**
+ * Populates the "Save all images" filter and ZIP fields.
+ * @param {Object} settings - Settings object containing batch* and zip* keys
+ */
+function applyBatchSettings(settings) {
+  batchMinWidthInput.value = settings.batchMinWidth;
+  batchMinHeightInput.value = settings.batchMinHeight;
+  batchDomainsInput.value = settings.batchDomains;
+  batchFormatInputs.forEach(input => {
+    input.checked = settings.batchFormats.includes(input.value);
+  });
+  zipBatchInput.checked = settings.zipBatch;
+  zipCompressionInput.value = settings.zipCompression;
+  zipManifestInput.checked = settings.zipManifest;
+}
+
+/**
+ * Populates the quick save format, hover button, modifier click and site list fields.
+ * @param {Object} settings - Settings object containing outputFormat, hoverButton* and quickSave* keys
+ */
+function applyQuickSaveSettings(settings) {
+  outputFormatInput.value = settings.outputFormat;
+  hoverButtonEnabledInput.checked = settings.hoverButtonEnabled;
+  hoverButtonMinSizeInput.value = settings.hoverButtonMinSize;
+  quickSaveModifierInput.value = settings.quickSaveModifier;
+  quickSaveSiteModeInput.value = settings.quickSaveSiteMode;
+  quickSaveSitesInput.value = settings.quickSaveSites;
+}
+
+/**
+ * Populates the per-format quality sliders and transparency checkboxes.
+ * @param {Object} settings - Settings object containing <format>Quality / <format>KeepAlpha keys
+ */
+function applyFormatSettings(settings) {
+  for (const [format, { input, value }] of Object.entries(formatQualityInputs)) {
+    input.value = settings[format + 'Quality'];
+    value.textContent = Math.round(settings[format + 'Quality'] * 100) + '%';
+  }
+  for (const [format, input] of Object.entries(formatAlphaInputs)) {
+    input.checked = settings[format + 'KeepAlpha'];
+  }
 }
 
 /**
@@ -119,6 +348,24 @@ function attachEventListeners() {
     bgColorInput.value = e.target.value;
   });
 
+  for (const { input, value } of Object.values(formatQualityInputs)) {
+    input.addEventListener('input', (e) => {
+      value.textContent = Math.round(parseFloat(e.target.value) * 100) + '%';
+    });
+  }
+
+  filenameTemplateInput.addEventListener('input', updateFilenamePreview);
+  resizeModeInput.addEventListener('change', updateResizeFields);
+  qualityModeInput.addEventListener('change', updateTargetSizeFields);
+  jpegEncoderInput.addEventListener('change', updateJpegEncoderFields);
+  jpegProgressiveInput.addEventListener('change', updateJpegEncoderFields);
+  addProfileBtn.addEventListener('click', addProfile);
+
+  // Profile cards show the main form's values for what they don't override
+  form.addEventListener('input', (e) => {
+    if (!profileList.contains(e.target)) refreshInheritedProfileValues();
+  });
+
   // Form submission handler
   form.addEventListener('submit', (e) => {
     e.preventDefault();
@@ -129,28 +376,84 @@ function attachEventListeners() {
   resetBtn.addEventListener('click', () => {
     resetToDefaults();
   });
+
+  const importFile = document.getElementById('importFile');
+  document.getElementById('exportSettings').addEventListener('click', exportSettings);
+  document.getElementById('importSettings').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    if (importFile.files[0]) importSettings(importFile.files[0]);
+    importFile.value = '';
+  });
 }
 
 /**
  * Validates and saves current settings to Chrome sync storage.
  */
 async function saveSettings() {
-  const bgColor = bgColorInput.value.trim().toLowerCase();
-
-  // Validate hex color format
-  if (!isValidHexColor(bgColor)) {
-    showStatus('Invalid HEX color format. Use #RRGGBB (e.g., #ffffff)', 'error');
+  const profiles = readProfiles();
+  if (profiles.some(profile => !profile.name)) {
+    showStatus('Every site profile needs a name', 'error');
     return;
   }
 
   const settings = {
     quality: parseFloat(qualityInput.value),
-    bgColor: bgColor,
-    saveAs: saveAsInput.checked
+    bgColor: bgColorInput.value.trim(),
+    saveAs: saveAsInput.checked,
+    batchMinWidth: parseInt(batchMinWidthInput.value, 10),
+    batchMinHeight: parseInt(batchMinHeightInput.value, 10),
+    batchDomains: batchDomainsInput.value.trim(),
+    batchFormats: Array.from(batchFormatInputs).filter(input => input.checked).map(input => input.value),
+    zipBatch: zipBatchInput.checked,
+    zipCompression: zipCompressionInput.value,
+    zipManifest: zipManifestInput.checked,
+    filenameTemplate: filenameTemplateInput.value.trim(),
+    resizeMode: resizeModeInput.value,
+    resizeSize: parseInt(resizeSizeInput.value, 10),
+    resizePercent: parseInt(resizePercentInput.value, 10),
+    resizeNoUpscale: resizeNoUpscaleInput.checked,
+    svgTargetSize: parseInt(svgTargetSizeInput.value, 10),
+    metadataEnabled: metadataEnabledInput.checked,
+    metadataArtist: metadataArtistInput.value.trim(),
+    metadataCopyright: metadataCopyrightInput.value.trim(),
+    keepExif: keepExifInput.checked,
+    qualityMode: qualityModeInput.value,
+    targetSizeKB: parseInt(targetSizeKBInput.value, 10),
+    targetSizeResize: targetSizeResizeInput.checked,
+    jpegEncoder: jpegEncoderInput.value,
+    jpegSubsampling: jpegSubsamplingInput.value,
+    jpegProgressive: jpegProgressiveInput.checked,
+    jpegOptimizeHuffman: jpegOptimizeHuffmanInput.checked,
+    jpegRestartInterval: parseInt(jpegRestartIntervalInput.value, 10),
+    historyEnabled: historyEnabledInput.checked,
+    profiles,
+    urlRewriteEnabled: urlRewriteEnabledInput.checked,
+    urlRewriteRules: urlRewriteRulesInput.value.trim(),
+    outputFormat: outputFormatInput.value,
+    hoverButtonEnabled: hoverButtonEnabledInput.checked,
+    hoverButtonMinSize: parseInt(hoverButtonMinSizeInput.value, 10),
+    quickSaveModifier: quickSaveModifierInput.value,
+    quickSaveSiteMode: quickSaveSiteModeInput.value,
+    quickSaveSites: quickSaveSitesInput.value.trim()
   };
 
+  for (const [format, { input }] of Object.entries(formatQualityInputs)) {
+    settings[format + 'Quality'] = parseFloat(input.value);
+  }
+  for (const [format, input] of Object.entries(formatAlphaInputs)) {
+    settings[format + 'KeepAlpha'] = input.checked;
+  }
+
+  const { settings: valid, errors } = sanitizeSettings(settings);
+  if (errors.length > 0) {
+    showStatus(errors[0], 'error');
+    return;
+  }
+  // Locked values are not the user's own; saving them would keep them if the policy is lifted
+  for (const key of lockedSettings) delete valid[key];
+
   try {
-    await chrome.storage.sync.set(settings);
+    await chrome.storage.sync.set({ ...valid, settingsVersion: SETTINGS_VERSION });
     showStatus('Settings saved successfully!', 'success');
   } catch (error) {
     showStatus('Failed to save settings: ' + error.message, 'error');
@@ -158,74 +461,273 @@ async function saveSettings() {
 }
 
 /**
- * Resets all settings to default values and persists to storage.
+ * Removes the user's saved values, so defaults (or the administrator's presets) apply again.
  */
 async function resetToDefaults() {
-  qualityInput.value = DEFAULT_SETTINGS.quality;
-  qualityValue.textContent = '100%';
+  await chrome.storage.sync.remove(Object.keys(DEFAULT_SETTINGS));
+  await loadSettings();
+  schedulePreview();
+  showStatus('Settings restored to defaults!', 'success');
+}
 
-  bgColorInput.value = DEFAULT_SETTINGS.bgColor;
-  bgColorPicker.value = DEFAULT_SETTINGS.bgColor;
+/* -------------------------------------------------------------------------- */
+/*                              Import / Export                               */
+/* -------------------------------------------------------------------------- */
 
-  saveAsInput.checked = DEFAULT_SETTINGS.saveAs;
+/**
+ * Downloads the saved settings as a JSON file. Values locked by policy are left out.
+ */
+async function exportSettings() {
+  const { settings, locked } = await readSettings();
+  for (const key of locked) delete settings[key];
+
+  const url = URL.createObjectURL(new Blob([serializeSettings(settings)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `save-as-jpg-settings_${formatTimestamp(new Date())}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-  await chrome.storage.sync.set(DEFAULT_SETTINGS);
-  showStatus('Settings restored to defaults!', 'success');
+/**
+ * Saves the valid settings of an exported file, migrated to the current version, and shows them.
+ * Values locked by policy are not imported.
+ * @param {File} file - Settings file picked by the user
+ */
+async function importSettings(file) {
+  try {
+    const { settings, errors } = parseSettingsFile(await file.text());
+    for (const key of lockedSettings) delete settings[key];
+    const count = Object.keys(settings).length;
+    if (count === 0) throw new Error(errors[0] || 'The file contains no settings.');
+
+    await chrome.storage.sync.set({ ...settings, settingsVersion: SETTINGS_VERSION });
+    await loadSettings();
+    schedulePreview();
+    if (errors.length > 0) {
+      showStatus(`Imported ${count} settings, skipped ${errors.length} invalid values: ${errors[0]}`, 'error');
+    } else {
+      showStatus(`Imported ${count} settings!`, 'success');
+    }
+  } catch (error) {
+    showStatus('Failed to import settings: ' + error.message, 'error');
+  }
 }
 
 /* -------------------------------------------------------------------------- */
-/*                              Utility Functions                             */
+/*                                Site Profiles                               */
 /* -------------------------------------------------------------------------- */
 
 /**
- * Validates a string as a valid hex color code.
- * Supports both 3-digit (#RGB) and 6-digit (#RRGGBB) formats.
- * @param {string} color - Color string to validate
- * @returns {boolean} True if valid hex color
+ * Shows one editor card per site profile.
+ * @param {Array<{id: string, name: string, domains: string, settings: Object}>} profiles - Site profiles
  */
-function isValidHexColor(color) {
-  return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(color);
+function renderProfiles(profiles) {
+  profileList.replaceChildren(...profiles.map(createProfileCard));
 }
 
-/** @type {number|null} Timeout ID for status auto-hide */
-let statusTimeoutId = null;
+/**
+ * Adds a new profile card. It overrides nothing until a value is changed.
+ */
+function addProfile() {
+  const card = createProfileCard({ id: crypto.randomUUID(), name: '', domains: '', settings: {} });
+  profileList.appendChild(card);
+  card.querySelector('[name="name"]').focus();
+}
 
 /**
- * Displays a status message with auto-dismiss after 3 seconds.
- * @param {string} message - Message to display
- * @param {string} type - Message type ('success' or 'error')
+ * Builds the editor card for a profile. Values the profile doesn't set show the main settings;
+ * only values the profile sets, or that are changed on the card, are saved as its overrides.
+ * @param {{id: string, name: string, domains: string, settings: Object}} profile - Site profile
+ * @returns {HTMLElement} Card element
  */
-function showStatus(message, type) {
-  // Clear any existing timeout to prevent stacking
-  if (statusTimeoutId) {
-    clearTimeout(statusTimeoutId);
-    statusTimeoutId = null;
+function createProfileCard(profile) {
+  const card = document.getElementById('profileTemplate').content.firstElementChild.cloneNode(true);
+  applyI18n(card);
+  card.dataset.profileId = profile.id;
+
+  const field = name => card.querySelector(`[name="${name}"]`);
+  field('name').value = profile.name;
+  field('domains').value = profile.domains;
+
+  for (const key of PROFILE_SETTING_KEYS) {
+    const input = field(key);
+    if (profile.settings[key] !== undefined) {
+      setProfileFieldValue(input, key, profile.settings[key]);
+      input.dataset.override = '';
+    }
+    input.addEventListener('input', () => { input.dataset.override = ''; });
   }
+  showInheritedProfileValues(card, getMainProfileValues());
+
+  card.querySelectorAll('input[type="range"]').forEach(slider => {
+    slider.addEventListener('input', () => showProfileQuality(slider));
+  });
+  field('outputFormat').addEventListener('change', () => showProfileFormatFields(card));
+  card.querySelector('.profile-remove').addEventListener('click', () => card.remove());
+  return card;
+}
 
-  statusDiv.textContent = message;
-  statusDiv.className = `status ${type}`;
-  statusDiv.classList.remove('hidden');
+/**
+ * Copies the main form's values into the controls a card doesn't override, so they stay
+ * in step with the main form, and updates the card's labels and visible format fields.
+ * @param {HTMLElement} card - Profile card
+ * @param {Object} values - Values from getMainProfileValues()
+ */
+function showInheritedProfileValues(card, values) {
+  for (const key of PROFILE_SETTING_KEYS) {
+    const input = card.querySelector(`[name="${key}"]`);
+    if (!('override' in input.dataset)) setProfileFieldValue(input, key, values[key]);
+  }
+  card.querySelectorAll('input[type="range"]').forEach(showProfileQuality);
+  showProfileFormatFields(card);
+}
+
+/**
+ * Refreshes the inherited values of every profile card after the main form changed.
+ */
+function refreshInheritedProfileValues() {
+  const values = getMainProfileValues();
+  for (const card of profileList.children) showInheritedProfileValues(card, values);
+}
+
+/**
+ * Sets a profile card control. Color inputs only accept #RRGGBB.
+ * @param {HTMLInputElement|HTMLSelectElement} input - Card control
+ * @param {string} key - Setting the control edits
+ * @param {*} value - Value to show
+ */
+function setProfileFieldValue(input, key, value) {
+  if (input.type === 'checkbox') {
+    input.checked = value;
+  } else {
+    input.value = key === 'bgColor' ? normalizeHexColor(value) : value;
+  }
+}
+
+/**
+ * Shows a card's quality slider value as a percentage.
+ * @param {HTMLInputElement} slider - Quality slider on a profile card
+ */
+function showProfileQuality(slider) {
+  slider.closest('.field').querySelector('.profile-quality-value').textContent =
+    Math.round(parseFloat(slider.value) * 100) + '%';
+}
+
+/**
+ * Shows only the quality and transparency controls of the card's chosen format.
+ * @param {HTMLElement} card - Profile card
+ */
+function showProfileFormatFields(card) {
+  const format = card.querySelector('[name="outputFormat"]').value;
+  card.querySelectorAll('[data-format]').forEach(element => {
+    element.hidden = element.dataset.format !== format;
+  });
+}
 
-  statusTimeoutId = setTimeout(() => {
-    statusDiv.classList.add('hidden');
-    statusTimeoutId = null;
-  }, 3000);
+/**
+ * Reads the values of the main form that a profile can override, as shown on cards for the
+ * values a profile doesn't set.
+ * @returns {Object} Values keyed by PROFILE_SETTING_KEYS
+ */
+function getMainProfileValues() {
+  const bgColor = bgColorInput.value.trim();
+  const values = {
+    outputFormat: outputFormatInput.value,
+    quality: parseFloat(qualityInput.value),
+    bgColor: isValidHexColor(bgColor) ? bgColor : DEFAULT_SETTINGS.bgColor,
+    saveAs: saveAsInput.checked,
+    filenameTemplate: filenameTemplateInput.value.trim() || DEFAULT_SETTINGS.filenameTemplate
+  };
+  for (const [format, { input }] of Object.entries(formatQualityInputs)) {
+    values[format + 'Quality'] = parseFloat(input.value);
+  }
+  for (const [format, input] of Object.entries(formatAlphaInputs)) {
+    values[format + 'KeepAlpha'] = input.checked;
+  }
+  return values;
 }
 
 /**
- * Applies internationalization to elements with data-i18n attribute.
- * Replaces text content with localized messages from _locales.
+ * Reads the profiles from the editor cards, in display order (which is their priority).
+ * Each profile keeps only the values it overrides.
+ * @returns {Array<{id: string, name: string, domains: string, settings: Object}>} Site profiles
  */
-function applyI18n() {
-  document.querySelectorAll('[data-i18n]').forEach(element => {
-    const key = element.getAttribute('data-i18n');
-    const message = chrome.i18n.getMessage(key);
-    if (message) {
-      if (element.tagName === 'INPUT' && element.type === 'text') {
-        element.placeholder = message;
-      } else {
-        element.textContent = message;
-      }
+function readProfiles() {
+  return Array.from(profileList.children, card => {
+    const field = name => card.querySelector(`[name="${name}"]`);
+    const settings = {};
+    for (const key of PROFILE_SETTING_KEYS) {
+      const input = field(key);
+      if (!('override' in input.dataset)) continue;
+      settings[key] = input.type === 'checkbox' ? input.checked
+        : input.type === 'range' ? parseFloat(input.value)
+        : input.value.trim();
     }
+    return {
+      id: card.dataset.profileId,
+      name: field('name').value.trim(),
+      domains: field('domains').value.trim(),
+      settings
+    };
   });
-}
\ No newline at end of file
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Filename Template                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Renders one clickable chip per template token; clicking inserts the token at the cursor.
+ */
+function renderTokenList() {
+  const list = document.getElementById('filenameTokens');
+
+  for (const [token, description] of Object.entries(FILENAME_TOKENS)) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'token-chip';
+    chip.textContent = `{${token}}`;
+    chip.title = description;
+    chip.addEventListener('click', () => insertAtCursor(filenameTemplateInput, chip.textContent));
+    list.appendChild(chip);
+  }
+}
+
+/**
+ * Inserts text at the caret position of an input and refreshes the preview.
+ * @param {HTMLInputElement} input - Target text input
+ * @param {string} text - Text to insert
+ */
+function insertAtCursor(input, text) {
+  const start = input.selectionStart ?? input.value.length;
+  const end = input.selectionEnd ?? input.value.length;
+  input.setRangeText(text, start, end, 'end');
+  input.focus();
+  updateFilenamePreview();
+}
+
+/**
+ * Shows the path the current template would produce for a sample image.
+ */
+function updateFilenamePreview() {
+  const path = renderFilenameTemplate(filenameTemplateInput.value.trim(), {
+    ...FILENAME_PREVIEW_CONTEXT,
+    date: new Date()
+  });
+  filenamePreview.textContent = 'Downloads/' + path;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Utility Functions                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Validates a string as a valid hex color code.
+ * Supports both 3-digit (#RGB) and 6-digit (#RRGGBB) formats.
+ * @param {string} color - Color string to validate
+ * @returns {boolean} True if valid hex color
+ */
+function isValidHexColor(color) {
+  return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(color);
+}
@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Toolbar Popup Controller for Save as JPG Chrome Extension
+ * Lists every image on the active tab (as resolved by getBestImageUrl() in content.js) in a
+ * thumbnail grid with dimensions, format and file size, lets the user filter, sort and select
+ * them, and hands the selection to the service worker, which reports each image's progress.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/** @const {Object<string, string>} Source format keys by MIME type (anything else is "other") */
+const POPUP_SOURCE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg'
+};
+
+/** @const {Object<string, string>} Source format keys by file extension */
+const POPUP_SOURCE_EXTENSIONS = {
+  jpg: 'jpeg', jpeg: 'jpeg', jpe: 'jpeg', jfif: 'jpeg',
+  png: 'png', webp: 'webp', gif: 'gif', avif: 'avif', svg: 'svg'
+};
+
+/** @const {number} Images whose headers are requested at the same time */
+const POPUP_INSPECT_CONCURRENCY = 4;
+
+/** @const {number} Time allowed for reading one image's headers, in milliseconds */
+const POPUP_INSPECT_TIMEOUT_MS = 5000;
+
+/**
+ * @typedef {Object} PopupImage
+ * @property {string} id - Identifier within this popup
+ * @property {number} order - Position on the page
+ * @property {string} url - Best available image URL
+ * @property {string} alt - Alt text
+ * @property {number} width - Natural width in pixels (0 until known)
+ * @property {number} height - Natural height in pixels (0 until known)
+ * @property {string} format - Source format key ("" until known)
+ * @property {number} bytes - File size in bytes (0 until known)
+ * @property {boolean} selected - Whether the image is selected
+ * @property {string} state - Save progress: "", "queued", "working", "saved", "skipped" or "failed"
+ * @property {HTMLLIElement} card - Grid card
+ */
+
+/** @type {chrome.tabs.Tab|null} Tab the images come from */
+let popupTab = null;
+
+/** @type {PopupImage[]} Images of the tab in page order */
+let popupImages = [];
+
+/** @type {string|null} ID of the save in progress, matched against progress messages */
+let activeBatchId = null;
+
+/**
+ * Initializes the popup.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  applyTheme();
+  applyI18n(document);
+
+  for (const id of ['popupSearch', 'popupMinSize']) {
+    document.getElementById(id).addEventListener('input', renderImages);
+  }
+  for (const id of ['popupFormatFilter', 'popupSort']) {
+    document.getElementById(id).addEventListener('change', renderImages);
+  }
+  document.getElementById('popupSelectAll').addEventListener('click', () => setSelection(true));
+  document.getElementById('popupSelectNone').addEventListener('click', () => setSelection(false));
+  document.getElementById('popupSave').addEventListener('click', saveSelection);
+
+  chrome.runtime.onMessage.addListener(message => {
+    if (message.type === 'POPUP_SAVE_PROGRESS' && message.batchId === activeBatchId) {
+      updateProgress(message.id, message.state, message.error);
+    }
+  });
+
+  loadImages();
+});
+
+/**
+ * Asks the active tab's content script for its images, renders them, and then reads their
+ * headers for the format and file size.
+ */
+async function loadImages() {
+  [popupTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  let response = null;
+  if (popupTab?.id) {
+    try {
+      response = await chrome.tabs.sendMessage(popupTab.id, { type: 'GET_ALL_IMAGES' }, { frameId: 0 });
+    } catch {
+      // Restricted page (chrome://, the Web Store) or a tab opened before the extension was installed
+    }
+  }
+  if (!response) {
+    showMessage(chrome.i18n.getMessage('popupUnavailable') ||
+      'Images on this page cannot be accessed. Reload the page and try again.');
+    return;
+  }
+
+  const seen = new Set();
+  popupImages = [];
+  for (const image of response.images || []) {
+    // Fragments never change the fetched resource
+    const key = image.url.split('#')[0];
+    if (!/^(https?|data):/i.test(image.url) || seen.has(key)) continue;
+    seen.add(key);
+    popupImages.push(createPopupImage(image, popupImages.length));
+  }
+
+  if (popupImages.length === 0) {
+    showMessage(chrome.i18n.getMessage('popupEmpty') || 'No images found on this page.');
+    return;
+  }
+  showMessage('');
+  renderImages();
+  await inspectImages(popupImages);
+}
+
+/**
+ * Builds the popup entry and grid card for a page image.
+ * @param {{url: string, naturalWidth: number, naturalHeight: number, alt: string}} image - Image from GET_ALL_IMAGES
+ * @param {number} order - Position on the page
+ * @returns {PopupImage} Popup entry
+ */
+function createPopupImage(image, order) {
+  const entry = {
+    id: String(order),
+    order,
+    url: image.url,
+    alt: image.alt || '',
+    width: image.naturalWidth || 0,
+    height: image.naturalHeight || 0,
+    format: guessFormatFromUrl(image.url),
+    bytes: 0,
+    selected: false,
+    state: '',
+    card: document.getElementById('popupCardTemplate').content.firstElementChild.cloneNode(true)
+  };
+
+  const thumb = entry.card.querySelector('.popup-thumb');
+  thumb.src = entry.url;
+  thumb.title = entry.alt || entry.url;
+  // The thumbnail loads the image itself, so its natural size is the real one
+  thumb.addEventListener('load', () => {
+    if (entry.width && entry.height) return;
+    entry.width = thumb.naturalWidth;
+    entry.height = thumb.naturalHeight;
+    updateCardMeta(entry);
+  }, { once: true });
+
+  entry.card.querySelector('.popup-card-select').addEventListener('change', event => {
+    entry.selected = event.target.checked;
+    updateSelectionCount();
+  });
+
+  updateCardMeta(entry);
+  return entry;
+}
+
+/**
+ * Renders the images that pass the filters, in the chosen order.
+ */
+function renderImages() {
+  const query = document.getElementById('popupSearch').value.trim().toLowerCase();
+  const format = document.getElementById('popupFormatFilter').value;
+  const minSize = parseInt(document.getElementById('popupMinSize').value, 10) || 0;
+  const sort = document.getElementById('popupSort').value;
+
+  const visible = popupImages.filter(entry => {
+    if (query && !entry.url.toLowerCase().includes(query) && !entry.alt.toLowerCase().includes(query)) return false;
+    if (format && entry.format !== format) return false;
+    // Images of unknown size stay visible until their size is known
+    if (minSize && entry.width && entry.height && (entry.width < minSize || entry.height < minSize)) return false;
+    return true;
+  });
+
+  if (sort === 'pixels') visible.sort((a, b) => b.width * b.height - a.width * a.height || a.order - b.order);
+  if (sort === 'bytes') visible.sort((a, b) => b.bytes - a.bytes || a.order - b.order);
+
+  document.getElementById('popupGrid').replaceChildren(...visible.map(entry => entry.card));
+  document.getElementById('popupCount').textContent = visible.length === popupImages.length
+    ? `${popupImages.length} images`
+    : `${visible.length} of ${popupImages.length} images`;
+  updateSelectionCount();
+}
+
+/**
+ * Selects or deselects every image that is currently shown.
+ * @param {boolean} selected - New selection state
+ */
+function setSelection(selected) {
+  for (const entry of popupImages) {
+    if (!entry.card.isConnected) continue;
+    entry.selected = selected;
+    entry.card.querySelector('.popup-card-select').checked = selected;
+  }
+  updateSelectionCount();
+}
+
+/**
+ * Shows the number of selected images and enables the save button.
+ */
+function updateSelectionCount() {
+  const count = popupImages.filter(entry => entry.selected).length;
+  document.getElementById('popupSelectionCount').textContent = count ? `${count} selected` : '';
+  document.getElementById('popupSave').disabled = count === 0 || activeBatchId !== null;
+}
+
+/**
+ * Writes an image's dimensions, format and file size under its thumbnail.
+ * @param {PopupImage} entry - Popup entry
+ */
+function updateCardMeta(entry) {
+  const parts = [];
+  parts.push(entry.width && entry.height ? `${entry.width}×${entry.height}` : '?×?');
+  if (entry.format) parts.push(entry.format.toUpperCase());
+  if (entry.bytes) parts.push(formatByteSize(entry.bytes));
+  entry.card.querySelector('.popup-meta').textContent = parts.join(' · ');
+}
+
+/**
+ * Reads the format and size of each image, a few at a time, and updates the grid.
+ * @param {PopupImage[]} entries - Entries to inspect
+ */
+async function inspectImages(entries) {
+  let next = 0;
+  const worker = async () => {
+    while (next < entries.length) {
+      const entry = entries[next++];
+      Object.assign(entry, await inspectImage(entry.url, entry.format));
+      updateCardMeta(entry);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(POPUP_INSPECT_CONCURRENCY, entries.length) }, worker));
+  renderImages();
+}
+
+/**
+ * Reads an image's format and file size from its response headers (or from a data URL).
+ * @param {string} url - Image URL
+ * @param {string} fallbackFormat - Format guessed from the URL
+ * @returns {Promise<{format: string, bytes: number}>} Format key and size in bytes (0 if unknown)
+ */
+async function inspectImage(url, fallbackFormat) {
+  if (url.startsWith('data:')) {
+    const comma = url.indexOf(',');
+    const header = url.substring(5, comma);
+    const data = url.length - comma - 1;
+    const bytes = header.endsWith(';base64') ? Math.floor(data * 3 / 4) : data;
+    return { format: getFormatFromMimeType(header.split(';')[0]) || fallbackFormat, bytes };
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), POPUP_INSPECT_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { method: 'HEAD', referrerPolicy: 'no-referrer', signal: controller.signal });
+    if (!response.ok) return { format: fallbackFormat, bytes: 0 };
+    const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    return {
+      format: getFormatFromMimeType(mimeType) || fallbackFormat,
+      bytes: parseInt(response.headers.get('content-length'), 10) || 0
+    };
+  } catch {
+    return { format: fallbackFormat, bytes: 0 };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Maps a MIME type to a source format key.
+ * @param {string} mimeType - MIME type without parameters
+ * @returns {string} Format key, "other" for other image types, or "" if it is not an image type
+ */
+function getFormatFromMimeType(mimeType) {
+  if (POPUP_SOURCE_FORMATS[mimeType]) return POPUP_SOURCE_FORMATS[mimeType];
+  return mimeType.startsWith('image/') ? 'other' : '';
+}
+
+/**
+ * Guesses a source format from a URL's file extension.
+ * @param {string} url - Image URL
+ * @returns {string} Format key, or "" if the URL doesn't tell
+ */
+function guessFormatFromUrl(url) {
+  if (url.startsWith('data:')) return getFormatFromMimeType(url.substring(5).split(/[;,]/)[0]);
+  try {
+    const match = new URL(url).pathname.match(/\.([a-z0-9]+)$/i);
+    return (match && POPUP_SOURCE_EXTENSIONS[match[1].toLowerCase()]) || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Sends the selected images to the service worker and marks them as queued.
+ */
+async function saveSelection() {
+  const selected = popupImages.filter(entry => entry.selected);
+  if (selected.length === 0 || activeBatchId !== null) return;
+
+  activeBatchId = crypto.randomUUID();
+  updateSelectionCount();
+  for (const entry of popupImages) updateProgress(entry.id, entry.selected ? 'queued' : '');
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_POPUP_IMAGES',
+      batchId: activeBatchId,
+      tabId: popupTab.id,
+      format: document.getElementById('popupOutputFormat').value,
+      images: selected.map(entry => ({
+        id: entry.id,
+        url: entry.url,
+        naturalWidth: entry.width,
+        naturalHeight: entry.height,
+        alt: entry.alt
+      }))
+    });
+    if (!response) throw new Error('The extension did not respond');
+    if (response.error) throw new Error(response.error);
+
+    const { saved, total, failed } = response.summary;
+    showStatus(failed ? `Saved ${saved} of ${total} images, ${failed} failed.` : `Saved ${saved} of ${total} images.`,
+      failed ? 'error' : 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  } finally {
+    activeBatchId = null;
+    updateSelectionCount();
+  }
+}
+
+/**
+ * Shows an image's save progress on its card.
+ * @param {string} id - Popup entry ID
+ * @param {string} state - "", "queued", "working", "saved", "skipped" or "failed"
+ * @param {string} [error] - Error message for failed images
+ */
+function updateProgress(id, state, error) {
+  const entry = popupImages.find(item => item.id === id);
+  if (!entry) return;
+  entry.state = state;
+  entry.card.dataset.state = state;
+  entry.card.title = error || '';
+}
+
+/**
+ * Shows a message in place of the grid, or hides it when empty.
+ * @param {string} message - Message text
+ */
+function showMessage(message) {
+  const element = document.getElementById('popupMessage');
+  element.textContent = message;
+  element.hidden = !message;
+}
@@ -7,131 +7,2319 @@
 
 'use strict';
 
-/** @const {string} Unique identifier for the context menu item */
-const MENU_ID = 'save-image-as-jpg';
+importScripts('lib/zip.js', 'lib/filename.js', 'lib/resize.js', 'lib/metadata.js', 'lib/target-size.js', 'lib/jpeg-encoder.js',
+  'lib/animation.js', 'lib/history.js', 'lib/url-rewrite.js', 'lib/settings.js', 'lib/page.js');
+
+/** @const {string} Identifier of the parent context menu item */
+const MENU_ID = 'save-image-as';
+
+/** @const {string} Prefix for per-format child menu items (e.g. "save-image-as-png") */
+const FORMAT_MENU_PREFIX = 'save-image-as-';
+
+/**
+ * @const {string} Identifier of the "Save image as" parent shown for non-<img> targets
+ * (CSS backgrounds, inline SVG, canvas). It is only visible while the content script
+ * reports such an element under the cursor.
+ */
+const ELEMENT_MENU_ID = 'save-element-as';
+
+/** @const {string} Prefix for per-format element child menu items (e.g. "save-element-as-png") */
+const ELEMENT_MENU_PREFIX = 'save-element-as-';
+
+/** @const {string[]} Contexts in which CSS backgrounds, inline SVG and canvas can be right-clicked */
+const ELEMENT_MENU_CONTEXTS = ['page', 'frame', 'link'];
+
+/** @const {string} Identifier of the page-level "Save all images" parent menu item */
+const BATCH_MENU_ID = 'save-all-images';
+
+/** @const {string} Prefix for per-format batch child menu items (e.g. "save-all-images-jpg") */
+const BATCH_MENU_PREFIX = 'save-all-images-';
+
+/** @const {string} Identifier of the "Crop and save as JPG" menu item */
+const CROP_MENU_ID = 'crop-and-save';
+
+/**
+ * @const {string} Identifier of the "Save linked image as JPG" menu item, shown on links while the
+ * content script reports that the link leads to an image
+ */
+const LINKED_MENU_ID = 'save-linked-image';
+
+/** @const {string} Identifier of the "Copy image" parent menu item */
+const COPY_MENU_ID = 'copy-image';
+
+/** @const {string} Prefix for the copy child items ("jpg", "png", "url") */
+const COPY_MENU_PREFIX = 'copy-image-';
+
+/** @const {string} Identifier of the "Save with profile" parent menu item */
+const PROFILE_MENU_ID = 'save-with-profile';
+
+/** @const {string} Prefix for the profile child items (profile ID, or "default" for no profile) */
+const PROFILE_MENU_PREFIX = 'save-with-profile-';
+
+/** @const {string} Identifier of the "Save animated image as JPG" parent menu item */
+const ANIMATION_MENU_ID = 'save-animation';
+
+/** @const {string} Prefix for the animation child items ("first", "middle", "pick", "all") */
+const ANIMATION_MENU_PREFIX = 'save-animation-';
+
+/** @const {string} Session storage key prefix for images handed to the frame picker page */
+const FRAME_PICKER_KEY_PREFIX = 'framePicker:';
+
+/** @const {string} Identifier of the "Save video frame as JPG" menu item */
+const VIDEO_MENU_ID = 'save-video-frame';
+
+/** @const {string} Identifier of the "Save visible tab as JPG" menu item */
+const VISIBLE_TAB_MENU_ID = 'save-visible-tab';
+
+/** @const {string} Identifier of the "Save full page as JPG" menu item */
+const FULL_PAGE_MENU_ID = 'save-full-page';
+
+/** @const {string} Keyboard command that saves the image under the pointer (see manifest.json) */
+const SAVE_UNDER_POINTER_COMMAND = 'save-image-under-cursor';
+
+/** @const {number} Minimum delay between visible-tab captures (Chrome allows two per second) */
+const CAPTURE_INTERVAL_MS = 550;
+
+/** @const {number} Maximum number of screens stitched into one full-page capture */
+const FULL_PAGE_MAX_SCREENS = 40;
+
+/** @const {number} Maximum number of images fetched and converted in parallel during batch saves */
+const BATCH_CONCURRENCY = 3;
+
+/**
+ * @const {Object<string, Object>} Supported output formats, keyed by extension.
+ * `lossy` formats honor a quality setting; `alpha` formats can keep transparency.
+ */
+const OUTPUT_FORMATS = {
+  jpg: { mimeType: 'image/jpeg', extension: 'jpg', label: 'JPG', lossy: true, alpha: false },
+  png: { mimeType: 'image/png', extension: 'png', label: 'PNG', lossy: false, alpha: true },
+  webp: { mimeType: 'image/webp', extension: 'webp', label: 'WebP', lossy: true, alpha: true },
+  avif: { mimeType: 'image/avif', extension: 'avif', label: 'AVIF', lossy: true, alpha: true }
+};
+
+/** @const {Object<string, string>} Source format filter keys by MIME type (anything else is "other") */
+const SOURCE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg'
+};
+
+/** @const {Object<string, string>} Source format filter keys by file extension */
+const SOURCE_EXTENSIONS = {
+  jpg: 'jpeg', jpeg: 'jpeg', jpe: 'jpeg', jfif: 'jpeg',
+  png: 'png', webp: 'webp', gif: 'gif', avif: 'avif', svg: 'svg'
+};
+
+/** @const {number} Bytes of a JPEG source read when looking for its EXIF block */
+const EXIF_SCAN_BYTES = 262144;
+
+/** @const {number} Bytes kept free under a target size for the XMP record written after encoding */
+const XMP_SIZE_ALLOWANCE = 8192;
 
 /** @const {number} Fetch timeout in milliseconds */
 const FETCH_TIMEOUT_MS = 30000;
 
-/** @const {Object} Default extension settings */
-const DEFAULT_SETTINGS = {
-  quality: 1.0,
-  bgColor: '#ffffff',
-  saveAs: false
-};
+/** @const {number} Time allowed for checking one full-resolution candidate URL */
+const URL_CHECK_TIMEOUT_MS = 5000;
+
+/** @const {string[]} Image error kinds, most telling first, for picking which failed attempt to report */
+const IMAGE_ERROR_PRIORITY = ['forbidden', 'not-found', 'http', 'timeout', 'cors', 'network', 'decode', 'unavailable'];
+
+/** @const {string} chrome.storage.session key prefix for the save behind an error's "Retry" button */
+const RETRY_KEY_PREFIX = 'retry:';
+
+/** @type {number} Last declarativeNetRequest session rule ID used to send a page Referer */
+let refererRuleId = 0;
+
+/** @type {Promise|null} Mutex for offscreen document creation */
+let offscreenDocumentCreating = null;
+
+/** @type {Promise} Serializes filename counter updates across concurrent saves */
+let filenameCounterLock = Promise.resolve();
+
+/**
+ * Creates the context menu items when the extension is installed or updated, and brings
+ * settings saved by an earlier version up to date.
+ */
+chrome.runtime.onInstalled.addListener(() => {
+  createContextMenus();
+  migrateStoredSettings().catch(error => console.error('[Save as JPG] Settings migration failed:', error));
+});
+
+/**
+ * Builds the context menu: a parent "Save image as" entry with one child per output format,
+ * the same entry for backgrounds, inline SVG and canvas (hidden until the content script finds one),
+ * a "Crop and save as JPG" entry, "Save linked image as JPG" for links to full-size images
+ * (hidden until the content script finds one), "Copy image" as JPG/PNG/address, the animated GIF/WebP frame
+ * entries, a "Save video frame as JPG" entry, a page-level "Save all images" entry with the format
+ * children, the visible tab / full page screenshots, and "Save with profile" when site
+ * profiles exist.
+ * Existing items are removed first so updates from older versions don't collide on IDs.
+ */
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    createFormatMenu(MENU_ID, FORMAT_MENU_PREFIX,
+      chrome.i18n.getMessage('menuTitle') || 'Save image as', ['image']);
+    createFormatMenu(ELEMENT_MENU_ID, ELEMENT_MENU_PREFIX,
+      chrome.i18n.getMessage('menuTitle') || 'Save image as', ELEMENT_MENU_CONTEXTS, false);
+    chrome.contextMenus.create({
+      id: CROP_MENU_ID,
+      title: chrome.i18n.getMessage('menuCropTitle') || 'Crop and save as JPG',
+      contexts: ['image']
+    });
+    chrome.contextMenus.create({
+      id: LINKED_MENU_ID,
+      title: chrome.i18n.getMessage('menuLinkedImageTitle') || 'Save linked image as JPG',
+      contexts: ['link'],
+      visible: false
+    });
+    createCopyMenu();
+    createAnimationMenu();
+    chrome.contextMenus.create({
+      id: VIDEO_MENU_ID,
+      title: chrome.i18n.getMessage('menuVideoFrameTitle') || 'Save video frame as JPG',
+      contexts: ['video']
+    });
+    createFormatMenu(BATCH_MENU_ID, BATCH_MENU_PREFIX,
+      chrome.i18n.getMessage('menuSaveAllTitle') || 'Save all images on this page as', ['page']);
+    chrome.contextMenus.create({
+      id: VISIBLE_TAB_MENU_ID,
+      title: chrome.i18n.getMessage('menuVisibleTabTitle') || 'Save visible tab as JPG',
+      contexts: ['page']
+    });
+    chrome.contextMenus.create({
+      id: FULL_PAGE_MENU_ID,
+      title: chrome.i18n.getMessage('menuFullPageTitle') || 'Save full page as JPG',
+      contexts: ['page']
+    });
+    createProfileMenu();
+  });
+}
+
+/**
+ * Creates a parent menu item with one child per output format.
+ * @param {string} parentId - Parent menu item ID
+ * @param {string} prefix - Prefix for child item IDs
+ * @param {string} title - Parent menu title
+ * @param {string[]} contexts - Contexts in which the menu appears
+ * @param {boolean} [visible=true] - Whether the parent item is initially visible
+ */
+function createFormatMenu(parentId, prefix, title, contexts, visible = true) {
+  chrome.contextMenus.create({ id: parentId, title, contexts, visible });
+
+  for (const format of Object.values(OUTPUT_FORMATS)) {
+    chrome.contextMenus.create({
+      id: prefix + format.extension,
+      parentId,
+      title: format.label,
+      contexts
+    });
+  }
+}
+
+/**
+ * Creates the "Save with profile" parent with one child per site profile (with the profile's
+ * format, if it sets one), plus "Default settings" to ignore the profile that would match the page.
+ * Not created without profiles.
+ */
+async function createProfileMenu() {
+  const { profiles } = await getSettings();
+  if (profiles.length === 0) return;
+
+  chrome.contextMenus.create({
+    id: PROFILE_MENU_ID,
+    title: chrome.i18n.getMessage('menuProfileTitle') || 'Save with profile',
+    contexts: ['image']
+  });
+  chrome.contextMenus.create({
+    id: PROFILE_MENU_PREFIX + 'default',
+    parentId: PROFILE_MENU_ID,
+    title: chrome.i18n.getMessage('menuProfileDefault') || 'Default settings',
+    contexts: ['image']
+  });
+  for (const profile of profiles) {
+    const format = OUTPUT_FORMATS[profile.settings.outputFormat];
+    chrome.contextMenus.create({
+      id: PROFILE_MENU_PREFIX + profile.id,
+      parentId: PROFILE_MENU_ID,
+      title: format ? `${profile.name} (${format.label})` : profile.name,
+      contexts: ['image']
+    });
+  }
+}
+
+/**
+ * Rebuilds the profile submenu when profiles are edited on the options page.
+ */
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes.profiles) return;
+  chrome.contextMenus.remove(PROFILE_MENU_ID, () => {
+    void chrome.runtime.lastError; // No profiles before
+    createProfileMenu();
+  });
+});
+
+/**
+ * Creates the "Copy image" parent with JPG, PNG and image address children.
+ */
+function createCopyMenu() {
+  chrome.contextMenus.create({
+    id: COPY_MENU_ID,
+    title: chrome.i18n.getMessage('menuCopyTitle') || 'Copy image',
+    contexts: ['image']
+  });
+
+  const items = {
+    jpg: ['menuCopyJpg', 'As JPG'],
+    png: ['menuCopyPng', 'As PNG'],
+    url: ['menuCopyUrl', 'Image address (full resolution)']
+  };
+  for (const [mode, [messageKey, fallback]] of Object.entries(items)) {
+    chrome.contextMenus.create({
+      id: COPY_MENU_PREFIX + mode,
+      parentId: COPY_MENU_ID,
+      title: chrome.i18n.getMessage(messageKey) || fallback,
+      contexts: ['image']
+    });
+  }
+}
+
+/**
+ * Creates the "Save animated image as JPG" parent with first/middle/chosen frame
+ * and frame-sequence children.
+ */
+function createAnimationMenu() {
+  chrome.contextMenus.create({
+    id: ANIMATION_MENU_ID,
+    title: chrome.i18n.getMessage('menuAnimationTitle') || 'Save animated image as JPG',
+    contexts: ['image']
+  });
+
+  const items = {
+    first: ['menuAnimationFirst', 'First frame'],
+    middle: ['menuAnimationMiddle', 'Middle frame'],
+    pick: ['menuAnimationPick', 'Choose a frame…'],
+    all: ['menuAnimationAll', 'All frames (numbered JPGs)']
+  };
+  for (const [action, [messageKey, fallback]] of Object.entries(items)) {
+    chrome.contextMenus.create({
+      id: ANIMATION_MENU_PREFIX + action,
+      parentId: ANIMATION_MENU_ID,
+      title: chrome.i18n.getMessage(messageKey) || fallback,
+      contexts: ['image']
+    });
+  }
+}
+
+/**
+ * Handles context menu click events by dispatching to the matching action.
+ */
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId === CROP_MENU_ID) {
+    await handleCropImage(info, tab);
+    return;
+  }
+
+  if (info.menuItemId === LINKED_MENU_ID) {
+    await handleSaveLinkedImage(info, tab);
+    return;
+  }
+
+  if (info.menuItemId === VIDEO_MENU_ID) {
+    await handleSaveImage(info, tab, 'jpg');
+    return;
+  }
+
+  if (String(info.menuItemId).startsWith(PROFILE_MENU_PREFIX)) {
+    await handleSaveImage(info, tab, null, info.menuItemId.substring(PROFILE_MENU_PREFIX.length));
+    return;
+  }
+
+  if (String(info.menuItemId).startsWith(COPY_MENU_PREFIX)) {
+    await handleCopyImage(info, tab, info.menuItemId.substring(COPY_MENU_PREFIX.length));
+    return;
+  }
+
+  if (String(info.menuItemId).startsWith(ANIMATION_MENU_PREFIX)) {
+    await handleSaveAnimation(info, tab, info.menuItemId.substring(ANIMATION_MENU_PREFIX.length));
+    return;
+  }
+
+  if (info.menuItemId === VISIBLE_TAB_MENU_ID) {
+    await handleSaveVisibleTab(tab);
+    return;
+  }
+
+  if (info.menuItemId === FULL_PAGE_MENU_ID) {
+    await handleSaveFullPage(tab);
+    return;
+  }
+
+  const batchFormat = getFormatFromMenuId(info.menuItemId, BATCH_MENU_PREFIX);
+  if (batchFormat) {
+    await handleSaveAllImages(info, tab, batchFormat);
+    return;
+  }
+
+  const format = getFormatFromMenuId(info.menuItemId, FORMAT_MENU_PREFIX) ||
+    getFormatFromMenuId(info.menuItemId, ELEMENT_MENU_PREFIX);
+  if (format) {
+    await handleSaveImage(info, tab, format);
+  }
+});
+
+/**
+ * Saves the right-clicked image in the given format.
+ * Attempts to get the highest resolution image URL from content script,
+ * falls back to srcUrl if content script is unavailable.
+ * Backgrounds, inline SVG, canvas and video frames have no usable srcUrl and always come
+ * from the content script.
+ * @param {chrome.contextMenus.OnClickData} info - Context menu click info
+ * @param {chrome.tabs.Tab} tab - Tab in which the click happened
+ * @param {(string|null)} format - Output format key, or null for the quick save format (`outputFormat`,
+ *   which a site profile can set)
+ * @param {string} [profileId] - Site profile chosen for this save instead of the matching one
+ */
+async function handleSaveImage(info, tab, format, profileId) {
+  try {
+    const settings = await getSettings(tab?.url, profileId);
+    format = format || settings.outputFormat;
+    const { source, video } = await resolveClickedImage(info, tab);
+
+    if (video) {
+      await saveVideoFrame(video, source, settings, format, tab, info.frameId ?? 0);
+      return;
+    }
+
+    await upgradeSourceUrl(source, settings);
+    await convertAndDownload(source, settings, format);
+  } catch (error) {
+    console.error('[Save as JPG] Conversion failed:', error);
+    showErrorNotification(error.message, error.retry);
+  }
+}
+
+/**
+ * Resolves the right-clicked image: the highest resolution URL from the content script
+ * (see getBestImageUrl() in content.js), or the context menu URL if the content script is unavailable.
+ * @param {chrome.contextMenus.OnClickData} info - Context menu click info
+ * @param {chrome.tabs.Tab} tab - Tab in which the click happened
+ * @returns {Promise<{source: Object, video: (Object|null)}>} Image URL and page details, plus the
+ *   content script's video details when a video was clicked
+ * @throws {Error} If nothing usable was found under the cursor
+ */
+async function resolveClickedImage(info, tab) {
+  const source = {
+    url: info.srcUrl,
+    pageUrl: tab?.url || info.pageUrl,
+    pageTitle: tab?.title || '',
+    alt: '',
+    incognito: Boolean(tab?.incognito),
+    tabId: tab?.id,
+    frameId: info.frameId ?? 0
+  };
+
+  // Attempt to retrieve high-resolution URL from content script
+  // Skip if tab.id is invalid (e.g., chrome://, edge://, file:// pages)
+  let response = null;
+  if (tab?.id && tab.id !== chrome.tabs.TAB_ID_NONE) {
+    try {
+      // Target the frame that was clicked so other frames can't answer first
+      response = await chrome.tabs.sendMessage(tab.id, {
+        type: 'GET_IMAGE_URL',
+        fallbackUrl: info.srcUrl
+      }, { frameId: info.frameId ?? 0 });
+    } catch (e) {
+      // Content script not available (restricted page or not yet injected)
+      console.warn('[Save as JPG] Content script unavailable, using context menu URL');
+    }
+  }
+
+  if (response?.found && response.kind === 'video') {
+    source.alt = response.alt || '';
+    return { source, video: response };
+  }
+
+  if (response?.found) {
+    source.url = response.url;
+    source.alt = response.alt || '';
+  } else if (response?.error) {
+    throw new Error(response.error);
+  } else if (info.mediaType === 'video') {
+    // srcUrl points at the video file itself, which can't be decoded as an image
+    throw new Error('Video frames can only be captured after the page is reloaded.');
+  }
+
+  if (!source.url) {
+    throw new Error('No image found under the cursor. Reload the page and try again.');
+  }
+  return { source, video: null };
+}
+
+/**
+ * Replaces a thumbnail URL with the full-resolution image when one of its rewrite candidates
+ * (see lib/url-rewrite.js) serves a larger image file than the URL itself. Generic rules can
+ * also lead to a smaller default rendition or a placeholder (e.g. `thumb.php?id=5` without its
+ * `size`), so a candidate that can't be shown to be larger is not used.
+ * @param {Object} source - Image source; `url` is updated in place
+ * @param {Object} settings - User settings (urlRewriteEnabled, urlRewriteRules)
+ */
+async function upgradeSourceUrl(source, settings) {
+  if (!settings.urlRewriteEnabled) return;
+
+  const { rules } = parseRewriteRules(settings.urlRewriteRules);
+  const candidates = getRewriteCandidates(source.url, rules);
+  if (candidates.length === 0) return;
+
+  const originalBytes = await getImageByteSize(source.url);
+  if (!originalBytes) return;
+  for (const candidate of candidates) {
+    if ((await getImageByteSize(candidate) || 0) > originalBytes) {
+      source.url = candidate;
+      return;
+    }
+  }
+}
+
+/**
+ * Reads the file size of an image from the response headers only.
+ * @param {string} url - Image URL
+ * @returns {Promise<number|null>} Content-Length of an image response, or null if the URL does not
+ *   serve an image or does not say how large it is
+ */
+async function getImageByteSize(url) {
+  const headers = await getResponseHeaders(url);
+  if (!(headers?.get('content-type') || '').toLowerCase().startsWith('image/')) return null;
+  const bytes = parseInt(headers.get('content-length'), 10);
+  return bytes > 0 ? bytes : null;
+}
+
+/**
+ * Reads the content type a URL is served with, from the response headers only.
+ * @param {string} url - URL to check
+ * @returns {Promise<string|null>} Lowercase content type ("" if the server sends none), or null if
+ *   the request failed or was refused
+ */
+async function getResponseContentType(url) {
+  const headers = await getResponseHeaders(url);
+  return headers ? (headers.get('content-type') || '').toLowerCase() : null;
+}
+
+/**
+ * Requests a URL's response headers without reading the body.
+ * @param {string} url - URL to check
+ * @returns {Promise<Headers|null>} Headers of a successful response, or null if the request failed
+ *   or was refused
+ */
+async function getResponseHeaders(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), URL_CHECK_TIMEOUT_MS);
+  const init = { referrerPolicy: 'no-referrer', signal: controller.signal };
+
+  try {
+    let response = await fetch(url, { ...init, method: 'HEAD' });
+    if (response.status === 405 || response.status === 501) {
+      // HEAD not allowed: a GET's headers answer the same, and the body is never read
+      response = await fetch(url, init);
+    }
+    return response.ok ? response.headers : null;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+    controller.abort();
+  }
+}
+
+/**
+ * Saves the full-size image a right-clicked link leads to as JPG, e.g. the target of a gallery
+ * thumbnail. Links the content script couldn't verify by file extension or lightbox markup are
+ * checked with a HEAD request and refused if they serve a web page; when the check itself fails,
+ * the download is attempted anyway with the usual fetch fallbacks.
+ * @param {chrome.contextMenus.OnClickData} info - Context menu click info
+ * @param {chrome.tabs.Tab} tab - Tab in which the click happened
+ */
+async function handleSaveLinkedImage(info, tab) {
+  try {
+    const settings = await getSettings(tab?.url);
+    const source = {
+      url: info.linkUrl,
+      pageUrl: tab?.url || info.pageUrl,
+      pageTitle: tab?.title || '',
+      alt: '',
+      incognito: Boolean(tab?.incognito),
+      tabId: tab?.id,
+      frameId: info.frameId ?? 0
+    };
+
+    let verified = false;
+    if (tab?.id && tab.id !== chrome.tabs.TAB_ID_NONE) {
+      try {
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_LINKED_IMAGE' },
+          { frameId: info.frameId ?? 0 });
+        if (response?.found) {
+          source.url = response.url;
+          source.alt = response.alt;
+          verified = response.verified;
+        }
+      } catch {
+        console.warn('[Save as JPG] Content script unavailable, using context menu link');
+      }
+    }
+
+    if (!source.url) throw new Error('No link found under the cursor. Reload the page and try again.');
+    if (!verified && /^(?:text\/html|application\/xhtml\+xml)/.test(await getResponseContentType(source.url))) {
+      throw new Error('The link leads to a web page, not an image.');
+    }
+
+    await convertAndDownload(source, settings, 'jpg');
+  } catch (error) {
+    console.error('[Save as JPG] Linked image save failed:', error);
+    showErrorNotification(error.message, error.retry);
+  }
+}
+
+/**
+ * Copies the right-clicked image to the clipboard, converted like a save (resize, quality and
+ * background color apply), or copies its full-resolution address.
+ * @param {chrome.contextMenus.OnClickData} info - Context menu click info
+ * @param {chrome.tabs.Tab} tab - Tab in which the click happened
+ * @param {string} mode - "jpg", "png" or "url"
+ */
+async function handleCopyImage(info, tab, mode) {
+  try {
+    const settings = await getSettings(tab?.url);
+    const { source, video } = await resolveClickedImage(info, tab);
+    if (video) throw new Error('Use "Save video frame as JPG" to save video frames.');
+
+    await upgradeSourceUrl(source, settings);
+    if (mode === 'url') {
+      await sendClipboardMessage({ type: 'COPY_TEXT', text: source.url });
+      showNotification('Save as JPG - Copied', 'Image address copied to the clipboard.');
+      return;
+    }
+
+    // The clipboard gets the pixels, so a file size limit doesn't apply
+    const output = { ...getOutputOptions(settings, mode), maxBytes: 0 };
+    const result = await convertImage(await fetchImage(source.url, source), settings, output);
+    await copyImageToClipboard(result.blob, tab);
+    showNotification('Save as JPG - Copied',
+      `${output.label} image copied to the clipboard (${result.width}×${result.height}).`);
+  } catch (error) {
+    console.error('[Save as JPG] Copy failed:', error);
+    showErrorNotification(error.message);
+  }
+}
+
+/**
+ * Puts a converted image on the clipboard. Clipboards only hold PNG images, so the offscreen
+ * document re-encodes other formats losslessly (a copied JPG keeps its compression and flattened
+ * background). The offscreen document can't take focus, which the async clipboard API may
+ * require; in that case the clicked tab, focused after the context menu click, writes the PNG.
+ * @param {Blob} blob - Converted image
+ * @param {chrome.tabs.Tab} tab - Tab in which the click happened
+ * @throws {Error} If neither the offscreen document nor the tab could write the clipboard
+ */
+async function copyImageToClipboard(blob, tab) {
+  const response = await sendClipboardMessage({ type: 'COPY_IMAGE', dataUrl: await blobToDataURL(blob) });
+  if (response.copied) return;
+
+  if (!tab?.id || tab.id === chrome.tabs.TAB_ID_NONE) {
+    throw new Error(`The clipboard could not be written: ${response.reason}`);
+  }
+  let written = null;
+  try {
+    written = await chrome.tabs.sendMessage(tab.id, { type: 'WRITE_CLIPBOARD_IMAGE', dataUrl: response.dataUrl },
+      { frameId: 0 });
+  } catch (e) {
+    // Content script not available; reported below
+  }
+  if (!written?.copied) {
+    throw new Error(`The clipboard could not be written: ${written?.error || response.reason}`);
+  }
+}
+
+/**
+ * Sends a clipboard request to the offscreen document, closing the document afterwards if it
+ * was created for this request.
+ * @param {Object} message - COPY_TEXT or COPY_IMAGE message
+ * @returns {Promise<Object>} Response
+ * @throws {Error} If the offscreen document reports an error
+ */
+async function sendClipboardMessage(message) {
+  const documentCreated = await ensureOffscreenDocument();
+
+  try {
+    return await sendOffscreenMessage(message);
+  } finally {
+    if (documentCreated) {
+      try {
+        await chrome.offscreen.closeDocument();
+      } catch (e) {
+        // Document may already be closed, ignore
+      }
+    }
+  }
+}
+
+/**
+ * Saves a video frame captured by the content script.
+ * When the frame is tainted by cross-origin data, the visible tab is captured instead and
+ * cropped to the video's on-screen area (at screen resolution, including any overlays).
+ * Inside frames the video's position in the tab is unknown, so the whole visible tab is saved.
+ * @param {Object} frame - Video details from the content script (url, videoUrl, currentTime, topFrame, visibleArea)
+ * @param {Object} source - Page details for the filename
+ * @param {Object} settings - User settings object
+ * @param {string} format - Output format key
+ * @param {chrome.tabs.Tab} tab - Tab in which the click happened
+ * @param {number} frameId - Frame that contains the video
+ */
+async function saveVideoFrame(frame, source, settings, format, tab, frameId) {
+  source.name = getVideoFrameName(frame.videoUrl, frame.currentTime);
+
+  if (frame.url) {
+    source.url = frame.url;
+    await convertAndDownload(source, settings, format);
+    return;
+  }
+
+  const inTopFrame = frameId === 0 && frame.topFrame;
+  if (inTopFrame && !frame.visibleArea) {
+    throw new Error('This video blocks frame capture. Scroll it into view to capture its visible area instead.');
+  }
+
+  source.url = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+  await convertAndDownload(source, settings, format, inTopFrame ? { crop: frame.visibleArea } : {});
+  showNotification('Save as JPG - Screen capture used',
+    inTopFrame
+      ? 'This video blocks frame capture, so its visible area was saved at screen resolution instead.'
+      : 'This video blocks frame capture, so the visible tab was saved at screen resolution instead.');
+}
+
+/**
+ * Builds the {name} token for a video frame: the video file name plus the playback time,
+ * e.g. "product-demo_00-01-23.456".
+ * @param {string} videoUrl - Video source URL (blob: and data: sources have no usable name)
+ * @param {number} currentTime - Playback position in seconds
+ * @returns {string} File name without extension
+ */
+function getVideoFrameName(videoUrl, currentTime) {
+  const base = /^https?:/i.test(videoUrl || '') ? getUrlBasename(videoUrl) : '';
+  const totalMs = Math.max(0, Math.round((currentTime || 0) * 1000));
+  const pad2 = n => String(n).padStart(2, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const seconds = Math.floor(totalMs / 1000) % 60;
+  const ms = String(totalMs % 1000).padStart(3, '0');
+  return `${base || 'video'}_${pad2(hours)}-${pad2(minutes)}-${pad2(seconds)}.${ms}`;
+}
+
+/**
+ * Saves frames of a right-clicked animated GIF or WebP: the first or middle frame,
+ * every frame as a numbered sequence, or opens the frame picker.
+ * @param {chrome.contextMenus.OnClickData} info - Context menu click info
+ * @param {chrome.tabs.Tab} tab - Tab in which the click happened
+ * @param {string} action - "first", "middle", "pick" or "all"
+ */
+async function handleSaveAnimation(info, tab, action) {
+  try {
+    const settings = await getSettings(tab?.url);
+    const source = await getClickedImageSource(info, tab);
+    await upgradeSourceUrl(source, settings);
+
+    if (action === 'pick') {
+      await openFramePicker(source, settings);
+      return;
+    }
+
+    const blob = await fetchImage(source.url, source);
+    if (action === 'all') {
+      await saveAnimationFrames(blob, source, settings);
+    } else {
+      await saveAnimationFrame(blob, source, settings, action);
+    }
+  } catch (error) {
+    console.error('[Save as JPG] Animated image save failed:', error);
+    showErrorNotification(error.message);
+  }
+}
+
+/**
+ * Builds the source details of a right-clicked <img>. The URL Chrome reports is kept when there
+ * is one, because it is the one that is playing; the content script's srcset upgrade may point
+ * at a still rendition.
+ * @param {chrome.contextMenus.OnClickData} info - Context menu click info
+ * @param {chrome.tabs.Tab} tab - Tab in which the click happened
+ * @returns {Promise<Object>} Image URL and page details
+ * @throws {Error} If no image was found, or a video was clicked
+ */
+async function getClickedImageSource(info, tab) {
+  const { source, video } = await resolveClickedImage(info, tab);
+  if (video) throw new Error('Only animated GIF and WebP images can be saved frame by frame.');
+  if (info.srcUrl) source.url = info.srcUrl;
+  return source;
+}
+
+/**
+ * Opens the frame picker in a popup window. The image details are handed over through
+ * session storage because data: URLs can be too long for the page URL, together with the
+ * background color the frames will be saved on.
+ * @param {Object} source - Image URL and page details
+ * @param {Object} settings - Effective settings for the image's page
+ */
+async function openFramePicker(source, settings) {
+  const key = FRAME_PICKER_KEY_PREFIX + crypto.randomUUID();
+  await chrome.storage.session.set({ [key]: { source, bgColor: settings.bgColor } });
+  await chrome.windows.create({
+    url: `frame-picker.html?key=${encodeURIComponent(key)}`,
+    type: 'popup',
+    width: 760,
+    height: 760
+  });
+}
+
+/**
+ * Saves one frame of an animated image as JPG, named "<file>_<frame number>".
+ * Still images are saved as they are.
+ * @param {Blob} blob - Image data
+ * @param {Object} source - Image URL and page details
+ * @param {Object} settings - User settings object
+ * @param {(number|string)} frame - Frame index or "first", "middle" or "last"
+ */
+async function saveAnimationFrame(blob, source, settings, frame) {
+  const animation = parseAnimation(new Uint8Array(await blob.arrayBuffer()));
+  if (!animation) {
+    await saveConvertedImage(blob, source, settings, 'jpg');
+    return;
+  }
+
+  const frameCount = animation.frames.length;
+  const index = resolveAnimationFrame(frameCount, frame);
+  await saveConvertedImage(blob, { ...source, name: getAnimationFrameName(source.url, index, frameCount) },
+    settings, 'jpg', { frame: index });
+}
+
+/**
+ * Saves every frame of an animated image as a numbered JPG sequence, composited onto the
+ * background color. Frames are rendered once in order; with `zipBatch` they are packaged
+ * into one ZIP archive, otherwise each frame is downloaded on its own. Each frame is added
+ * to the history like a single frame save.
+ * @param {Blob} blob - Image data
+ * @param {Object} source - Image URL and page details
+ * @param {Object} settings - User settings object
+ * @throws {Error} If the image is not animated
+ */
+async function saveAnimationFrames(blob, source, settings) {
+  const animation = parseAnimation(new Uint8Array(await blob.arrayBuffer()));
+  if (!animation) throw new Error('This image is not animated.');
+
+  const output = getOutputOptions(settings, 'jpg');
+  const frameCount = animation.frames.length;
+  const files = [];
+  let overTarget = 0;
+
+  // The source's size counts once for the whole sequence in the history totals
+  const frameBlob = index => index === 0 ? blob : { type: blob.type, size: 0 };
+
+  await renderAnimationFrames(animation, (width, height) => new OffscreenCanvas(width, height), async (canvas, index) => {
+    const frameSource = { ...source, name: getAnimationFrameName(source.url, index, frameCount) };
+    const converted = await convertBitmap(canvas, settings, output, {}, !output.keepAlpha, false);
+    const result = await applyJpegMetadata(converted, null, frameSource, settings, output);
+    if (result.fitsTarget === false) overTarget++;
+
+    if (settings.zipBatch) {
+      files.push({ source: frameSource, result, index });
+    } else {
+      const counter = await reserveFilenameCounter(settings, 1);
+      const filename = getOutputFilename(settings, frameSource, result, output.extension, counter);
+      const downloadId = await downloadBlob(result.blob, filename, settings.saveAs);
+      await recordConversion({ source: frameSource, settings, format: 'jpg', transform: { frame: index },
+        blob: frameBlob(index), result, filename, downloadId });
+    }
+  });
+
+  if (files.length > 0) {
+    const { downloadId, names } = await downloadZipArchive(files, settings, output.extension, source.pageUrl,
+      `${sanitizePathSegment(getAnimationBaseName(source.url), MAX_BASENAME_LENGTH)}_frames.zip`);
+    for (const [i, { source: frameSource, result, index }] of files.entries()) {
+      await recordConversion({ source: frameSource, settings, format: 'jpg', transform: { frame: index },
+        blob: frameBlob(index), result, filename: names[i], downloadId });
+    }
+  }
+
+  const parts = [`Saved ${frameCount} frames`];
+  if (overTarget) parts.push(`${overTarget} above the size limit`);
+  showNotification('Save as JPG - Frames saved', parts.join(', ') + '.');
+}
+
+/**
+ * Builds the {name} token for an animation frame, e.g. "loading_007".
+ * @param {string} imageUrl - Image URL
+ * @param {number} index - Zero-based frame index
+ * @param {number} frameCount - Number of frames (sets the zero padding, at least 3 digits)
+ * @returns {string} File name without extension
+ */
+function getAnimationFrameName(imageUrl, index, frameCount) {
+  const digits = Math.max(3, String(frameCount).length);
+  return `${getAnimationBaseName(imageUrl)}_${String(index + 1).padStart(digits, '0')}`;
+}
+
+/**
+ * Names animation saves after the image file ("animation" for data: and blob: sources).
+ * @param {string} imageUrl - Image URL
+ * @returns {string} Base name
+ */
+function getAnimationBaseName(imageUrl) {
+  return (/^https?:/i.test(imageUrl || '') && getUrlBasename(imageUrl)) || 'animation';
+}
+
+/**
+ * Fetches the frame picker's image the same way a save does (see fetchImage()), so images that
+ * need the page's referrer, cookies or rendered pixels can be previewed too.
+ * @param {{source: Object}} message - GET_ANIMATION_DATA message with the picker's image details
+ * @returns {Promise<{dataUrl: string}|{error: string}>} Image data, or the error
+ */
+async function handleFramePickerLoad(message) {
+  try {
+    return { dataUrl: await blobToDataURL(await fetchImage(message.source.url, message.source)) };
+  } catch (error) {
+    console.error('[Save as JPG] Frame picker load failed:', error);
+    return { error: classifyImageError(error).message };
+  }
+}
+
+/**
+ * Saves a frame chosen in the frame picker page, or all frames.
+ * @param {{type: string, source: Object, frame?: number}} message - SAVE_ANIMATION_FRAME(S) message
+ * @returns {Promise<{saved: boolean}|{error: string}>} Response for the picker page
+ */
+async function handleFramePickerSave(message) {
+  try {
+    const settings = await getSettings(message.source.pageUrl);
+    const blob = await fetchImage(message.source.url, message.source);
+    if (message.type === 'SAVE_ANIMATION_FRAMES') {
+      await saveAnimationFrames(blob, message.source, settings);
+    } else {
+      await saveAnimationFrame(blob, message.source, settings, message.frame);
+    }
+    return { saved: true };
+  } catch (error) {
+    console.error('[Save as JPG] Frame picker save failed:', error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Asks the content script to show the crop overlay on the right-clicked image.
+ * The selection arrives later as a CROP_SELECTED message.
+ * @param {chrome.contextMenus.OnClickData} info - Context menu click info
+ * @param {chrome.tabs.Tab} tab - Tab in which the click happened
+ */
+async function handleCropImage(info, tab) {
+  let response = null;
+  if (tab?.id && tab.id !== chrome.tabs.TAB_ID_NONE) {
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, { type: 'START_CROP' }, { frameId: info.frameId ?? 0 });
+    } catch (e) {
+      // Content script not available (restricted page or not yet injected)
+    }
+  }
+
+  if (!response?.started) {
+    showErrorNotification('Cropping is not available for this image. Reload the page and try again.');
+  }
+}
+
+/**
+ * Saves the image under the pointer when the keyboard shortcut is pressed.
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === SAVE_UNDER_POINTER_COMMAND) await handleSaveUnderPointer(tab);
+});
+
+/**
+ * Asks the tab's frames to save the image under the pointer. Only the frame the pointer is in
+ * answers; it then sends QUICK_SAVE, which goes through the same GET_IMAGE_URL flow as a right-click.
+ * @param {chrome.tabs.Tab} [tab] - Active tab when the shortcut was pressed
+ */
+async function handleSaveUnderPointer(tab) {
+  if (!tab) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  let response = null;
+  if (tab?.id && tab.id !== chrome.tabs.TAB_ID_NONE) {
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, { type: 'SAVE_IMAGE_UNDER_POINTER' });
+    } catch {
+      // No frame answered, or the content script is not available on this page
+    }
+  }
+  if (!response?.found) {
+    showErrorNotification('No image found under the mouse pointer. Point at an image and press the shortcut again.');
+  }
+}
+
+/**
+ * Resolves the hover button and modifier click settings for a page. Both are off on sites
+ * excluded by the quick save site list (or not included in "allow" mode).
+ * @param {string} [pageUrl] - URL of the tab the content script runs in
+ * @returns {Promise<{hoverButton: boolean, minSize: number, modifier: string}>} Page configuration
+ */
+async function getQuickSaveConfig(pageUrl) {
+  const settings = await getSettings(pageUrl);
+  const domains = parseDomainList(settings.quickSaveSites);
+  const listed = Boolean(pageUrl) && domains.length > 0 && matchesDomainList(pageUrl, domains);
+  const enabled = settings.quickSaveSiteMode === 'allow' ? listed : !listed;
+
+  return {
+    hoverButton: enabled && settings.hoverButtonEnabled,
+    minSize: settings.hoverButtonMinSize,
+    modifier: enabled ? settings.quickSaveModifier : 'none'
+  };
+}
+
+/**
+ * Listens for messages sent by content scripts, the frame picker page and the history page.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'CROP_SELECTED' && sender.tab) {
+    handleCropSelected(message, sender.tab, sender.frameId);
+  }
+
+  if (message.type === 'QUICK_SAVE' && sender.tab) {
+    handleSaveImage({ frameId: sender.frameId, pageUrl: sender.url }, sender.tab, null);
+  }
+
+  if (message.type === 'GET_QUICK_SAVE_CONFIG' && sender.tab) {
+    getQuickSaveConfig(sender.tab.url).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'CONTEXT_TARGET') {
+    chrome.contextMenus.update(ELEMENT_MENU_ID, { visible: Boolean(message.visible) }, () => {
+      void chrome.runtime.lastError; // Menu not created yet
+    });
+    chrome.contextMenus.update(LINKED_MENU_ID, { visible: Boolean(message.linkedImage) }, () => {
+      void chrome.runtime.lastError;
+    });
+  }
+
+  if (message.type === 'GET_ANIMATION_DATA' && isExtensionPage(sender, 'frame-picker.html')) {
+    handleFramePickerLoad(message).then(sendResponse);
+    return true;
+  }
+
+  if ((message.type === 'SAVE_ANIMATION_FRAME' || message.type === 'SAVE_ANIMATION_FRAMES') &&
+    isExtensionPage(sender, 'frame-picker.html')) {
+    handleFramePickerSave(message).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'RERUN_HISTORY_ENTRY' && isExtensionPage(sender, 'history.html')) {
+    handleHistoryRerun(message).then(sendResponse);
+    return true;
+  }
+
+  if ((message.type === 'DELETE_HISTORY_ENTRIES' || message.type === 'CLEAR_HISTORY') &&
+    isExtensionPage(sender, 'history.html')) {
+    handleHistoryChange(message).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'SAVE_POPUP_IMAGES' && isExtensionPage(sender, 'popup.html')) {
+    handlePopupSave(message).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'CONVERT_LOCAL_FILE' && isExtensionPage(sender, 'converter.html')) {
+    handleLocalConversion(message).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'SAVE_LOCAL_FILES' && isExtensionPage(sender, 'converter.html')) {
+    handleLocalSave(message).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'PREVIEW_CONVERSION' && isExtensionPage(sender, 'options.html')) {
+    handlePreviewConversion(message).then(sendResponse);
+    return true;
+  }
+});
+
+/**
+ * Checks that a message comes from one of the extension's own pages.
+ * @param {chrome.runtime.MessageSender} sender - Message sender
+ * @param {string} page - Page path, e.g. "history.html"
+ * @returns {boolean} True if the sender is that page
+ */
+function isExtensionPage(sender, page) {
+  return sender.id === chrome.runtime.id && (sender.url || '').startsWith(chrome.runtime.getURL(page));
+}
+
+/**
+ * Saves the region the user selected in the crop overlay as JPG.
+ * The selection is in display pixels; it is converted to fractions of the displayed
+ * image so it maps onto the natural size of whatever resolution is fetched.
+ * @param {Object} message - CROP_SELECTED message (url, alt, selection, displayWidth, displayHeight)
+ * @param {chrome.tabs.Tab} tab - Tab the selection came from
+ * @param {number} frameId - Frame the selection came from
+ */
+async function handleCropSelected(message, tab, frameId) {
+  try {
+    const settings = await getSettings(tab.url);
+    const source = {
+      url: message.url,
+      pageUrl: tab.url,
+      pageTitle: tab.title || '',
+      alt: message.alt || '',
+      incognito: tab.incognito,
+      tabId: tab.id,
+      frameId
+    };
+    const crop = toRelativeCrop(message.selection, message.displayWidth, message.displayHeight);
+    await convertAndDownload(source, settings, 'jpg', { crop });
+  } catch (error) {
+    console.error('[Save as JPG] Cropped save failed:', error);
+    showErrorNotification(error.message, error.retry);
+  }
+}
+
+/**
+ * Converts a selection in display pixels into fractions of the display size.
+ * @param {{x: number, y: number, width: number, height: number}} selection - Selection in display pixels
+ * @param {number} displayWidth - Displayed image width
+ * @param {number} displayHeight - Displayed image height
+ * @returns {{x: number, y: number, width: number, height: number}|null} Relative crop, or null if unknown
+ */
+function toRelativeCrop(selection, displayWidth, displayHeight) {
+  if (!selection || !(displayWidth > 0) || !(displayHeight > 0)) return null;
+  return {
+    x: selection.x / displayWidth,
+    y: selection.y / displayHeight,
+    width: selection.width / displayWidth,
+    height: selection.height / displayHeight
+  };
+}
+
+/**
+ * Saves the visible part of the tab as JPG, at device pixel resolution.
+ * @param {chrome.tabs.Tab} tab - Tab to capture
+ */
+async function handleSaveVisibleTab(tab) {
+  try {
+    const settings = await getSettings(tab?.url);
+    const source = {
+      url: await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' }),
+      pageUrl: tab.url,
+      pageTitle: tab.title || '',
+      alt: '',
+      name: getPageStampName(tab.url),
+      incognito: Boolean(tab.incognito)
+    };
+    await convertAndDownload(source, settings, 'jpg');
+  } catch (error) {
+    console.error('[Save as JPG] Visible tab capture failed:', error);
+    showErrorNotification(error.message);
+  }
+}
+
+/**
+ * Saves the whole page as one JPG by scrolling through it and stitching the screens.
+ * The content script scrolls and hides fixed/sticky elements after the first screen;
+ * each screen is captured here and drawn into a canvas in the offscreen document.
+ * Only the document's own vertical scroll is followed.
+ * @param {chrome.tabs.Tab} tab - Tab to capture
+ */
+async function handleSaveFullPage(tab) {
+  let prepared = false;
+  let documentCreated = false;
+
+  try {
+    if (!tab?.id || tab.id === chrome.tabs.TAB_ID_NONE) {
+      throw new Error('This page cannot be captured');
+    }
+
+    const settings = await getSettings(tab.url);
+    const output = getOutputOptions(settings, 'jpg');
+    let layout;
+    try {
+      layout = await chrome.tabs.sendMessage(tab.id, { type: 'CAPTURE_PREPARE' }, { frameId: 0 });
+    } catch (e) {
+      throw new Error('This page cannot be captured. Reload the page and try again.');
+    }
+    prepared = true;
+
+    // A zero height (e.g. a collapsed or frameset document) gives no screens to capture
+    const isPositive = value => Number.isFinite(value) && value > 0;
+    if (!isPositive(layout?.clientHeight) || !isPositive(layout?.pageHeight)) {
+      throw new Error('This page has no visible height to capture.');
+    }
+
+    const screens = Math.ceil(layout.pageHeight / layout.clientHeight);
+    const truncated = screens > FULL_PAGE_MAX_SCREENS;
+    const pageHeight = Math.min(layout.pageHeight, FULL_PAGE_MAX_SCREENS * layout.clientHeight);
+
+    documentCreated = await ensureOffscreenDocument();
+    await sendOffscreenMessage({ type: 'STITCH_BEGIN', layout: { ...layout, pageHeight }, settings, output });
+
+    let lastCapture = 0;
+    let lastY = -1;
+    for (let i = 0; i < Math.min(screens, FULL_PAGE_MAX_SCREENS); i++) {
+      const { y } = await chrome.tabs.sendMessage(tab.id, {
+        type: 'CAPTURE_SCROLL',
+        y: i * layout.clientHeight,
+        hideFixed: i > 0
+      }, { frameId: 0 });
+      if (y <= lastY) break; // The page stopped scrolling earlier than measured
+
+      const wait = lastCapture + CAPTURE_INTERVAL_MS - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      await assertTabStillActive(tab);
+
+      lastCapture = Date.now();
+      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+      await sendOffscreenMessage({ type: 'STITCH_ADD', dataUrl, y });
+
+      lastY = y;
+      if (y + layout.clientHeight >= pageHeight) break;
+    }
+
+    await chrome.tabs.sendMessage(tab.id, { type: 'CAPTURE_RESTORE' }, { frameId: 0 });
+    prepared = false;
+
+    const stitched = await sendOffscreenMessage({ type: 'STITCH_END' });
+    const source = {
+      url: tab.url,
+      pageUrl: tab.url,
+      pageTitle: tab.title || '',
+      alt: '',
+      name: getPageStampName(tab.url),
+      incognito: Boolean(tab.incognito)
+    };
+    const result = await applyJpegMetadata({
+      blob: await dataURLToBlob(stitched.dataUrl),
+      width: stitched.width,
+      height: stitched.height,
+      quality: stitched.quality,
+      fitsTarget: stitched.fitsTarget
+    }, null, source, settings, output);
+    const counter = await reserveFilenameCounter(settings, 1);
+    const filename = getOutputFilename(settings, source, result, output.extension, counter);
+    const downloadId = await downloadBlob(result.blob, filename, settings.saveAs);
+    // A stitched page has no image address to convert again
+    await recordConversion({ source: { ...source, url: '' }, settings, format: 'jpg', transform: {},
+      blob: { type: 'image/png', size: 0 }, result, filename, downloadId });
+    if (output.maxBytes) showTargetSizeResult(result, settings);
+
+    if (truncated) {
+      showNotification('Save as JPG', `The page is very long; only the first ${FULL_PAGE_MAX_SCREENS} screens were saved.`);
+    }
+  } catch (error) {
+    console.error('[Save as JPG] Full page capture failed:', error);
+    showErrorNotification(error.message);
+  } finally {
+    if (prepared) {
+      chrome.tabs.sendMessage(tab.id, { type: 'CAPTURE_RESTORE' }, { frameId: 0 }).catch(() => {});
+    }
+    if (documentCreated) {
+      try {
+        await chrome.offscreen.closeDocument();
+      } catch (e) {
+        // Document may already be closed, ignore
+      }
+    }
+  }
+}
+
+/**
+ * Makes sure the tab being captured is still the visible one, since
+ * captureVisibleTab always captures whatever tab is active.
+ * @param {chrome.tabs.Tab} tab - Tab being captured
+ * @throws {Error} If the user switched tabs
+ */
+async function assertTabStillActive(tab) {
+  const [active] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+  if (active?.id !== tab.id) {
+    throw new Error('Full page capture was cancelled because the tab was switched.');
+  }
+}
+
+/**
+ * Saves every image on the page that passes the batch filters.
+ * The content script lists the images; each one then goes through fetch -> convert -> download,
+ * and a summary notification is shown at the end.
+ * @param {chrome.contextMenus.OnClickData} info - Context menu click info
+ * @param {chrome.tabs.Tab} tab - Tab in which the click happened
+ * @param {string} format - Output format key
+ */
+async function handleSaveAllImages(info, tab, format) {
+  try {
+    if (!tab?.id || tab.id === chrome.tabs.TAB_ID_NONE) {
+      throw new Error('Images on this page cannot be accessed');
+    }
+
+    const settings = await getSettings(tab?.url);
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_ALL_IMAGES' }, { frameId: info.frameId ?? 0 });
+    } catch (e) {
+      throw new Error('Images on this page cannot be accessed');
+    }
+
+    const images = filterPageImages(response?.images || [], settings);
+    if (images.length === 0) {
+      showNotification('Save as JPG', 'No images on this page match the batch filters.');
+      return;
+    }
+
+    const summary = await saveImageBatch(images, settings, format,
+      { url: tab.url, title: tab.title, tabId: tab.id, frameId: info.frameId ?? 0, incognito: Boolean(tab.incognito) });
+    showBatchSummary(summary);
+  } catch (error) {
+    console.error('[Save as JPG] Batch save failed:', error);
+    showErrorNotification(error.message);
+  }
+}
+
+/**
+ * Saves the images picked in the toolbar popup, without the batch filters, and reports each
+ * image's progress back to the popup as POPUP_SAVE_PROGRESS messages.
+ * @param {{tabId: number, batchId: string, format: string,
+ *   images: Array<{id: string, url: string, naturalWidth: number, naturalHeight: number, alt: string}>}} message -
+ *   SAVE_POPUP_IMAGES message
+ * @returns {Promise<{summary: Object}|{error: string}>} Batch counters, or the error that stopped the batch
+ */
+async function handlePopupSave(message) {
+  try {
+    const tab = await chrome.tabs.get(message.tabId);
+    const settings = await getSettings(tab.url);
+    const format = OUTPUT_FORMATS[message.format] ? message.format : 'jpg';
+    const images = (message.images || []).filter(image => /^(https?|data):/i.test(image?.url || ''));
+    if (images.length === 0) throw new Error('No images selected');
+
+    const reportProgress = (index, state, error) => {
+      chrome.runtime.sendMessage({ type: 'POPUP_SAVE_PROGRESS', batchId: message.batchId, id: images[index].id, state, error })
+        .catch(() => {}); // The popup was closed; the batch carries on
+    };
+    const summary = await saveImageBatch(images, settings, format,
+      { url: tab.url, title: tab.title, tabId: tab.id, frameId: 0, incognito: Boolean(tab.incognito) },
+      { applyFilters: false, onProgress: reportProgress });
+    showBatchSummary(summary);
+    return { summary };
+  } catch (error) {
+    console.error('[Save as JPG] Popup save failed:', error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Maps a context menu item ID to its output format key.
+ * @param {string|number} menuItemId - Clicked menu item ID
+ * @param {string} prefix - Menu ID prefix that precedes the format key
+ * @returns {string|null} Format key (e.g. "png"), or null if not a format item
+ */
+function getFormatFromMenuId(menuItemId, prefix) {
+  if (typeof menuItemId !== 'string' || !menuItemId.startsWith(prefix)) return null;
+  const format = menuItemId.slice(prefix.length);
+  return OUTPUT_FORMATS[format] ? format : null;
+}
+
+/**
+ * Displays a basic notification to the user.
+ * @param {string} title - Notification title
+ * @param {string} message - Notification body
+ */
+function showNotification(title, message) {
+  // Use basic notification API if available
+  if (chrome.notifications) {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/48.png',
+      title,
+      message
+    });
+  }
+}
+
+/**
+ * Displays an error notification to the user, with a "Retry" button when the failed save can be
+ * repeated. The save is kept in session storage, so the button works after the service worker restarts.
+ * @param {string} message - Error message to display
+ * @param {{source: Object, settings: Object, format: string, transform: Object}} [retry] - Failed save
+ */
+function showErrorNotification(message, retry) {
+  const title = 'Save as JPG - Error';
+  message = message || 'Failed to convert image. Please try again.';
+  if (!retry || !chrome.notifications) {
+    showNotification(title, message);
+    return;
+  }
+
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/48.png',
+    title,
+    message,
+    buttons: [{ title: chrome.i18n.getMessage('notificationRetry') || 'Retry' }]
+  }, notificationId => {
+    const { profiles, ...settings } = retry.settings;
+    chrome.storage.session.set({ [RETRY_KEY_PREFIX + notificationId]: { ...retry, settings } });
+  });
+}
+
+/**
+ * Repeats a failed save when its notification's "Retry" button is clicked.
+ */
+chrome.notifications?.onButtonClicked.addListener(async (notificationId) => {
+  const key = RETRY_KEY_PREFIX + notificationId;
+  const { [key]: retry } = await chrome.storage.session.get(key);
+  chrome.notifications.clear(notificationId);
+  if (!retry) return;
+
+  try {
+    await convertAndDownload(retry.source, retry.settings, retry.format, retry.transform);
+  } catch (error) {
+    console.error('[Save as JPG] Retry failed:', error);
+    showErrorNotification(error.message, error.retry);
+  }
+});
+
+/**
+ * Forgets the save behind a closed error notification.
+ */
+chrome.notifications?.onClosed.addListener((notificationId) => {
+  chrome.storage.session.remove(RETRY_KEY_PREFIX + notificationId);
+});
+
+/**
+ * Displays the outcome of a batch save.
+ * @param {{total: number, saved: number, skipped: number, failed: number, overTarget: number}} summary - Batch counters
+ */
+function showBatchSummary(summary) {
+  const parts = [`Saved ${summary.saved} of ${summary.total} images`];
+  if (summary.skipped) parts.push(`${summary.skipped} skipped by filters`);
+  if (summary.failed) parts.push(`${summary.failed} failed`);
+  if (summary.overTarget) parts.push(`${summary.overTarget} above the size limit`);
+  showNotification('Save as JPG - Batch complete', parts.join(', ') + '.');
+}
+
+/**
+ * Retrieves the effective settings (see readSettings()), with a site profile applied on top.
+ * Missing or invalid values fall back to policy presets and DEFAULT_SETTINGS, and a profile never
+ * overrides a value locked by policy. Without `profileId`, the first profile whose domains match
+ * `pageUrl` is used; `profileId` "default" (or an unknown ID) uses no profile.
+ * @param {string} [pageUrl] - URL of the page the save happens on
+ * @param {string} [profileId] - Profile chosen for this save
+ * @returns {Promise<Object>} Settings object with every key of DEFAULT_SETTINGS, plus `profileName`
+ *   when a profile applies
+ */
+async function getSettings(pageUrl, profileId) {
+  const { settings, locked } = await readSettings();
+
+  const profile = profileId
+    ? settings.profiles.find(item => item.id === profileId)
+    : findSiteProfile(settings.profiles, pageUrl);
+  if (!profile) return settings;
+
+  for (const key of PROFILE_SETTING_KEYS) {
+    if (profile.settings?.[key] !== undefined && !locked.includes(key)) settings[key] = profile.settings[key];
+  }
+  settings.profileName = profile.name;
+  return settings;
+}
+
+/**
+ * Finds the first profile whose domain list matches a page (the domain or any subdomain).
+ * @param {Array<{domains: string}>} profiles - Site profiles in priority order
+ * @param {string} [pageUrl] - Page URL
+ * @returns {Object|undefined} Matching profile
+ */
+function findSiteProfile(profiles, pageUrl) {
+  if (!pageUrl) return undefined;
+  return profiles.find(profile => {
+    const domains = parseDomainList(profile.domains);
+    return domains.length > 0 && matchesDomainList(pageUrl, domains);
+  });
+}
+
+/**
+ * Resolves the encoder options for an output format from user settings.
+ * JPEG quality is stored as `quality` for compatibility with earlier versions;
+ * other formats use `<format>Quality` and `<format>KeepAlpha` keys.
+ * @param {Object} settings - User settings object
+ * @param {string} format - Output format key (e.g. "webp")
+ * @returns {{mimeType: string, extension: string, label: string, quality: (number|undefined), keepAlpha: boolean,
+ *   jpegEncoder: (Object|null)}}
+ */
+function getOutputOptions(settings, format) {
+  const spec = OUTPUT_FORMATS[format] || OUTPUT_FORMATS.jpg;
+  let quality;
+  if (spec.lossy) {
+    quality = spec.extension === 'jpg' ? settings.quality : settings[spec.extension + 'Quality'];
+  }
+  const keepAlpha = spec.alpha && settings[spec.extension + 'KeepAlpha'] !== false;
+
+  return {
+    mimeType: spec.mimeType,
+    extension: spec.extension,
+    label: spec.label,
+    lossy: spec.lossy,
+    quality,
+    keepAlpha,
+    maxBytes: getTargetByteLimit(settings, spec),
+    allowResize: settings.targetSizeResize,
+    jpegEncoder: getJpegEncoderOptions(settings, spec)
+  };
+}
+
+/**
+ * Resolves the built-in JPEG encoder options, used instead of the browser's encoder
+ * when the user picks it. Quality is added per encode.
+ * @param {Object} settings - User settings object
+ * @param {Object} spec - Output format from OUTPUT_FORMATS
+ * @returns {{subsampling: string, progressive: boolean, optimizeHuffman: boolean, restartInterval: number}|null}
+ *   Encoder options, or null to use the browser's encoder
+ */
+function getJpegEncoderOptions(settings, spec) {
+  if (spec.extension !== 'jpg' || settings.jpegEncoder !== 'builtin') return null;
+
+  return {
+    subsampling: settings.jpegSubsampling,
+    progressive: settings.jpegProgressive,
+    optimizeHuffman: settings.jpegOptimizeHuffman,
+    restartInterval: settings.jpegRestartInterval
+  };
+}
+
+/**
+ * Computes the byte limit for "target file size" mode.
+ * For JPG, room is left for the metadata that is inserted after encoding.
+ * @param {Object} settings - User settings object
+ * @param {{extension: string}} spec - Output format from OUTPUT_FORMATS or getOutputOptions()
+ * @param {number} [exifBytes=0] - Size of the source EXIF segment that will be kept
+ * @returns {number|undefined} Byte limit, or undefined in fixed quality mode
+ */
+function getTargetByteLimit(settings, spec, exifBytes = 0) {
+  if (settings.qualityMode !== 'target') return undefined;
+
+  let maxBytes = settings.targetSizeKB * 1024;
+  if (spec.extension === 'jpg') {
+    if (settings.metadataEnabled) maxBytes -= XMP_SIZE_ALLOWANCE;
+    maxBytes -= exifBytes;
+  }
+  return Math.max(1024, maxBytes);
+}
+
+/**
+ * Main conversion pipeline: fetch -> convert -> download.
+ * @param {{url: string, pageUrl: string, pageTitle: string, alt: string, name?: string}} source - Image URL and page details
+ * @param {Object} settings - User settings object
+ * @param {string} [format='jpg'] - Output format key
+ * @param {Object} [transform] - Per-save transforms passed to convertImage() (e.g. crop)
+ */
+async function convertAndDownload(source, settings, format = 'jpg', transform = {}) {
+  let blob;
+  try {
+    blob = await fetchImage(source.url, source);
+  } catch (error) {
+    await recordConversion({ source, settings, format, transform, error });
+    // Downloads can fail for reasons that pass (timeouts, signing in), so the error offers a retry
+    if (!source.url.startsWith('data:')) error.retry = { source, settings, format, transform };
+    throw error;
+  }
+  await saveConvertedImage(blob, source, settings, format, transform);
+}
+
+/**
+ * Converts already fetched image data and downloads it.
+ * @param {Blob} blob - Image data
+ * @param {Object} source - Image URL and page details
+ * @param {Object} settings - User settings object
+ * @param {string} [format='jpg'] - Output format key
+ * @param {Object} [transform] - Per-save transforms passed to convertImage()
+ */
+async function saveConvertedImage(blob, source, settings, format = 'jpg', transform = {}) {
+  const output = getOutputOptions(settings, format);
+  let result;
+  try {
+    result = await convertImageWithMetadata(blob, source, settings, output, transform);
+    const counter = await reserveFilenameCounter(settings, 1);
+    const filename = getOutputFilename(settings, source, result, output.extension, counter);
+    const downloadId = await downloadBlob(result.blob, filename, settings.saveAs);
+    await recordConversion({ source, settings, format, transform, blob, result, filename, downloadId });
+  } catch (error) {
+    const classified = classifyImageError(error);
+    await recordConversion({ source, settings, format, transform, blob, error: classified });
+    throw classified;
+  }
+
+  if (output.maxBytes) showTargetSizeResult(result, settings);
+}
+
+/**
+ * Adds a saved (or failed) image to the conversion history, unless history is turned off or the
+ * image came from an incognito tab. Every download is recorded, images in ZIP archives one by one;
+ * clipboard copies are not, as they leave no file to show or convert again. A history failure
+ * never fails the save.
+ * @param {Object} details - What happened
+ * @param {Object} details.source - Image URL and page details
+ * @param {Object} details.settings - Settings the conversion used
+ * @param {string} details.format - Output format key
+ * @param {Object} details.transform - Crop or frame
+ * @param {(Blob|{type: string, size: number})} [details.blob] - Source image (only its type and size are kept)
+ * @param {Object} [details.result] - Converted image from convertImage()
+ * @param {string} [details.filename] - Download path (the path inside the archive for images in a ZIP archive)
+ * @param {number} [details.downloadId] - chrome.downloads ID
+ * @param {Error} [details.error] - Why the conversion failed
+ */
+async function recordConversion({ source, settings, format, transform, blob = null, result = null, filename = '',
+  downloadId = null, error = null }) {
+  if (!settings.historyEnabled || source.incognito) return;
+
+  try {
+    const url = source.url || '';
+    const { profiles, ...usedSettings } = settings;
+    await addHistoryEntry({
+      id: crypto.randomUUID(),
+      date: Date.now(),
+      thumbnail: result ? await createHistoryThumbnail(result.blob) : null,
+      // data: URLs can be megabytes long; they are not kept
+      sourceUrl: url.startsWith('data:') ? '' : url,
+      pageUrl: source.pageUrl || '',
+      pageTitle: source.pageTitle || '',
+      alt: source.alt || '',
+      name: source.name,
+      transform,
+      sourceFormat: blob ? getSourceFormat(blob.type) : (guessSourceFormat(url) || 'other'),
+      sourceBytes: blob ? blob.size : 0,
+      format,
+      outputBytes: result ? result.blob.size : 0,
+      width: result ? result.width : 0,
+      height: result ? result.height : 0,
+      filename,
+      settings: usedSettings,
+      downloadId,
+      error: error ? error.message : undefined
+    });
+  } catch (e) {
+    console.warn('[Save as JPG] History entry could not be stored:', e);
+  }
+}
+
+/**
+ * Creates the small WebP thumbnail stored with a history entry.
+ * @param {Blob} blob - Converted image
+ * @returns {Promise<string|null>} Data URL, or null if the image can't be drawn here
+ */
+async function createHistoryThumbnail(blob) {
+  if (typeof OffscreenCanvas === 'undefined') return null;
+
+  try {
+    const bitmap = await createImageBitmap(blob);
+    try {
+      const scale = Math.min(1, HISTORY_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+      const canvas = new OffscreenCanvas(Math.max(1, Math.round(bitmap.width * scale)),
+        Math.max(1, Math.round(bitmap.height * scale)));
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      return await blobToDataURL(await canvas.convertToBlob({ type: 'image/webp', quality: 0.8 }));
+    } finally {
+      bitmap.close();
+    }
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Converts a history entry's image again, with the settings it used and the changes made on
+ * the history page (format, quality, background color). The stored settings and the changes are
+ * validated like saved settings, since local storage can be edited outside the extension's pages.
+ * Values locked by policy always apply.
+ * @param {{id: string, format: string, quality?: number, bgColor?: string}} message - RERUN_HISTORY_ENTRY message
+ * @returns {Promise<{saved: boolean}|{error: string}>} Response for the history page
+ */
+async function handleHistoryRerun(message) {
+  try {
+    const entry = (await getHistoryEntries()).find(item => item.id === message.id);
+    if (!entry) throw new Error('This history entry no longer exists.');
+    if (!entry.sourceUrl) throw new Error('Images from data: URLs are not kept and cannot be converted again.');
+
+    const format = [message.format, entry.format].find(key => OUTPUT_FORMATS[key]) || 'jpg';
+    const current = await getSettings(entry.pageUrl);
+    const settings = { ...current, ...sanitizeSettings(entry.settings).settings };
+
+    const bgColor = validateSetting('bgColor', message.bgColor);
+    if (!bgColor.error) settings.bgColor = bgColor.value;
+    if (message.quality !== undefined && OUTPUT_FORMATS[format].lossy) {
+      const qualityKey = format === 'jpg' ? 'quality' : format + 'Quality';
+      const quality = validateSetting(qualityKey, message.quality);
+      if (quality.error) throw new Error(quality.error);
+      settings[qualityKey] = quality.value;
+      settings.qualityMode = 'fixed';
+    }
+    // Values locked by policy apply even when the entry was recorded before they were locked
+    const { locked } = await readSettings();
+    for (const key of locked) settings[key] = current[key];
+
+    const source = {
+      url: entry.sourceUrl,
+      pageUrl: entry.pageUrl,
+      pageTitle: entry.pageTitle,
+      alt: entry.alt,
+      name: entry.name
+    };
+    await convertAndDownload(source, settings, format, entry.transform || {});
+    return { saved: true };
+  } catch (error) {
+    console.error('[Save as JPG] History re-run failed:', error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Removes history entries, or the whole history, for the history page. The service worker makes
+ * every change to the list, so a removal can't overlap a save that adds an entry.
+ * @param {{type: string, ids?: string[]}} message - DELETE_HISTORY_ENTRIES or CLEAR_HISTORY message
+ * @returns {Promise<{done: boolean}|{error: string}>} Response for the history page
+ */
+async function handleHistoryChange(message) {
+  try {
+    if (message.type === 'CLEAR_HISTORY') {
+      await clearHistory();
+    } else {
+      await removeHistoryEntries((message.ids || []).filter(id => typeof id === 'string'));
+    }
+    return { done: true };
+  } catch (error) {
+    console.error('[Save as JPG] History update failed:', error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Converts a file from the local file converter page with the user's settings (no site profile),
+ * through the same conversion and metadata path as images saved from the web.
+ * @param {{dataUrl: string, name: string, format: string}} message - CONVERT_LOCAL_FILE message
+ * @returns {Promise<Object>} Converted image ({dataUrl, width, height, quality, fitsTarget}), or {error}
+ */
+async function handleLocalConversion(message) {
+  try {
+    const settings = await getSettings();
+    const output = getOutputOptions(settings, OUTPUT_FORMATS[message.format] ? message.format : 'jpg');
+    const blob = await dataURLToBlob(message.dataUrl);
+    const source = { url: '', pageUrl: '', pageTitle: '', alt: '', name: getLocalFileBasename(message.name) };
+
+    const result = await convertImageWithMetadata(blob, source, settings, output);
+    return {
+      dataUrl: await blobToDataURL(result.blob),
+      width: result.width,
+      height: result.height,
+      quality: result.quality,
+      fitsTarget: result.fitsTarget
+    };
+  } catch (error) {
+    console.error('[Save as JPG] Local file conversion failed:', error);
+    return { error: classifyImageError(error).message };
+  }
+}
+
+/**
+ * Downloads files converted on the local file converter page, named by the filename template,
+ * and adds them to the history. Several files are bundled into one ZIP archive when ZIP bundling is on.
+ * @param {{format: string, files: Array<{name: string, type: string, size: number, dataUrl: string, width: number,
+ *   height: number}>}} message - SAVE_LOCAL_FILES message (type and size are those of the original file)
+ * @returns {Promise<{saved: number}|{error: string}>} Number of files saved, or the error
+ */
+async function handleLocalSave(message) {
+  try {
+    const settings = await getSettings();
+    const output = getOutputOptions(settings, OUTPUT_FORMATS[message.format] ? message.format : 'jpg');
+    const format = output.extension;
+    const files = [];
+    for (const file of message.files || []) {
+      files.push({
+        source: { url: '', pageUrl: '', pageTitle: '', alt: '', name: getLocalFileBasename(file.name) },
+        original: { type: String(file.type || ''), size: Number(file.size) || 0 },
+        result: { blob: await dataURLToBlob(file.dataUrl), width: file.width, height: file.height }
+      });
+    }
+    if (files.length === 0) throw new Error('No converted files to save');
+
+    if (files.length > 1 && settings.zipBatch) {
+      const { downloadId, names } = await downloadZipArchive(files, settings, output.extension, undefined,
+        `converted_${formatTimestamp(new Date())}.zip`);
+      for (const [i, { source, original, result }] of files.entries()) {
+        await recordConversion({ source, settings, format, transform: {}, blob: original, result, filename: names[i],
+          downloadId });
+      }
+    } else {
+      const firstCounter = await reserveFilenameCounter(settings, files.length);
+      for (const [i, { source, original, result }] of files.entries()) {
+        const counter = firstCounter === undefined ? undefined : firstCounter + i;
+        const filename = getOutputFilename(settings, source, result, output.extension, counter);
+        const downloadId = await downloadBlob(result.blob, filename, settings.saveAs);
+        await recordConversion({ source, settings, format, transform: {}, blob: original, result, filename, downloadId });
+      }
+    }
+    return { saved: files.length };
+  } catch (error) {
+    console.error('[Save as JPG] Local file save failed:', error);
+    return { error: error.message };
+  }
+}
 
-/** @type {Promise|null} Mutex for offscreen document creation */
-let offscreenDocumentCreating = null;
+/**
+ * Encodes the options page's preview image with the settings being edited (not yet saved),
+ * so the preview shows exactly what the encoder produces. Resizing and the maximum file size
+ * search are left out: they depend on the size of the real image, not the preview's.
+ * Invalid edited values are left out and values locked by policy always apply, as on a save.
+ * @param {{dataUrl: string, format: string, settings: Object}} message - PREVIEW_CONVERSION message
+ * @returns {Promise<{dataUrl: string, bytes: number}|{error: string}>} Encoded image and its size, or the error
+ */
+async function handlePreviewConversion(message) {
+  try {
+    const { settings: current, locked } = await readSettings();
+    const settings = { ...current, ...sanitizeSettings(message.settings).settings };
+    for (const key of locked) settings[key] = current[key];
+    settings.resizeMode = 'none';
+    settings.qualityMode = 'fixed';
+    const output = getOutputOptions(settings, OUTPUT_FORMATS[message.format] ? message.format : 'jpg');
+    const result = await convertImage(await dataURLToBlob(message.dataUrl), settings, output);
+    return { dataUrl: await blobToDataURL(result.blob), bytes: result.blob.size };
+  } catch (error) {
+    console.error('[Save as JPG] Preview conversion failed:', error);
+    return { error: classifyImageError(error).message };
+  }
+}
 
 /**
- * Creates the context menu item when the extension is installed or updated.
+ * Strips the extension from a local file name for the {name} filename token.
+ * @param {string} name - File name, e.g. "logo.svg"
+ * @returns {string} Base name, e.g. "logo"
  */
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.contextMenus.create({
-    id: MENU_ID,
-    title: chrome.i18n.getMessage('menuTitle') || 'Save image as JPG',
-    contexts: ['image']
-  });
-});
+function getLocalFileBasename(name) {
+  const base = String(name || '').replace(/\.[^.]*$/, '');
+  return base || String(name || '');
+}
 
 /**
- * Handles context menu click events.
- * Attempts to get the highest resolution image URL from content script,
- * falls back to srcUrl if content script is unavailable.
+ * Reports the outcome of a "target file size" save: achieved quality, size and dimensions.
+ * @param {{blob: Blob, width: number, height: number, quality: (number|undefined), fitsTarget: boolean}} result - Conversion result
+ * @param {Object} settings - User settings object
  */
-chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-  if (info.menuItemId !== MENU_ID) return;
+function showTargetSizeResult(result, settings) {
+  const size = formatByteSize(result.blob.size);
+  const target = formatByteSize(settings.targetSizeKB * 1024);
+  const quality = result.quality === undefined ? '' : ` at ${Math.round(result.quality * 100)}% quality`;
+  const dimensions = `${result.width}×${result.height}`;
+
+  if (result.fitsTarget) {
+    showNotification('Save as JPG - Target size', `Saved ${size}${quality}, ${dimensions} (limit ${target}).`);
+  } else {
+    showNotification('Save as JPG - Target size not reached',
+      `The smallest result was ${size}${quality}, ${dimensions}, above the ${target} limit.`);
+  }
+}
+
+/**
+ * Converts an image and writes the optional metadata into it. In target file size mode the
+ * limit leaves room for the source's EXIF block when it is kept.
+ * @param {Blob} blob - Image data
+ * @param {Object} source - Image URL and page details
+ * @param {Object} settings - User settings object
+ * @param {Object} output - Encoder options from getOutputOptions()
+ * @param {Object} [transform] - Per-save transforms passed to convertImage()
+ * @returns {Promise<Object>} Conversion result from convertImage(), with metadata
+ */
+async function convertImageWithMetadata(blob, source, settings, output, transform = {}) {
+  const exif = await readSourceExif(blob, settings, output);
+  // The EXIF segment is its payload plus the marker and length bytes
+  const encoderOutput = exif && output.maxBytes
+    ? { ...output, maxBytes: getTargetByteLimit(settings, output, exif.length + 4) }
+    : output;
+  return applyJpegMetadata(await convertImage(blob, settings, encoderOutput, transform), exif, source, settings, output);
+}
+
+/**
+ * Reads the EXIF block to carry over from a JPEG source, when the user keeps EXIF and
+ * the output is JPEG.
+ * @param {Blob} blob - Original image
+ * @param {Object} settings - User settings object
+ * @param {Object} output - Encoder options from getOutputOptions()
+ * @returns {Promise<Uint8Array|null>} EXIF payload, or null
+ */
+async function readSourceExif(blob, settings, output) {
+  if (output.mimeType !== 'image/jpeg' || !settings.keepExif || getSourceFormat(blob.type) !== 'jpeg') return null;
+  return extractJpegExif(new Uint8Array(await blob.slice(0, EXIF_SCAN_BYTES).arrayBuffer()));
+}
+
+/**
+ * Writes the optional metadata into a converted JPEG: an XMP record of the source and page URL,
+ * capture date, artist and copyright, and/or the EXIF block of a JPEG source.
+ * Other output formats, and JPEGs when both options are off, are returned unchanged.
+ * Metadata problems never fail the save; the image is kept without metadata.
+ * @param {{blob: Blob, width: number, height: number}} result - Conversion result
+ * @param {Uint8Array|null} exif - Source EXIF from readSourceExif(), or null for screenshots
+ * @param {Object} source - Image URL and page details
+ * @param {Object} settings - User settings object
+ * @param {Object} output - Encoder options from getOutputOptions()
+ * @returns {Promise<{blob: Blob, width: number, height: number}>} Result with metadata
+ */
+async function applyJpegMetadata(result, exif, source, settings, output) {
+  if (output.mimeType !== 'image/jpeg' || (!settings.metadataEnabled && !settings.keepExif)) return result;
 
   try {
-    const settings = await getSettings();
-    let imageUrl = info.srcUrl;
+    if (exif) normalizeExifBlock(exif, result.width, result.height);
 
-    // Attempt to retrieve high-resolution URL from content script
-    // Skip if tab.id is invalid (e.g., chrome://, edge://, file:// pages)
-    if (tab?.id && tab.id !== chrome.tabs.TAB_ID_NONE) {
-      try {
-        const response = await chrome.tabs.sendMessage(tab.id, {
-          type: 'GET_IMAGE_URL',
-          fallbackUrl: info.srcUrl
-        });
+    const xmp = settings.metadataEnabled
+      ? buildXmpPacket({
+        sourceUrl: source.url,
+        pageUrl: source.pageUrl,
+        date: new Date(),
+        artist: settings.metadataArtist.trim(),
+        copyright: settings.metadataCopyright.trim()
+      })
+      : null;
+    if (!exif && !xmp) return result;
 
-        if (response?.found) {
-          imageUrl = response.url;
+    const bytes = insertJpegMetadata(new Uint8Array(await result.blob.arrayBuffer()), { exif, xmp });
+    return { ...result, blob: new Blob([bytes], { type: 'image/jpeg' }) };
+  } catch (error) {
+    console.warn('[Save as JPG] Metadata could not be written:', error);
+    return result;
+  }
+}
+
+/**
+ * Renders the download path for a converted image from the user's filename template.
+ * @param {Object} settings - User settings object
+ * @param {Object} source - Image URL, page URL/title, alt text and optional {name} override
+ * @param {{width: number, height: number}} result - Conversion result (output dimensions)
+ * @param {string} extension - Output file extension
+ * @param {number} [counter] - Value for the {counter} token
+ * @returns {string} Relative download path
+ */
+function getOutputFilename(settings, source, result, extension, counter) {
+  return renderFilenameTemplate(settings.filenameTemplate, {
+    url: source.url,
+    name: source.name,
+    pageUrl: source.pageUrl,
+    pageTitle: source.pageTitle,
+    alt: source.alt,
+    width: result.width,
+    height: result.height,
+    counter,
+    extension
+  });
+}
+
+/**
+ * Reserves consecutive values of the persistent {counter} token.
+ * Does nothing when the template doesn't use the counter.
+ * @param {Object} settings - User settings object
+ * @param {number} count - Number of values to reserve
+ * @returns {Promise<number|undefined>} First reserved value, or undefined if unused
+ */
+async function reserveFilenameCounter(settings, count) {
+  if (!templateUsesCounter(settings.filenameTemplate) || count < 1) return undefined;
+
+  const reservation = filenameCounterLock.then(async () => {
+    const { filenameCounter = 0 } = await chrome.storage.local.get('filenameCounter');
+    await chrome.storage.local.set({ filenameCounter: filenameCounter + count });
+    return filenameCounter + 1;
+  });
+  // Keep the chain alive even if one reservation fails
+  filenameCounterLock = reservation.catch(() => {});
+  return await reservation;
+}
+
+/**
+ * Applies the batch filters that can be checked before fetching:
+ * URL scheme, duplicates, known natural size, domain, and format guessed from the URL.
+ * Images whose size or format is unknown are kept and re-checked after fetching.
+ * @param {Array<{url: string, naturalWidth: number, naturalHeight: number}>} images - Images reported by the content script
+ * @param {Object} settings - User settings object
+ * @returns {Array<Object>} Images worth fetching
+ */
+function filterPageImages(images, settings) {
+  const seen = new Set();
+  const domains = parseDomainList(settings.batchDomains);
+  const result = [];
+
+  for (const image of images) {
+    if (!image?.url || !/^(https?|data):/i.test(image.url)) continue;
+
+    // Fragments never change the fetched resource
+    const key = image.url.split('#')[0];
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    if (image.naturalWidth && image.naturalHeight && !meetsMinimumSize(image.naturalWidth, image.naturalHeight, settings)) {
+      continue;
+    }
+    if (domains.length > 0 && !matchesDomainList(image.url, domains)) continue;
+
+    const guessedFormat = guessSourceFormat(image.url);
+    if (guessedFormat && !settings.batchFormats.includes(guessedFormat)) continue;
+
+    result.push(image);
+  }
+  return result;
+}
+
+/**
+ * Fetches, converts, and downloads a list of images with limited concurrency.
+ * Format and size filters are re-checked on the fetched data for images whose
+ * URL or page element didn't reveal them. With `zipBatch` enabled, two or more
+ * converted images are downloaded as a single ZIP archive instead of one file each.
+ * Every saved or failed image is added to the history; images skipped by the filters are not.
+ * @param {Array<Object>} images - Filtered images from filterPageImages()
+ * @param {Object} settings - User settings object
+ * @param {string} format - Output format key
+ * @param {{url: string, title: string, tabId: number, frameId: number, incognito: boolean}} page - Page the
+ *   images came from
+ * @param {Object} [options] - Batch options
+ * @param {boolean} [options.applyFilters=true] - Re-check the batch format and size filters
+ *   (off for images the user picked one by one)
+ * @param {function(number, string, string=): void} [options.onProgress] - Called with an image's index
+ *   and "working", "saved", "skipped" or "failed" (plus the error message)
+ * @returns {Promise<{total: number, saved: number, skipped: number, failed: number}>} Batch counters
+ */
+async function saveImageBatch(images, settings, format, page, { applyFilters = true, onProgress = () => {} } = {}) {
+  const output = getOutputOptions(settings, format);
+  const summary = { total: images.length, saved: 0, skipped: 0, failed: 0, overTarget: 0 };
+  const converted = [];
+  const transform = {};
+
+  await mapWithConcurrency(images, BATCH_CONCURRENCY, async (image, index) => {
+    const source = {
+      url: image.url,
+      pageUrl: page.url,
+      pageTitle: page.title,
+      alt: image.alt,
+      incognito: page.incognito
+    };
+    let blob = null;
+    try {
+      onProgress(index, 'working');
+      blob = await fetchImage(image.url, { pageUrl: page.url, tabId: page.tabId, frameId: page.frameId });
+
+      if (applyFilters && !settings.batchFormats.includes(getSourceFormat(blob.type))) {
+        summary.skipped++;
+        onProgress(index, 'skipped');
+        return;
+      }
+      if (applyFilters && (!image.naturalWidth || !image.naturalHeight)) {
+        const size = await getImageSize(blob);
+        if (size && !meetsMinimumSize(size.width, size.height, settings)) {
+          summary.skipped++;
+          onProgress(index, 'skipped');
+          return;
         }
-      } catch (e) {
-        // Content script not available (restricted page or not yet injected)
-        console.warn('[Save as JPG] Content script unavailable, using context menu URL');
       }
+
+      const result = await convertImageWithMetadata(blob, source, settings, output);
+      if (settings.zipBatch) {
+        converted.push({ index, source, blob, result });
+      } else {
+        const counter = await reserveFilenameCounter(settings, 1);
+        const filename = getOutputFilename(settings, source, result, output.extension, counter);
+        const downloadId = await downloadBlob(result.blob, filename, settings.saveAs);
+        await recordConversion({ source, settings, format, transform, blob, result, filename, downloadId });
+      }
+      summary.saved++;
+      if (result.fitsTarget === false) summary.overTarget++;
+      onProgress(index, 'saved');
+    } catch (error) {
+      console.warn('[Save as JPG] Batch item failed:', image.url, error);
+      const classified = classifyImageError(error);
+      summary.failed++;
+      onProgress(index, 'failed', classified.message);
+      await recordConversion({ source, settings, format, transform, blob, error: classified });
     }
+  });
 
-    await convertAndDownload(imageUrl, settings);
-  } catch (error) {
-    console.error('[Save as JPG] Conversion failed:', error);
-    showErrorNotification(error.message);
+  if (converted.length === 1) {
+    const { source, blob, result } = converted[0];
+    const counter = await reserveFilenameCounter(settings, 1);
+    const filename = getOutputFilename(settings, source, result, output.extension, counter);
+    const downloadId = await downloadBlob(result.blob, filename, settings.saveAs);
+    await recordConversion({ source, settings, format, transform, blob, result, filename, downloadId });
+  } else if (converted.length > 1) {
+    // Keep page order regardless of which fetch finished first
+    converted.sort((a, b) => a.index - b.index);
+    const { downloadId, names } = await downloadZipArchive(converted, settings, output.extension, page.url);
+    for (const [i, { source, blob, result }] of converted.entries()) {
+      await recordConversion({ source, settings, format, transform, blob, result, filename: names[i], downloadId });
+    }
   }
-});
+
+  return summary;
+}
 
 /**
- * Displays an error notification to the user.
- * @param {string} message - Error message to display
+ * Packages converted images into one ZIP archive and downloads it.
+ * Entry names (including template folders) come from the filename template with
+ * collisions resolved, and an optional manifest.csv maps each entry to its source URL.
+ * @param {Array<{source: Object, result: Object}>} files - Converted images in archive order
+ * @param {Object} settings - User settings object
+ * @param {string} extension - Output file extension
+ * @param {string} [pageUrl] - URL of the page the images came from
+ * @param {string} [archiveName] - Archive filename (defaults to the page host and time)
+ * @returns {Promise<{downloadId: number, names: string[]}>} Download ID of the archive, and the entry
+ *   name of each file in `files` order
  */
-function showErrorNotification(message) {
-  // Use basic notification API if available
-  if (chrome.notifications) {
-    chrome.notifications.create({
-      type: 'basic',
-      iconUrl: 'icons/48.png',
-      title: 'Save as JPG - Error',
-      message: message || 'Failed to convert image. Please try again.'
-    });
+async function downloadZipArchive(files, settings, extension, pageUrl, archiveName = getArchiveFilename(pageUrl)) {
+  const usedNames = new Set();
+  const entries = [];
+  const manifestRows = [['filename', 'source_url', 'page_url']];
+  const firstCounter = await reserveFilenameCounter(settings, files.length);
+
+  files.forEach(({ source, result }, i) => {
+    const counter = firstCounter === undefined ? undefined : firstCounter + i;
+    const name = getUniqueFilename(getOutputFilename(settings, source, result, extension, counter), usedNames);
+    entries.push({ name, data: result.blob });
+    manifestRows.push([name, source.url, pageUrl || '']);
+  });
+
+  if (settings.zipManifest) {
+    const csv = manifestRows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+    entries.push({ name: getUniqueFilename('manifest.csv', usedNames), data: new TextEncoder().encode(csv) });
   }
+
+  const zip = await createZipArchive(entries, { compression: settings.zipCompression });
+  const downloadId = await downloadBlob(zip, archiveName, settings.saveAs);
+  return { downloadId, names: entries.slice(0, files.length).map(entry => entry.name) };
 }
 
 /**
- * Retrieves user settings from Chrome sync storage.
- * @returns {Promise<Object>} Settings object with quality, bgColor, and saveAs properties
+ * Returns a filename that is not yet in `usedNames` by appending " (2)", " (3)", ...
+ * before the extension. Comparison is case-insensitive, matching Windows and macOS.
+ * @param {string} name - Desired filename
+ * @param {Set<string>} usedNames - Lowercased names already taken (updated in place)
+ * @returns {string} Unique filename
  */
-async function getSettings() {
-  const result = await chrome.storage.sync.get(DEFAULT_SETTINGS);
-  return {
-    quality: result.quality ?? DEFAULT_SETTINGS.quality,
-    bgColor: result.bgColor ?? DEFAULT_SETTINGS.bgColor,
-    saveAs: result.saveAs ?? DEFAULT_SETTINGS.saveAs
+function getUniqueFilename(name, usedNames) {
+  const dot = name.lastIndexOf('.');
+  const base = dot > name.lastIndexOf('/') ? name.substring(0, dot) : name;
+  const ext = base === name ? '' : name.substring(dot);
+
+  let candidate = name;
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${ext}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Quotes a value for CSV output when it contains separators, quotes or line breaks.
+ * @param {string} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function toCsvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds the batch archive filename from the page host and current time.
+ * Format: <host>_YYYYMMDD_HHMMSS.zip (host omitted if unavailable).
+ * @param {string} [pageUrl] - URL of the page the images came from
+ * @returns {string} Archive filename
+ */
+function getArchiveFilename(pageUrl) {
+  return `${getPageStampName(pageUrl)}.zip`;
+}
+
+/**
+ * Names page-level saves (archives, screenshots) after the page host and current time.
+ * @param {string} [pageUrl] - Page URL
+ * @returns {string} "<host>_YYYYMMDD_HHMMSS" (host omitted if unavailable)
+ */
+function getPageStampName(pageUrl) {
+  let host = '';
+  try {
+    host = new URL(pageUrl).hostname.replace(/[\0\\/:*?"<>|]/g, '_');
+  } catch {
+    // No usable page URL; fall back to the timestamp alone
+  }
+  const ts = formatTimestamp(new Date());
+  return host ? `${host}_${ts}` : ts;
+}
+
+/**
+ * Runs an async task for every item, with at most `limit` tasks in flight.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} task - Async function called with (item, index)
+ * @returns {Promise<void>} Resolves once every task has settled
+ */
+async function mapWithConcurrency(items, limit, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await task(items[index], index);
+    }
   };
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
 }
 
 /**
- * Main conversion pipeline: fetch -> convert -> download.
- * @param {string} srcUrl - Source image URL
+ * Checks an image size against the batch minimum width and height.
+ * @param {number} width - Natural width in pixels
+ * @param {number} height - Natural height in pixels
  * @param {Object} settings - User settings object
+ * @returns {boolean} True if the image is large enough
+ */
+function meetsMinimumSize(width, height, settings) {
+  return width >= settings.batchMinWidth && height >= settings.batchMinHeight;
+}
+
+/**
+ * Splits a user-entered domain list (commas, spaces or newlines) into lowercase host names.
+ * @param {string} value - Raw domain list
+ * @returns {string[]} Domains without scheme or leading "*."
+ */
+function parseDomainList(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map(d => d.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^\*\./, '').replace(/\/.*$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Checks whether a URL's host is one of the domains or a subdomain of one.
+ * @param {string} url - Image URL
+ * @param {string[]} domains - Domains from parseDomainList()
+ * @returns {boolean} True if the host matches
+ */
+function matchesDomainList(url, domains) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return domains.some(d => host === d || host.endsWith('.' + d));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Maps a MIME type to a source format filter key.
+ * @param {string} mimeType - Blob MIME type
+ * @returns {string} Format key, or "other" for unlisted types
+ */
+function getSourceFormat(mimeType) {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return SOURCE_FORMATS[type] || 'other';
+}
+
+/**
+ * Guesses the source format from a data URL's MIME type or a URL's file extension.
+ * @param {string} url - Image URL
+ * @returns {string|null} Format key, or null if the URL gives no reliable hint
+ */
+function guessSourceFormat(url) {
+  if (url.startsWith('data:')) {
+    return getSourceFormat(url.slice(5).split(/[;,]/)[0]);
+  }
+  try {
+    const name = new URL(url).pathname.split('/').pop() || '';
+    const dot = name.lastIndexOf('.');
+    if (dot === -1) return null;
+    return SOURCE_EXTENSIONS[name.substring(dot + 1).toLowerCase()] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decodes an image just far enough to read its dimensions.
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<{width: number, height: number}|null>} Size, or null if it cannot be decoded here
  */
-async function convertAndDownload(srcUrl, settings) {
-  const blob = await fetchImage(srcUrl);
-  const jpegBlob = await convertToJPEG(blob, settings);
-  await downloadBlob(jpegBlob, settings.saveAs, srcUrl);
+async function getImageSize(blob) {
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return size;
+  } catch {
+    return null;
+  }
 }
 
 /**
- * Fetches an image from URL and returns it as a Blob.
- * Includes timeout protection for slow/hanging requests.
+ * Fetches an image and returns it as a Blob. When the plain request fails, stronger strategies
+ * are tried in turn:
+ * 1. The request again with the page as Referer and the browser's cookies, for hotlink-protected
+ *    and signed-in images
+ * 2. A credentialed fetch from the page itself through the content script, which can also read
+ *    the page's blob: URLs
+ * 3. The pixels the page has already rendered (see extractRenderedImage() in content-targets.js)
+ * Steps 2 and 3 need the tab the image was found in; blob: URLs go straight to step 2.
  * @param {string} url - Image URL to fetch
+ * @param {{pageUrl?: string, tabId?: number, frameId?: number}} [context] - Where the image was found
  * @returns {Promise<Blob>} Image data as Blob
- * @throws {Error} If HTTP request fails or times out
+ * @throws {Error} The most telling failure, classified by classifyImageError()
+ */
+async function fetchImage(url, context = {}) {
+  const isHttp = /^https?:/i.test(url);
+  const inPage = context.tabId >= 0 && !url.startsWith('data:');
+  const strategies = [
+    {
+      usable: !url.startsWith('blob:'),
+      fetch: () => fetchWithTimeout(url, { referrerPolicy: 'no-referrer' })
+    },
+    {
+      usable: isHttp && /^https?:/i.test(context.pageUrl || ''),
+      fetch: () => fetchWithReferrer(url, context.pageUrl)
+    },
+    { usable: inPage, fetch: () => fetchFromPage(url, context) },
+    { usable: inPage, rendered: true, fetch: () => fetchRenderedImage(url, context) }
+  ];
+
+  const errors = [];
+  for (const strategy of strategies) {
+    if (!strategy.usable) continue;
+    // After a timeout another download would most likely time out too
+    if (!strategy.rendered && errors.some(error => error.kind === 'timeout')) continue;
+    try {
+      return await strategy.fetch();
+    } catch (error) {
+      errors.push(classifyImageError(error));
+    }
+  }
+
+  if (errors.length === 0) throw new Error('This image can only be read from the page it was on');
+  const rank = error => IMAGE_ERROR_PRIORITY.includes(error.kind) ? IMAGE_ERROR_PRIORITY.indexOf(error.kind) : Infinity;
+  throw errors.reduce((best, error) => rank(error) < rank(best) ? error : best);
+}
+
+/**
+ * Fetches a URL with a timeout.
+ * @param {string} url - URL to fetch
+ * @param {RequestInit} init - Fetch options
+ * @returns {Promise<Blob>} Response body
+ * @throws {Error} On HTTP errors (with `status`), timeouts and network errors
  */
-async function fetchImage(url) {
+async function fetchWithTimeout(url, init) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
 
   try {
-    const response = await fetch(url, {
-      referrerPolicy: 'no-referrer',
-      signal: controller.signal
-    });
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (!response.ok) {
+      throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+    }
     return await response.blob();
   } catch (error) {
     if (error.name === 'AbortError') {
-      throw new Error('Image fetch timed out');
+      throw Object.assign(new Error('Image fetch timed out'), { kind: 'timeout' });
     }
     throw error;
   } finally {
@@ -140,58 +2328,206 @@ async function fetchImage(url) {
 }
 
 /**
- * Converts an image Blob to JPEG format.
+ * Fetches an image with the page as Referer and with cookies. Fetch can't set a cross-origin
+ * Referer, so a session rule adds it to this extension's requests to the image host while the
+ * request runs.
+ * @param {string} url - Image URL
+ * @param {string} pageUrl - Page the image was found on
+ * @returns {Promise<Blob>} Image data
+ */
+async function fetchWithReferrer(url, pageUrl) {
+  const ruleId = ++refererRuleId;
+  // Removing the ID first replaces a rule left behind by a service worker that was stopped mid-request
+  await chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: [ruleId],
+    addRules: [{
+      id: ruleId,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: [{ header: 'Referer', operation: 'set', value: pageUrl }]
+      },
+      condition: {
+        requestDomains: [new URL(url).hostname],
+        initiatorDomains: [chrome.runtime.id],
+        tabIds: [chrome.tabs.TAB_ID_NONE],
+        resourceTypes: ['xmlhttprequest', 'other']
+      }
+    }]
+  });
+
+  try {
+    return await fetchWithTimeout(url, { credentials: 'include' });
+  } finally {
+    await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [ruleId] });
+  }
+}
+
+/**
+ * Fetches an image from inside the page (same cookies, Referer and origin as the page).
+ * @param {string} url - Image URL, including page-scoped blob: URLs
+ * @param {{tabId: number, frameId?: number}} context - Tab and frame the image is in
+ * @returns {Promise<Blob>} Image data
+ */
+async function fetchFromPage(url, context) {
+  const response = await chrome.tabs.sendMessage(context.tabId, { type: 'FETCH_IMAGE', url },
+    { frameId: context.frameId ?? 0 });
+  if (!response) throw new Error('The page did not respond');
+  if (response.error) {
+    throw Object.assign(new Error(response.error), { status: response.status, kind: response.kind });
+  }
+  return await (await fetch(response.dataUrl)).blob();
+}
+
+/**
+ * Reads the pixels the page has already rendered for an image. Images the page can't read back
+ * (cross-origin without CORS) are cut out of a screenshot of the visible tab instead, at screen
+ * resolution, when they are on screen in the top frame.
+ * @param {string} url - Image URL
+ * @param {{tabId: number, frameId?: number}} context - Tab and frame the image is in
+ * @returns {Promise<Blob>} PNG image data
+ */
+async function fetchRenderedImage(url, context) {
+  const response = await chrome.tabs.sendMessage(context.tabId, { type: 'EXTRACT_RENDERED_IMAGE', url },
+    { frameId: context.frameId ?? 0 });
+  if (!response) throw new Error('The page did not respond');
+  if (response.error) throw Object.assign(new Error(response.error), { kind: response.kind });
+  if (response.dataUrl) return await (await fetch(response.dataUrl)).blob();
+
+  const tab = await chrome.tabs.get(context.tabId);
+  if (!response.topFrame || !response.visibleArea || !tab.active) {
+    throw Object.assign(new Error('The image is not readable from the page'), { kind: 'cors' });
+  }
+
+  const screenshot = await (await fetch(await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' }))).blob();
+  const bitmap = await createImageBitmap(screenshot);
+  try {
+    const area = getCropRect(bitmap.width, bitmap.height, response.visibleArea);
+    const canvas = new OffscreenCanvas(area.width, area.height);
+    canvas.getContext('2d').drawImage(bitmap, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height);
+    showNotification('Save as JPG - Screen capture used',
+      'The site blocks downloading this image, so its visible area was saved at screen resolution instead.');
+    return await canvas.convertToBlob({ type: 'image/png' });
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Classifies an error from fetching or decoding an image and gives it a message that says what
+ * went wrong. Errors of other kinds (encoding, downloads) are returned unchanged.
+ * @param {Error} error - Error with an optional `status` (HTTP) or `kind`
+ * @returns {Error} Error with `kind` set to one of IMAGE_ERROR_PRIORITY
+ */
+function classifyImageError(error) {
+  if (error.classified) return error;
+
+  let kind = error.kind;
+  if (!kind) {
+    if (error.status === 401 || error.status === 403) kind = 'forbidden';
+    else if (error.status === 404 || error.status === 410) kind = 'not-found';
+    else if (error.status) kind = 'http';
+    else if (error.name === 'InvalidStateError' || /decode|Failed to load image/i.test(error.message)) kind = 'decode';
+    else if (error.name === 'TypeError') kind = 'network';
+    else return error;
+  }
+
+  const messages = {
+    forbidden: `The site refused to send the image (HTTP ${error.status || 403}). ` +
+      'It may require signing in, or block saving from other sites.',
+    'not-found': `The image no longer exists on the server (HTTP ${error.status || 404}).`,
+    http: `The server could not send the image (HTTP ${error.status}).`,
+    timeout: 'The image took too long to download. The site may be slow or unreachable.',
+    cors: 'The site does not let extensions read this image (CORS), and it is not on screen to capture.',
+    network: 'The image could not be downloaded. Check your connection and try again.',
+    decode: 'The image data could not be decoded. The file may be damaged or in an unsupported format.',
+    unavailable: 'The image is no longer on the page. Reload the page and try again.'
+  };
+  return Object.assign(new Error(messages[kind] || error.message, { cause: error }),
+    { kind, status: error.status, classified: true });
+}
+
+/**
+ * Converts an image Blob to the requested output format.
  * Uses OffscreenCanvas when available, falls back to offscreen document.
  * @param {Blob} blob - Source image blob
- * @param {Object} settings - User settings (quality, bgColor)
- * @returns {Promise<Blob>} JPEG image as Blob
+ * @param {Object} settings - User settings (bgColor)
+ * @param {Object} output - Encoder options from getOutputOptions()
+ * @param {Object} [transform] - Per-save transforms
+ * @param {{x: number, y: number, width: number, height: number}} [transform.crop] - Crop as fractions of the image
+ * @param {number} [transform.frame] - Frame index of an animated GIF or WebP to convert
+ * @returns {Promise<{blob: Blob, width: number, height: number}>} Encoded image and its dimensions
  */
-async function convertToJPEG(blob, settings) {
+async function convertImage(blob, settings, output, transform = {}) {
   const mimeType = blob.type;
   const isJPEG = mimeType.startsWith('image/jpeg');
-  const needsBackground = !isJPEG;
+  // JPEG sources are already opaque; alpha-capable outputs keep transparency unless disabled
+  const needsBackground = !isJPEG && !output.keepAlpha;
 
   // Prefer OffscreenCanvas for better performance in service workers
   if (typeof OffscreenCanvas !== 'undefined') {
     try {
-      return await convertWithOffscreenCanvas(blob, settings, needsBackground, mimeType);
+      return await convertWithOffscreenCanvas(blob, settings, output, transform, needsBackground, mimeType);
     } catch (e) {
       console.warn('[Save as JPG] OffscreenCanvas unavailable, using fallback:', e.message);
     }
   }
 
-  return await convertWithOffscreenDocument(blob, settings, needsBackground);
+  return await convertWithOffscreenDocument(blob, settings, output, transform, needsBackground);
 }
 
 /**
  * Converts image using OffscreenCanvas API (preferred method).
- * Handles SVG upscaling for small or zero-dimension vectors.
+ * Decodes the blob (or the requested animation frame) and hands it to convertBitmap().
  * Uses try/finally to ensure ImageBitmap is always closed (prevents memory leaks).
  * @param {Blob} blob - Source image blob
  * @param {Object} settings - User settings
+ * @param {Object} output - Encoder options (mimeType, quality, label)
+ * @param {Object} transform - Per-save transforms (crop, frame)
  * @param {boolean} needsBackground - Whether to add solid background
  * @param {string} mimeType - Original image MIME type
- * @returns {Promise<Blob>} JPEG image as Blob
+ * @returns {Promise<{blob: Blob, width: number, height: number, quality?: number, fitsTarget?: boolean}>}
+ *   Encoded image and its dimensions (plus the achieved quality in target file size mode)
+ * @throws {Error} If the browser cannot encode the requested format
  */
-async function convertWithOffscreenCanvas(blob, settings, needsBackground, mimeType) {
-  const isSVG = mimeType === 'image/svg+xml';
-  const bitmap = await createImageBitmap(blob);
+async function convertWithOffscreenCanvas(blob, settings, output, transform, needsBackground, mimeType) {
+  let bitmap = null;
+  if (transform.frame !== undefined) {
+    bitmap = await decodeAnimationFrame(new Uint8Array(await blob.arrayBuffer()), transform.frame,
+      (width, height) => new OffscreenCanvas(width, height));
+  }
+  bitmap = bitmap || await createImageBitmap(blob);
 
   try {
-    let width = bitmap.width;
-    let height = bitmap.height;
+    return await convertBitmap(bitmap, settings, output, transform, needsBackground, mimeType === 'image/svg+xml');
+  } finally {
+    // Always close bitmap to prevent memory leaks
+    bitmap.close();
+  }
+}
 
-    // SVG images often have small or zero intrinsic dimensions; upscale to 2048px
-    if (isSVG && Math.max(width, height) < 1024) {
-      const target = 2048;
-      const aspect = width && height ? width / height : 1;
-      const longer = Math.max(width, height) || 1;
-      const scale = target / longer;
-      width = Math.round(width * scale);
-      height = Math.round(height * scale);
-    }
+/**
+ * Converts a decoded image with OffscreenCanvas.
+ * Handles cropping, SVG upscaling for small or zero-dimension vectors, the user's resize options,
+ * the target file size search, and the built-in JPEG encoder. The caller owns `bitmap`.
+ * @param {(ImageBitmap|OffscreenCanvas)} bitmap - Decoded image
+ * @param {Object} settings - User settings
+ * @param {Object} output - Encoder options (mimeType, quality, label)
+ * @param {Object} transform - Per-save transforms (crop)
+ * @param {boolean} needsBackground - Whether to add solid background
+ * @param {boolean} isSVG - Whether the image is a vector that may be upscaled
+ * @returns {Promise<{blob: Blob, width: number, height: number, quality?: number, fitsTarget?: boolean}>}
+ *   Encoded image and its dimensions (plus the achieved quality in target file size mode)
+ * @throws {Error} If the browser cannot encode the requested format
+ */
+async function convertBitmap(bitmap, settings, output, transform, needsBackground, isSVG) {
+  const sourceRect = getCropRect(bitmap.width, bitmap.height, transform.crop);
+  const outputSize = getOutputSize(sourceRect.width, sourceRect.height, settings, isSVG);
+  // Large upscales (resize percent, SVG target size) can exceed what a canvas can allocate
+  const { width, height } = fitCanvasLimits(outputSize.width, outputSize.height);
 
-    const canvas = new OffscreenCanvas(width, height);
+  const render = (w, h) => {
+    const canvas = new OffscreenCanvas(w, h);
     const ctx = canvas.getContext('2d');
 
     if (!ctx) {
@@ -201,16 +2537,45 @@ async function convertWithOffscreenCanvas(blob, settings, needsBackground, mimeT
     // Apply background color for transparent images (PNG, GIF, WebP, SVG)
     if (needsBackground) {
       ctx.fillStyle = settings.bgColor;
-      ctx.fillRect(0, 0, width, height);
+      ctx.fillRect(0, 0, w, h);
     }
 
-    ctx.drawImage(bitmap, 0, 0, width, height);
+    drawImageHighQuality(ctx, bitmap, sourceRect, w, h,
+      (stepWidth, stepHeight) => new OffscreenCanvas(stepWidth, stepHeight));
+    return canvas;
+  };
 
-    return await canvas.convertToBlob({ type: 'image/jpeg', quality: settings.quality });
-  } finally {
-    // Always close bitmap to prevent memory leaks
-    bitmap.close();
+  const encode = async (canvas, quality) => {
+    if (output.jpegEncoder) {
+      const bytes = encodeJpeg(getCanvasPixelSource(canvas), { ...output.jpegEncoder, quality });
+      return { data: new Blob([bytes], { type: output.mimeType }), size: bytes.length };
+    }
+
+    const result = await canvas.convertToBlob({ type: output.mimeType, quality });
+
+    // Unsupported encoder types silently fall back to PNG
+    if (result.type !== output.mimeType) {
+      throw new Error(`${output.label} encoding is not supported by this browser`);
+    }
+    return { data: result, size: result.size };
+  };
+
+  // Target file size mode: search quality/dimensions on the same decoded bitmap
+  if (output.maxBytes) {
+    const best = await searchTargetSize({
+      width,
+      height,
+      maxBytes: output.maxBytes,
+      lossy: output.lossy,
+      allowResize: output.allowResize,
+      render,
+      encode
+    });
+    return { blob: best.data, width: best.width, height: best.height, quality: best.quality, fitsTarget: best.fits };
   }
+
+  const { data } = await encode(render(width, height), output.quality);
+  return { blob: data, width, height };
 }
 
 /**
@@ -234,8 +2599,8 @@ async function ensureOffscreenDocument() {
   // Create document with mutex to prevent race conditions
   offscreenDocumentCreating = chrome.offscreen.createDocument({
     url: 'offscreen.html',
-    reasons: ['BLOBS'],
-    justification: 'Canvas-based JPEG conversion fallback'
+    reasons: ['BLOBS', 'CLIPBOARD'],
+    justification: 'Canvas-based JPEG conversion fallback and copying images to the clipboard'
   });
 
   try {
@@ -246,28 +2611,51 @@ async function ensureOffscreenDocument() {
   }
 }
 
+/**
+ * Sends a message to the offscreen document and unwraps its response.
+ * @param {Object} message - Message for offscreen.js
+ * @returns {Promise<Object>} Response
+ * @throws {Error} If the offscreen document reports an error or doesn't answer
+ */
+async function sendOffscreenMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response) throw new Error('The offscreen document did not respond');
+  if (response.error) throw new Error(response.error);
+  return response;
+}
+
 /**
  * Fallback conversion using offscreen document with DOM canvas.
  * Used when OffscreenCanvas is unavailable or fails.
  * @param {Blob} blob - Source image blob
  * @param {Object} settings - User settings
+ * @param {Object} output - Encoder options (mimeType, quality, label)
+ * @param {Object} transform - Per-save transforms (crop)
  * @param {boolean} needsBackground - Whether to add solid background
- * @returns {Promise<Blob>} JPEG image as Blob
+ * @returns {Promise<{blob: Blob, width: number, height: number}>} Encoded image and its dimensions
  */
-async function convertWithOffscreenDocument(blob, settings, needsBackground) {
+async function convertWithOffscreenDocument(blob, settings, output, transform, needsBackground) {
   const documentCreated = await ensureOffscreenDocument();
 
   try {
     const dataUrl = await blobToDataURL(blob);
     const response = await chrome.runtime.sendMessage({
-      type: 'CONVERT_TO_JPEG',
+      type: 'CONVERT_IMAGE',
       dataUrl,
       settings,
+      output,
+      transform,
       needsBackground
     });
 
     if (response.error) throw new Error(response.error);
-    return await dataURLToBlob(response.dataUrl);
+    return {
+      blob: await dataURLToBlob(response.dataUrl),
+      width: response.width,
+      height: response.height,
+      quality: response.quality,
+      fitsTarget: response.fitsTarget
+    };
   } finally {
     // Clean up offscreen document to prevent memory leaks
     if (documentCreated) {
@@ -281,62 +2669,23 @@ async function convertWithOffscreenDocument(blob, settings, needsBackground) {
 }
 
 /**
- * Initiates download of the converted JPEG image.
+ * Downloads a Blob under the given path (relative to the Downloads folder).
  * Uses data URLs since Object URLs are not available in Service Workers.
- * @param {Blob} blob - JPEG image blob to download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Target path, may include folders
  * @param {boolean} saveAs - Whether to show "Save As" dialog
- * @param {string} srcUrl - Original image URL (used for filename)
+ * @returns {Promise<number>} Download ID
  */
-async function downloadBlob(blob, saveAs, srcUrl) {
+async function downloadBlob(blob, filename, saveAs) {
   const dataUrl = await blobToDataURL(blob);
-  const filename = getSuggestedFilename(srcUrl) || getTimestampFilename();
 
-  await chrome.downloads.download({
+  return await chrome.downloads.download({
     url: dataUrl,
     filename,
     saveAs
   });
 }
 
-/**
- * Extracts a clean filename from the image URL.
- * Removes query strings, fragments, and invalid filesystem characters.
- * @param {string} url - Source image URL
- * @returns {string|null} Sanitized filename with .jpg extension, or null if extraction fails
- */
-function getSuggestedFilename(url) {
-  try {
-    const parsed = new URL(url);
-    let name = parsed.pathname.split('/').pop() || '';
-    if (!name) return null;
-
-    // Remove query params, fragments, and file extension
-    name = decodeURIComponent(name.split('?')[0].split('#')[0]);
-    const dot = name.lastIndexOf('.');
-    if (dot > -1) name = name.substring(0, dot);
-
-    // Sanitize invalid filesystem characters
-    name = name.replace(/[\0\\/:*?"<>|]/g, '_').trim();
-    if (!name) return null;
-    if (name.length > 150) name = name.substring(0, 150);
-
-    return name + '.jpg';
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Generates a timestamp-based filename as fallback.
- * Format: YYYYMMDD_HHMMSS.jpg
- * @returns {string} Timestamp filename
- */
-function getTimestampFilename() {
-  const now = new Date();
-  const ts = now.toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
-  return `${ts}.jpg`;
-}
-
 /**
  * Converts a Blob to a data URL string.
  * @param {Blob} blob - Blob to convert
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Checks for the srcset fixture page
+ * Runs parseSrcset() on edge cases from the HTML standard and getLargestImageCandidate() on each
+ * <figure data-expected> of srcset.html, and marks every case PASS or FAIL.
+ * @author GosuDRM
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * @const {Array<{srcset: string, expected: Array<Object>}>} Parser cases and the candidates they
+ *   must produce
+ */
+const PARSER_CASES = [
+  {
+    srcset: 'a.jpg 1x, b.jpg 2x',
+    expected: [{ url: 'a.jpg', density: 1 }, { url: 'b.jpg', density: 2 }]
+  },
+  {
+    srcset: 'https://res.cloudinary.com/d/image/upload/w_300,c_fill/x.jpg 300w, ' +
+      'https://res.cloudinary.com/d/image/upload/w_900,c_fill/x.jpg 900w',
+    expected: [
+      { url: 'https://res.cloudinary.com/d/image/upload/w_300,c_fill/x.jpg', width: 300 },
+      { url: 'https://res.cloudinary.com/d/image/upload/w_900,c_fill/x.jpg', width: 900 }
+    ]
+  },
+  {
+    srcset: 'data:image/png;base64,iVBORw0KGgo= 1x, big.png 2x',
+    expected: [{ url: 'data:image/png;base64,iVBORw0KGgo=', density: 1 }, { url: 'big.png', density: 2 }]
+  },
+  {
+    // Without whitespace the comma belongs to the URL
+    srcset: 'a.jpg,b.jpg 2x',
+    expected: [{ url: 'a.jpg,b.jpg', density: 2 }]
+  },
+  {
+    srcset: '  ,, a.jpg   800w  ,b.jpg,,',
+    expected: [{ url: 'a.jpg', width: 800 }, { url: 'b.jpg', density: 1 }]
+  },
+  {
+    srcset: 'a.jpg 100w 50h, b.jpg 50h, c.jpg 1x 100w, d.jpg 0w, e.jpg -1x, f.jpg 1.5x, g.jpg 2x 2x',
+    expected: [{ url: 'a.jpg', width: 100, height: 50 }, { url: 'f.jpg', density: 1.5 }]
+  },
+  {
+    // Parentheses keep their comma; the unknown descriptor drops the candidate
+    srcset: 'a.jpg 1x (foo, bar), b.jpg',
+    expected: [{ url: 'b.jpg', density: 1 }]
+  },
+  {
+    srcset: 'a.jpg\t\n2x, b.jpg .5x, c.jpg 1e1x',
+    expected: [{ url: 'a.jpg', density: 2 }, { url: 'b.jpg', density: 0.5 }, { url: 'c.jpg', density: 10 }]
+  },
+  {
+    // A valid floating-point number needs digits after the decimal point
+    srcset: 'a.jpg 1.x, b.jpg 2.0x',
+    expected: [{ url: 'b.jpg', density: 2 }]
+  },
+  {
+    srcset: '',
+    expected: []
+  }
+];
+
+let passed = 0;
+let failed = 0;
+
+for (const { srcset, expected } of PARSER_CASES) {
+  const actual = parseSrcset(srcset);
+  const item = document.createElement('li');
+  item.textContent = `${JSON.stringify(srcset)} → ${JSON.stringify(actual)}`;
+  report(item, JSON.stringify(actual) === JSON.stringify(expected), JSON.stringify(expected));
+  document.getElementById('parserResults').appendChild(item);
+}
+
+for (const figure of document.querySelectorAll('figure[data-expected]')) {
+  const img = figure.querySelector('img');
+  const expected = resolveCandidateUrl(figure.dataset.expected);
+  const actual = getLargestImageCandidate(img) || '';
+  const caption = document.createElement('figcaption');
+  caption.textContent = `${figure.dataset.case}: ${actual || '(no srcset candidate)'}`;
+  report(caption, actual === expected, expected || '(no srcset candidate)');
+  figure.appendChild(caption);
+}
+
+document.getElementById('summary').textContent = `${passed} passed, ${failed} failed`;
+document.getElementById('summary').className = failed ? 'fail' : 'pass';
+
+/**
+ * Marks a result element as passed or failed.
+ * @param {HTMLElement} element - Result element
+ * @param {boolean} ok - Whether the case passed
+ * @param {string} expected - Expected value, shown on failure
+ */
+function report(element, ok, expected) {
+  element.className = ok ? 'pass' : 'fail';
+  element.prepend(ok ? 'PASS ' : 'FAIL ');
+  if (!ok) element.append(` (expected ${expected})`);
+  if (ok) passed++; else failed++;
+}